@@ -0,0 +1,108 @@
+/**
+ * Account Lockout Tests
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+
+// Services read their configuration on import
+process.env.JWT_SECRET ??= 'test-jwt-secret-key-that-is-at-least-32-characters-long';
+
+const { AccountLockoutService } = await import('../services/AccountLockoutService.js');
+const { AuthService } = await import('../services/AuthService.js');
+const { AuditService } = await import('../services/AuditService.js');
+const { UserModel } = await import('../models/UserModel.js');
+const { emailService } = await import('../services/EmailService.js');
+const { env } = await import('../config/env.js');
+
+describe('AccountLockoutService.getLockoutDuration', () => {
+  test('should start at the base duration', () => {
+    expect(AccountLockoutService.getLockoutDuration(1)).toBe(env.LOGIN_LOCKOUT_BASE_MS);
+    expect(AccountLockoutService.getLockoutDuration(0)).toBe(env.LOGIN_LOCKOUT_BASE_MS);
+  });
+
+  test('should double with each consecutive lockout', () => {
+    expect(AccountLockoutService.getLockoutDuration(2)).toBe(env.LOGIN_LOCKOUT_BASE_MS * 2);
+    expect(AccountLockoutService.getLockoutDuration(3)).toBe(env.LOGIN_LOCKOUT_BASE_MS * 4);
+  });
+
+  test('should be capped at the maximum duration', () => {
+    expect(AccountLockoutService.getLockoutDuration(50)).toBe(env.LOGIN_LOCKOUT_MAX_MS);
+  });
+});
+
+describe('AccountLockoutService.isLocked', () => {
+  test('should only count a lock that has not expired', () => {
+    expect(AccountLockoutService.isLocked({ locked_until: null })).toBe(false);
+    expect(AccountLockoutService.isLocked({ locked_until: new Date(Date.now() - 1000) })).toBe(
+      false
+    );
+    expect(AccountLockoutService.isLocked({ locked_until: new Date(Date.now() + 60000) })).toBe(
+      true
+    );
+  });
+});
+
+describe('AuthService.login while locked', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should answer like a wrong password without checking it', async () => {
+    jest.spyOn(AuditService, 'record').mockResolvedValue();
+    jest.spyOn(UserModel, 'findByEmailWithPassword').mockResolvedValue({
+      id: 'user-1',
+      email: 'user@example.com',
+      status: 'active',
+      password_hash: 'hash',
+      locked_until: new Date(Date.now() + 60000),
+    });
+    const compare = jest.spyOn(UserModel, 'comparePassword');
+
+    await expect(AuthService.login('user@example.com', 'secret')).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid email or password',
+    });
+    expect(compare).not.toHaveBeenCalled();
+  });
+});
+
+describe('AccountLockoutService.recordFailure', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should lock once when parallel attempts cross the threshold', async () => {
+    const row = { failed_login_attempts: 0, lockout_count: 0, locked_until: null };
+
+    // One transaction at a time on the row, as with SELECT ... FOR UPDATE
+    let queue = Promise.resolve();
+    const trx = () => {
+      const builder = {
+        where: () => builder,
+        forUpdate: () => builder,
+        first: async () => ({ ...row }),
+        update: async (data) => Object.assign(row, data),
+      };
+      return builder;
+    };
+    jest.spyOn(UserModel, 'getConnection').mockReturnValue({
+      transaction: (callback) => {
+        const run = queue.then(() => callback(trx));
+        queue = run.catch(() => {});
+        return run;
+      },
+    });
+    jest.spyOn(emailService, 'sendAccountLockedEmail').mockResolvedValue();
+
+    const user = { id: 'user-1', email: 'user@example.com', first_name: 'User' };
+    const attempts = env.LOGIN_MAX_ATTEMPTS + 3;
+    const results = await Promise.all(
+      Array.from({ length: attempts }, () => AccountLockoutService.recordFailure(user))
+    );
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(row.lockout_count).toBe(1);
+    expect(row.failed_login_attempts).toBe(0);
+    expect(AccountLockoutService.isLocked(row)).toBe(true);
+  });
+});
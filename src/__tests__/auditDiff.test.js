@@ -0,0 +1,33 @@
+/**
+ * Audit Diff Tests
+ */
+
+import { describe, test, expect } from '@jest/globals';
+
+// Loading the module reads the configuration
+process.env.JWT_SECRET ??= 'test-jwt-secret-key-that-is-at-least-32-characters-long';
+
+const { computeDiff } = await import('../services/AuditService.js');
+
+describe('computeDiff', () => {
+  test('should report only changed fields', () => {
+    const before = { id: '1', role: 'user', status: 'active' };
+    const after = { id: '1', role: 'admin', status: 'active' };
+
+    expect(computeDiff(before, after)).toEqual({ role: { from: 'user', to: 'admin' } });
+  });
+
+  test('should treat a missing side as null (create/delete)', () => {
+    expect(computeDiff(null, { email: 'a@b.c' })).toEqual({ email: { from: null, to: 'a@b.c' } });
+    expect(computeDiff({ email: 'a@b.c' }, null)).toEqual({ email: { from: 'a@b.c', to: null } });
+  });
+
+  test('should never include secrets or bookkeeping fields', () => {
+    const diff = computeDiff(
+      { password_hash: 'x', updated_at: 1, first_name: 'A' },
+      { password_hash: 'y', updated_at: 2, first_name: 'A' }
+    );
+
+    expect(diff).toBeNull();
+  });
+});
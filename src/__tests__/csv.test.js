@@ -0,0 +1,33 @@
+/**
+ * CSV Tests
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { toCsvRow, parseCsv, parseCsvRecords } from '../utils/csv.js';
+
+describe('CSV', () => {
+  test('should quote fields with separators, quotes and line breaks', () => {
+    expect(toCsvRow(['a', 'b,c', 'say "hi"', 'two\nlines', null])).toBe(
+      'a,"b,c","say ""hi""","two\nlines",\r\n'
+    );
+  });
+
+  test('should neutralize spreadsheet formulas', () => {
+    expect(toCsvRow(['=SUM(A1:A2)', '@cmd', -5])).toBe("'=SUM(A1:A2),'@cmd,-5\r\n");
+  });
+
+  test('should round-trip quoted fields', () => {
+    const line = toCsvRow(['x', 'b,c', 'say "hi"', 'two\r\nlines']);
+
+    expect(parseCsv(line)).toEqual([['x', 'b,c', 'say "hi"', 'two\r\nlines']]);
+  });
+
+  test('should map records to header columns with spreadsheet row numbers', () => {
+    const text = '\uFEFFEmail, First_Name\r\n\r\na@example.com,Ada\nb@example.com\n';
+
+    expect(parseCsvRecords(text)).toEqual([
+      { row: 2, values: { email: 'a@example.com', first_name: 'Ada' } },
+      { row: 3, values: { email: 'b@example.com', first_name: '' } },
+    ]);
+  });
+});
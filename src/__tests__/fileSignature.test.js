@@ -0,0 +1,53 @@
+/**
+ * File Signature Tests
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { detectMimeType, isContentAllowed } from '../utils/fileSignature.js';
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+const exe = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(62)]);
+const ftyp = (brand) =>
+  Buffer.concat([Buffer.from([0x00, 0x00, 0x00, 0x20]), Buffer.from(`ftyp${brand}`)]);
+const docx = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]);
+const csv = Buffer.from('email,first_name\nana@example.com,Ana\n');
+
+describe('File Signatures', () => {
+  test('should detect types from magic bytes', () => {
+    expect(detectMimeType(png)).toBe('image/png');
+    expect(detectMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(detectMimeType(Buffer.from('%PDF-1.7\n'))).toBe('application/pdf');
+    expect(detectMimeType(ftyp('isom'))).toBe('video/mp4');
+    expect(detectMimeType(ftyp('qt  '))).toBe('video/quicktime');
+    expect(detectMimeType(ftyp('avif'))).toBe('image/avif');
+    expect(detectMimeType(exe)).toBe('application/x-msdownload');
+    expect(detectMimeType(csv)).toBeNull();
+  });
+
+  test('should accept content that matches the declared type', () => {
+    expect(isContentAllowed('image/png', png)).toBe(true);
+    expect(isContentAllowed('video/mp4', ftyp('mp42'))).toBe(true);
+    expect(
+      isContentAllowed(
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        docx
+      )
+    ).toBe(true);
+    expect(isContentAllowed('text/csv', csv)).toBe(true);
+    expect(isContentAllowed('application/vnd.ms-excel', csv)).toBe(true);
+  });
+
+  test('should reject content that does not match the declared type', () => {
+    expect(isContentAllowed('image/png', exe)).toBe(false);
+    expect(isContentAllowed('image/jpeg', png)).toBe(false);
+    expect(isContentAllowed('image/png', Buffer.alloc(0))).toBe(false);
+    expect(isContentAllowed('text/csv', png)).toBe(false);
+    expect(isContentAllowed('text/plain', Buffer.from([0x61, 0x00, 0x62]))).toBe(false);
+  });
+
+  test('should accept unknown types unless they are executables', () => {
+    expect(isContentAllowed('application/octet-stream', png)).toBe(true);
+    expect(isContentAllowed('audio/wav', Buffer.from('RIFF....WAVE'))).toBe(true);
+    expect(isContentAllowed('application/octet-stream', exe)).toBe(false);
+  });
+});
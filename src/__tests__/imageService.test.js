@@ -0,0 +1,89 @@
+/**
+ * Image Service Tests
+ */
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { ImageService } from '../services/ImageService.js';
+
+let dir;
+
+/**
+ * Write a JPEG with EXIF data (camera, GPS) and an orientation tag
+ */
+const writePhoto = async (name, { width, height, orientation = 1 }) => {
+  const filePath = path.join(dir, name);
+
+  await sharp({ create: { width, height, channels: 3, background: '#3366cc' } })
+    .jpeg()
+    .withExif({ IFD0: { Make: 'TestCam', Model: 'X100' }, IFD3: { GPSLatitudeRef: 'N' } })
+    .withMetadata({ orientation })
+    .toFile(filePath);
+
+  return { path: filePath, mimetype: 'image/jpeg', size: fs.statSync(filePath).size };
+};
+
+describe('ImageService.prepare', () => {
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-service-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should strip metadata and keep the image readable', async () => {
+    const file = await writePhoto('photo.jpg', { width: 40, height: 20 });
+    expect((await sharp(file.path).metadata()).exif).toBeDefined();
+
+    const result = await ImageService.prepare(file, { maxWidth: 100 });
+    const metadata = await sharp(file.path).metadata();
+
+    expect(result).toEqual({ width: 40, height: 20 });
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+    expect(file.size).toBe(fs.statSync(file.path).size);
+  });
+
+  test('should apply the EXIF orientation before dropping it', async () => {
+    // Orientation 6: stored landscape, displayed rotated 90 degrees
+    const file = await writePhoto('rotated.jpg', { width: 40, height: 20, orientation: 6 });
+
+    expect(await ImageService.prepare(file, {})).toEqual({ width: 20, height: 40 });
+
+    const metadata = await sharp(file.path).metadata();
+    expect([metadata.width, metadata.height]).toEqual([20, 40]);
+  });
+
+  test('should reject images over the dimension limit', async () => {
+    const file = await writePhoto('large.jpg', { width: 120, height: 20 });
+
+    await expect(ImageService.prepare(file, { maxWidth: 100, maxHeight: 100 })).rejects.toThrow(
+      'Image too large. Max: 100x100 pixels'
+    );
+  });
+
+  test('should check the limit against the displayed dimensions', async () => {
+    const file = await writePhoto('tall.jpg', { width: 120, height: 20, orientation: 6 });
+
+    await expect(ImageService.prepare(file, { maxHeight: 100 })).rejects.toThrow(
+      'Image too large. Max: ∞x100 pixels'
+    );
+    await expect(ImageService.prepare(file, { maxWidth: 100 })).resolves.toEqual({
+      width: 20,
+      height: 120,
+    });
+  });
+
+  test('should reject files that are not images', async () => {
+    const filePath = path.join(dir, 'fake.jpg');
+    fs.writeFileSync(filePath, 'not an image');
+
+    await expect(
+      ImageService.prepare({ path: filePath, mimetype: 'image/jpeg' }, {})
+    ).rejects.toThrow('File is not a valid image');
+  });
+});
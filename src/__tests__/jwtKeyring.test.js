@@ -0,0 +1,73 @@
+/**
+ * JWT Keyring Tests
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { JwtKeyring, createKid, getKidDate, generatePrivateKeyPem } from '../utils/jwtKeyring.js';
+import { parseDuration } from '../utils/helpers.js';
+
+const oldKid = createKid(new Date('2026-01-01T00:00:00Z'));
+const newKid = createKid(new Date('2026-06-01T00:00:00Z'));
+const entries = [
+  { kid: newKid, pem: generatePrivateKeyPem('ES256') },
+  { kid: oldKid, pem: generatePrivateKeyPem('ES256') },
+];
+
+describe('JwtKeyring', () => {
+  test('should sign with the newest key unless one is pinned', () => {
+    expect(new JwtKeyring(entries).getSigningKey().kid).toBe(newKid);
+    expect(new JwtKeyring(entries, oldKid).getSigningKey().kid).toBe(oldKid);
+  });
+
+  test('should verify tokens of every key in the ring by kid', () => {
+    const signedWithOld = new JwtKeyring(entries, oldKid).getSigningKey();
+    const token = jwt.sign({ sub: '1' }, signedWithOld.privateKey, {
+      algorithm: signedWithOld.alg,
+      keyid: signedWithOld.kid,
+    });
+
+    const key = new JwtKeyring(entries).getVerificationKey(oldKid);
+    expect(jwt.verify(token, key.publicKey, { algorithms: [key.alg] }).sub).toBe('1');
+  });
+
+  test('should publish public keys only', () => {
+    const { keys } = new JwtKeyring(entries).toJwks();
+
+    expect(keys.map((k) => k.kid)).toEqual([oldKid, newKid]);
+    expect(keys[0]).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+    expect(keys[0].d).toBeUndefined();
+    expect(crypto.createPublicKey({ key: keys[0], format: 'jwk' }).type).toBe('public');
+  });
+
+  test('should publish pending keys without signing with them', () => {
+    const pendingKid = createKid(new Date('2026-09-01T00:00:00Z'));
+    const keyring = new JwtKeyring([
+      ...entries,
+      { kid: pendingKid, pem: generatePrivateKeyPem('ES256'), pending: true },
+    ]);
+
+    expect(keyring.getSigningKey().kid).toBe(newKid);
+    expect(keyring.getVerificationKey(pendingKid)).not.toBeNull();
+    expect(keyring.toJwks().keys.map((k) => k.kid)).toContain(pendingKid);
+  });
+
+  test('should reject an unknown pinned kid', () => {
+    expect(() => new JwtKeyring(entries, 'missing')).toThrow();
+  });
+
+  test('should encode the creation time in the kid', () => {
+    expect(getKidDate(oldKid).toISOString()).toBe('2026-01-01T00:00:00.000Z');
+    expect(getKidDate('custom-kid')).toBeNull();
+  });
+});
+
+describe('parseDuration', () => {
+  test('should follow the jsonwebtoken expiresIn format', () => {
+    expect(parseDuration('15m')).toBe(15 * 60 * 1000);
+    expect(parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseDuration(60)).toBe(60 * 1000);
+    expect(parseDuration('120')).toBe(120);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * OAuth State Binding Tests
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+
+// Services read their configuration on import
+process.env.JWT_SECRET ??= 'test-jwt-secret-key-that-is-at-least-32-characters-long';
+
+const { OAuthService } = await import('../services/OAuthService.js');
+const { OAuthStateModel } = await import('../models/OAuthStateModel.js');
+
+const provider = {
+  type: 'github',
+  clientId: 'client',
+  scopes: ['read:user'],
+  authorizationUrl: 'https://idp.test/authorize',
+  tokenUrl: 'https://idp.test/token',
+  apiUrl: 'https://idp.test/api',
+};
+
+describe('OAuth state binding', () => {
+  let rows;
+
+  beforeEach(() => {
+    rows = [];
+    jest.spyOn(OAuthService, 'getProvider').mockReturnValue(provider);
+    jest.spyOn(OAuthStateModel, 'create').mockImplementation(async (row) => rows.push(row));
+    jest
+      .spyOn(OAuthStateModel, 'consume')
+      .mockImplementation(async (hash) => rows.find((row) => row.state_hash === hash) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const start = async (userId = null) => {
+    const { authorizationUrl, stateToken } = await OAuthService.createAuthorizationUrl(
+      'github',
+      userId
+    );
+    return { state: new URL(authorizationUrl).searchParams.get('state'), stateToken };
+  };
+
+  test.each([
+    ['login', null],
+    ['link', 'user-1'],
+  ])('should reject a %s callback without the state token of its client', async (_, userId) => {
+    const { state, stateToken } = await start(userId);
+
+    await expect(OAuthService.handleCallback('github', { code: 'c', state })).rejects.toThrow(
+      'Invalid or expired OAuth state'
+    );
+    await expect(
+      OAuthService.handleCallback('github', { code: 'c', state, stateToken: `${stateToken}x` })
+    ).rejects.toThrow('Invalid or expired OAuth state');
+  });
+
+  test('should exchange the code when the state token matches', async () => {
+    const { state, stateToken } = await start();
+    // The exchange is reached only after the state checks pass
+    jest.spyOn(OAuthService, 'getEndpoints').mockRejectedValue(new Error('exchange reached'));
+
+    await expect(
+      OAuthService.handleCallback('github', { code: 'c', state, stateToken })
+    ).rejects.toThrow('exchange reached');
+  });
+});
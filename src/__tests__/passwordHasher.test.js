@@ -0,0 +1,60 @@
+/**
+ * Password Hasher Tests
+ * Hash format detection and rehash decisions
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+
+// Loading the module reads the configuration
+process.env.JWT_SECRET ??= 'test-jwt-secret-key-that-is-at-least-32-characters-long';
+
+const { passwordHasher } = await import('../utils/passwordHasher.js');
+
+const original = {
+  algorithm: passwordHasher.algorithm,
+  rounds: passwordHasher.rounds,
+  keyLength: passwordHasher.keyLength,
+};
+
+describe('Password Hasher', () => {
+  afterEach(() => {
+    Object.assign(passwordHasher, original);
+  });
+
+  test('should read cost parameters from each hash format', () => {
+    expect(passwordHasher.getHashInfo(`$2b$10$${'a'.repeat(53)}`)).toEqual({
+      algorithm: 'bcrypt',
+      params: { rounds: 10 },
+    });
+    expect(
+      passwordHasher.getHashInfo(`$pbkdf2$12000$${'ab'.repeat(16)}$${'cd'.repeat(64)}`)
+    ).toEqual({
+      algorithm: 'pbkdf2',
+      params: { iterations: 12000, keyLength: 64, saltLength: 16 },
+    });
+    expect(passwordHasher.getHashInfo('$argon2id$v=19$m=65536,t=3,p=4$c2FsdA$aGFzaA')).toEqual({
+      algorithm: 'argon2',
+      params: { type: 'argon2id', memoryCost: 65536, timeCost: 3, parallelism: 4 },
+    });
+    expect(passwordHasher.getHashInfo('plaintext').algorithm).toBe('unknown');
+  });
+
+  test('should flag hashes made with another algorithm or cost', () => {
+    Object.assign(passwordHasher, { algorithm: 'bcrypt', rounds: 12 });
+
+    expect(passwordHasher.needsRehash(`$2b$12$${'a'.repeat(53)}`)).toBe(false);
+    expect(passwordHasher.needsRehash(`$2b$10$${'a'.repeat(53)}`)).toBe(true);
+    expect(passwordHasher.needsRehash(`$scrypt$${'ab'.repeat(16)}$${'cd'.repeat(64)}`)).toBe(true);
+  });
+
+  test('should still verify scrypt hashes after the key length changes', async () => {
+    Object.assign(passwordHasher, { algorithm: 'scrypt', keyLength: 32 });
+    const hash = await passwordHasher.hash('violet-harbor-lantern');
+
+    passwordHasher.keyLength = 64;
+
+    expect(passwordHasher.needsRehash(hash)).toBe(true);
+    expect(await passwordHasher.verify('violet-harbor-lantern', hash)).toBe(true);
+    expect(await passwordHasher.verify('wrong-password', hash)).toBe(false);
+  });
+});
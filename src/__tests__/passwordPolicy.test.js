@@ -0,0 +1,76 @@
+/**
+ * Password Policy Tests
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { checkPasswordPolicy, getBaseWord, parseBlocklist } from '../utils/passwordPolicy.js';
+
+const policy = {
+  minLength: 8,
+  maxLength: 64,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireDigit: false,
+  requireSymbol: false,
+  blocklist: parseBlocklist('# comment\npassword\nsummer\nQwerty123\n'),
+};
+
+const codes = (password, overrides = {}, userInputs = {}) =>
+  checkPasswordPolicy(password, { ...policy, ...overrides }, userInputs).map((v) => v.code);
+
+describe('Password Policy', () => {
+  test('should accept a long, uncommon password', () => {
+    expect(codes('violet-harbor-lantern')).toEqual([]);
+  });
+
+  test('should enforce length limits', () => {
+    expect(codes('short')).toEqual(['too_short']);
+    expect(codes('a'.repeat(65) + 'xyz')).toContain('too_long');
+  });
+
+  test('should enforce required character classes', () => {
+    const strict = {
+      requireUppercase: true,
+      requireLowercase: true,
+      requireDigit: true,
+      requireSymbol: true,
+    };
+
+    expect(codes('violetharbor', strict)).toEqual([
+      'missing_uppercase',
+      'missing_digit',
+      'missing_symbol',
+    ]);
+    expect(codes('Violet-Harbor-7', strict)).toEqual([]);
+  });
+
+  test('should reject blocklisted passwords, ignoring case and padding', () => {
+    expect(codes('PASSWORD')).toEqual(['common']);
+    expect(codes('qwerty123')).toEqual(['common']);
+    expect(codes('Summer2024!')).toEqual(['common']);
+    expect(codes('password', { blocklist: null })).toEqual([]);
+  });
+
+  test('should reject passwords containing the email or name', () => {
+    const user = { email: 'jane.doe@example.com', firstName: 'Jane', lastName: 'Doe' };
+
+    expect(codes('my-jane.doe-pass', {}, user)).toEqual(['similar_to_personal_info']);
+    expect(codes('HelloJane!2024', {}, user)).toEqual(['similar_to_personal_info']);
+    // Tokens shorter than 3 characters are ignored
+    expect(codes('violet-harbor-lantern', {}, { firstName: 'Al' })).toEqual([]);
+  });
+
+  test('should report violations with the requested field', () => {
+    const [violation] = checkPasswordPolicy('short', policy, {}, 'newPassword');
+
+    expect(violation).toEqual({
+      field: 'newPassword',
+      code: 'too_short',
+      message: 'Password must be at least 8 characters',
+    });
+  });
+
+  test('should strip leading and trailing non-letters for the base word', () => {
+    expect(getBaseWord('123Dragon!!')).toBe('dragon');
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * PKCE Tests
+ * RFC 7636 Appendix B test vector
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { createCodeChallenge, createPkcePair } from '../utils/pkce.js';
+
+describe('PKCE', () => {
+  test('should match the RFC 7636 S256 vector', () => {
+    expect(createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk')).toBe(
+      'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM'
+    );
+  });
+
+  test('should generate a 43-character verifier with a matching challenge', () => {
+    const { verifier, challenge, method } = createPkcePair();
+
+    expect(verifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(challenge).toBe(createCodeChallenge(verifier));
+    expect(method).toBe('S256');
+  });
+});
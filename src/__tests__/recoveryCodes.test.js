@@ -0,0 +1,46 @@
+/**
+ * Recovery Code Tests
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+
+// Services read their configuration on import
+process.env.JWT_SECRET ??= 'test-jwt-secret-key-that-is-at-least-32-characters-long';
+
+const { TwoFactorService } = await import('../services/TwoFactorService.js');
+const { RecoveryCodeModel } = await import('../models/RecoveryCodeModel.js');
+const { passwordHasher } = await import('../utils/passwordHasher.js');
+
+describe('TwoFactorService.useRecoveryCode', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should let only one of two concurrent requests redeem a code', async () => {
+    const code = { id: 'code-1', code_hash: 'hash', used_at: null };
+
+    jest.spyOn(RecoveryCodeModel, 'findUnusedByUser').mockResolvedValue([code]);
+    jest.spyOn(passwordHasher, 'verify').mockResolvedValue(true);
+    // Behaves like the conditional update: only the first call finds the code unused
+    jest.spyOn(RecoveryCodeModel, 'markUsed').mockImplementation(async () => {
+      if (code.used_at) return false;
+      code.used_at = new Date();
+      return true;
+    });
+
+    const results = await Promise.all([
+      TwoFactorService.useRecoveryCode('user-1', 'abcd-efgh'),
+      TwoFactorService.useRecoveryCode('user-1', 'abcd-efgh'),
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+  });
+
+  test('should reject a code that matches no unused code', async () => {
+    jest.spyOn(RecoveryCodeModel, 'findUnusedByUser').mockResolvedValue([]);
+    const markUsed = jest.spyOn(RecoveryCodeModel, 'markUsed');
+
+    expect(await TwoFactorService.useRecoveryCode('user-1', 'abcd-efgh')).toBe(false);
+    expect(markUsed).not.toHaveBeenCalled();
+  });
+});
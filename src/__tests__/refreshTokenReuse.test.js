@@ -0,0 +1,78 @@
+/**
+ * Refresh Token Reuse Tests
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+
+// Services read their configuration on import
+process.env.JWT_SECRET ??= 'test-jwt-secret-key-that-is-at-least-32-characters-long';
+process.env.JWT_REFRESH_SECRET ??= 'test-refresh-secret-key-that-is-at-least-32-characters-long';
+
+const { AuthService } = await import('../services/AuthService.js');
+const { SessionService } = await import('../services/SessionService.js');
+const { tokenService } = await import('../services/TokenService.js');
+const { generateTokens } = await import('../middlewares/auth.js');
+
+const user = { id: 'user-1', email: 'user@example.com', role: 'user' };
+const { refreshToken } = generateTokens({ ...user, sid: 'family-1' });
+
+describe('Refresh token reuse detection', () => {
+  let revoke;
+
+  beforeEach(() => {
+    jest.spyOn(tokenService, 'isBlacklisted').mockResolvedValue(false);
+    revoke = jest.spyOn(SessionService, 'revoke').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should revoke the token family when a rotated token is replayed', async () => {
+    jest.spyOn(tokenService, 'findRefreshToken').mockResolvedValue({
+      id: 'token-1',
+      user_id: user.id,
+      family_id: 'family-1',
+      used_at: new Date(),
+      revoked_at: null,
+    });
+    const consume = jest.spyOn(tokenService, 'consumeRefreshToken');
+
+    await expect(AuthService.refreshToken(refreshToken)).rejects.toThrow(
+      'Refresh token has already been used'
+    );
+    expect(revoke).toHaveBeenCalledWith('family-1');
+    expect(consume).not.toHaveBeenCalled();
+  });
+
+  test('should revoke the token family when a concurrent request consumed the token first', async () => {
+    jest.spyOn(tokenService, 'findRefreshToken').mockResolvedValue({
+      id: 'token-1',
+      user_id: user.id,
+      family_id: 'family-1',
+      used_at: null,
+      revoked_at: null,
+    });
+    jest.spyOn(tokenService, 'consumeRefreshToken').mockResolvedValue(false);
+
+    await expect(AuthService.refreshToken(refreshToken)).rejects.toThrow(
+      'Refresh token has already been used'
+    );
+    expect(revoke).toHaveBeenCalledWith('family-1');
+  });
+
+  test('should reject a revoked token without touching the family', async () => {
+    jest.spyOn(tokenService, 'findRefreshToken').mockResolvedValue({
+      id: 'token-1',
+      user_id: user.id,
+      family_id: 'family-1',
+      used_at: null,
+      revoked_at: new Date(),
+    });
+
+    await expect(AuthService.refreshToken(refreshToken)).rejects.toThrow(
+      'Invalid or expired refresh token'
+    );
+    expect(revoke).not.toHaveBeenCalled();
+  });
+});
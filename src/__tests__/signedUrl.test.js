@@ -0,0 +1,32 @@
+/**
+ * Signed URL Tests
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { signKey, verifyKeySignature } from '../utils/signedUrl.js';
+
+const secret = 'test-signing-secret-with-enough-length';
+const now = 1_800_000_000;
+
+describe('Signed URLs', () => {
+  test('should accept a valid signature before it expires', () => {
+    const signature = signKey('invoices/a.pdf', now + 60, secret);
+
+    expect(verifyKeySignature('invoices/a.pdf', String(now + 60), signature, secret, now)).toBe(
+      true
+    );
+  });
+
+  test('should reject expired, tampered or foreign signatures', () => {
+    const signature = signKey('invoices/a.pdf', now + 60, secret);
+
+    expect(verifyKeySignature('invoices/a.pdf', now + 60, signature, secret, now + 61)).toBe(false);
+    expect(verifyKeySignature('invoices/b.pdf', now + 60, signature, secret, now)).toBe(false);
+    expect(verifyKeySignature('invoices/a.pdf', now + 3600, signature, secret, now)).toBe(false);
+    expect(verifyKeySignature('invoices/a.pdf', now + 60, signature, 'other-secret', now)).toBe(
+      false
+    );
+    expect(verifyKeySignature('invoices/a.pdf', 'soon', signature, secret, now)).toBe(false);
+    expect(verifyKeySignature('invoices/a.pdf', now + 60, undefined, secret, now)).toBe(false);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * TOTP Tests
+ * RFC 6238 Appendix B test vectors (SHA-1), evaluated against a fixed clock
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+} from '../utils/totp.js';
+
+// ASCII "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('Base32', () => {
+  test('should round-trip arbitrary bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+  });
+
+  test('should encode the RFC secret', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('should generate a 160-bit secret by default', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('TOTP', () => {
+  test.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+  ])('should match RFC 6238 vector at T=%i', (seconds, expected) => {
+    expect(generateTotp(RFC_SECRET, { timestamp: seconds * 1000, digits: 8 })).toBe(expected);
+  });
+
+  test('should verify a code within the window and return its time step', () => {
+    const timestamp = 1111111111 * 1000;
+    const previousCode = generateTotp(RFC_SECRET, { timestamp: timestamp - 30000 });
+
+    expect(verifyTotp(RFC_SECRET, previousCode, { timestamp })).toBe(
+      Math.floor(timestamp / 1000 / 30) - 1
+    );
+  });
+
+  test('should reject codes outside the window', () => {
+    const timestamp = 1111111111 * 1000;
+    const oldCode = generateTotp(RFC_SECRET, { timestamp: timestamp - 90000 });
+
+    expect(verifyTotp(RFC_SECRET, oldCode, { timestamp })).toBeNull();
+  });
+
+  test('should reject malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  test('should build an otpauth URL', () => {
+    const url = buildOtpAuthUrl({ secret: RFC_SECRET, accountName: 'a@b.c', issuer: 'App' });
+
+    expect(url.startsWith('otpauth://totp/App%3Aa%40b.c?')).toBe(true);
+    expect(url).toContain(`secret=${RFC_SECRET}`);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Upload Session Tests
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+
+// Services read their configuration on import
+process.env.JWT_SECRET ??= 'test-jwt-secret-key-that-is-at-least-32-characters-long';
+
+const { UploadSessionService } = await import('../services/UploadSessionService.js');
+const { UploadSessionModel } = await import('../models/UploadSessionModel.js');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// 10 bytes in chunks of 4: 4 + 4 + 2
+const session = {
+  id: crypto.randomUUID(),
+  user_id: 'user-1',
+  status: 'pending',
+  size: 10,
+  chunk_size: 4,
+  total_chunks: 3,
+  expires_at: new Date(Date.now() + 60 * 60 * 1000),
+};
+const user = { id: 'user-1' };
+const sessionDir = path.join(process.cwd(), 'temp', 'uploads', session.id);
+
+const send = (index, data, checksum = sha256(data), contentLength = undefined) =>
+  UploadSessionService.receiveChunk(
+    session.id,
+    index,
+    Readable.from([Buffer.from(data)]),
+    checksum,
+    contentLength,
+    user
+  );
+
+describe('UploadSessionService.receiveChunk', () => {
+  let saveChunk;
+
+  beforeEach(() => {
+    jest.spyOn(UploadSessionModel, 'findById').mockResolvedValue(session);
+    jest.spyOn(UploadSessionModel, 'update').mockResolvedValue(session);
+    jest.spyOn(UploadSessionModel, 'getChunks').mockResolvedValue([]);
+    saveChunk = jest.spyOn(UploadSessionModel, 'saveChunk').mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.promises.rm(sessionDir, { recursive: true, force: true });
+  });
+
+  test('should store a chunk of the expected size and checksum', async () => {
+    await send(2, 'ij');
+
+    expect(saveChunk).toHaveBeenCalledWith(session.id, {
+      index: 2,
+      size: 2,
+      checksum: sha256('ij'),
+    });
+    expect(fs.readFileSync(path.join(sessionDir, '2.part'), 'utf8')).toBe('ij');
+  });
+
+  test('should reject a declared length that does not match the chunk size', async () => {
+    await expect(send(0, 'abcd', undefined, 5)).rejects.toMatchObject({ statusCode: 413 });
+  });
+
+  test('should reject a chunk with too few or too many bytes', async () => {
+    await expect(send(0, 'abc')).rejects.toThrow('Chunk 0 must be 4 bytes, got 3');
+    await expect(send(0, 'abcde')).rejects.toThrow('Chunk is larger than 4 bytes');
+    expect(saveChunk).not.toHaveBeenCalled();
+  });
+
+  test('should reject a chunk whose checksum does not match', async () => {
+    await expect(send(0, 'abcd', sha256('abce'))).rejects.toThrow('Checksum mismatch for chunk 0');
+    expect(saveChunk).not.toHaveBeenCalled();
+    expect(fs.readdirSync(sessionDir)).toEqual([]);
+  });
+
+  test('should reject an index outside the upload', async () => {
+    await expect(send(3, 'ab')).rejects.toThrow('Chunk index must be below 3');
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Bulk User Administration Tests
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+
+// Services read their configuration on import
+process.env.JWT_SECRET ??= 'test-jwt-secret-key-that-is-at-least-32-characters-long';
+
+const { UserService } = await import('../services/UserService.js');
+const { RoleService } = await import('../services/RoleService.js');
+const { RoleModel } = await import('../models/RoleModel.js');
+const { UserModel } = await import('../models/UserModel.js');
+const { SYSTEM_ROLES } = await import('../config/permissions.js');
+
+const mockRoles = () => {
+  jest
+    .spyOn(RoleModel, 'findByName')
+    .mockImplementation(async (name) => (SYSTEM_ROLES[name] ? { name } : null));
+  jest
+    .spyOn(RoleModel, 'getPermissionNames')
+    .mockImplementation(async (name) => SYSTEM_ROLES[name].permissions);
+};
+
+describe('UserService.bulk set_role', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    RoleService.clearPermissionCache();
+  });
+
+  test('should refuse a role granting permissions the assigner lacks', async () => {
+    mockRoles();
+    const findForBulk = jest.spyOn(UserModel, 'findForBulk');
+    const assigner = { id: 'admin-1', permissions: ['users:read', 'users:assign_role'] };
+
+    await expect(
+      UserService.bulk(
+        { action: 'set_role', role: 'super_admin', filter: { role: 'user' } },
+        assigner
+      )
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(findForBulk).not.toHaveBeenCalled();
+  });
+
+  test('should allow a role within the assigner permissions', async () => {
+    mockRoles();
+    const findForBulk = jest.spyOn(UserModel, 'findForBulk').mockResolvedValue([]);
+    const assigner = { id: 'admin-1', permissions: SYSTEM_ROLES.super_admin.permissions };
+
+    const report = await UserService.bulk(
+      { action: 'set_role', role: 'admin', ids: ['user-1'], dry_run: true },
+      assigner
+    );
+
+    expect(findForBulk).toHaveBeenCalled();
+    expect(report.results).toEqual([
+      { id: 'user-1', email: null, outcome: 'skipped', reason: 'not_found' },
+    ]);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * User Profile Tests
+ * Preference merging and custom metadata validation
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  isValidLocale,
+  isValidTimeZone,
+  mergePreferences,
+  mergeMetadata,
+  buildMetadataSchema,
+} from '../utils/userProfile.js';
+
+const defaults = {
+  locale: 'en',
+  timezone: 'UTC',
+  notifications: { product_updates: true, marketing: false },
+};
+
+const fields = {
+  company: { type: 'string', max: 5, userEditable: true },
+  seats: { type: 'number', min: 1 },
+  plan: { type: 'enum', values: ['free', 'pro'] },
+  start_date: { type: 'date' },
+};
+
+describe('User Profile', () => {
+  test('should validate locales and time zones', () => {
+    expect(isValidLocale('pt-BR')).toBe(true);
+    expect(isValidLocale('not a locale')).toBe(false);
+    expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+
+  test('should merge notification settings key by key over the defaults', () => {
+    const current = { timezone: 'Africa/Accra', notifications: { marketing: true } };
+
+    expect(
+      mergePreferences(defaults, current, { notifications: { product_updates: false } })
+    ).toEqual({
+      locale: 'en',
+      timezone: 'Africa/Accra',
+      notifications: { product_updates: false, marketing: true },
+    });
+  });
+
+  test('should clear metadata keys set to null', () => {
+    expect(mergeMetadata({ company: 'Acme', seats: 3 }, { company: null, plan: 'pro' })).toEqual({
+      seats: 3,
+      plan: 'pro',
+    });
+    expect(mergeMetadata({ company: 'Acme' }, { company: null })).toBeNull();
+  });
+
+  test('should validate metadata types and reject unknown keys', () => {
+    const schema = buildMetadataSchema(fields);
+
+    expect(schema.safeParse({ seats: 2, plan: 'pro', start_date: '2026-01-31' }).success).toBe(
+      true
+    );
+    expect(schema.safeParse({ seats: 0 }).success).toBe(false);
+    expect(schema.safeParse({ plan: 'gold' }).success).toBe(false);
+    expect(schema.safeParse({ company: 'Too long' }).success).toBe(false);
+    expect(schema.safeParse({ nickname: 'x' }).success).toBe(false);
+  });
+
+  test('should limit user updates to user-editable fields', () => {
+    const schema = buildMetadataSchema(fields, { userEditableOnly: true });
+
+    expect(schema.safeParse({ company: 'Acme' }).success).toBe(true);
+    expect(schema.safeParse({ plan: 'pro' }).success).toBe(false);
+  });
+});
@@ -4,6 +4,7 @@ import helmet from 'helmet';
 import compression from 'compression';
 
 import { env } from './config/env.js';
+import { getUsedDrivers } from './config/upload.js';
 import { requestId, requestLogger } from './middlewares/requestLogger.js';
 import { notFoundHandler, errorHandler } from './middlewares/errorHandler.js';
 import routes from './routes/index.js';
@@ -44,7 +45,7 @@ const createApp = () => {
       origin: env.CORS_ORIGIN === '*' ? '*' : env.CORS_ORIGIN.split(','),
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-API-Key'],
     })
   );
 
@@ -55,8 +56,8 @@ const createApp = () => {
   app.use(express.json({ limit: '10mb' }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-  // Serve uploaded files (only for local storage)
-  if (env.UPLOAD_STRATEGY === 'local') {
+  // Serve uploaded files (only for local storage; private groups live outside this folder)
+  if (getUsedDrivers().has('local')) {
     app.use(`/${env.UPLOAD_LOCAL_PATH}`, express.static(env.UPLOAD_LOCAL_PATH));
   }
 
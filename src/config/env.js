@@ -36,6 +36,9 @@ const envSchema = z.object({
   JWT_EXPIRES_IN: z.string().default('7d'),
   JWT_REFRESH_SECRET: z.string().min(32).optional(),
   JWT_REFRESH_EXPIRES_IN: z.string().default('30d'),
+  JWT_ALGORITHM: z.enum(['HS256', 'RS256', 'ES256']).default('HS256'), // Access tokens
+  JWT_KEYS_DIR: z.string().default('keys/jwt'), // RS256/ES256 private keys (<kid>.pem)
+  JWT_ACTIVE_KID: z.string().optional(), // Pin the signing key (defaults to the newest)
 
   // Security
   HASH_ALGORITHM: z.enum(['bcrypt', 'scrypt', 'pbkdf2', 'argon2']).default('bcrypt'),
@@ -44,6 +47,27 @@ const envSchema = z.object({
   HASH_SALT_LENGTH: z.string().default('16').transform(Number), // For scrypt and pbkdf2
   RATE_LIMIT_WINDOW_MS: z.string().default('900000').transform(Number), // 15 minutes
   RATE_LIMIT_MAX: z.string().default('100').transform(Number),
+  LOGIN_MAX_ATTEMPTS: z.string().default('5').transform(Number), // Failed logins before lockout
+  LOGIN_LOCKOUT_BASE_MS: z.string().default('900000').transform(Number), // 15 minutes, doubles per lockout
+  LOGIN_LOCKOUT_MAX_MS: z.string().default('86400000').transform(Number), // 24 hours
+
+  // Password policy
+  PASSWORD_MIN_LENGTH: z.string().default('8').transform(Number),
+  PASSWORD_MAX_LENGTH: z.string().default('128').transform(Number),
+  PASSWORD_REQUIRE_UPPERCASE: z.string().default('false'),
+  PASSWORD_REQUIRE_LOWERCASE: z.string().default('false'),
+  PASSWORD_REQUIRE_DIGIT: z.string().default('false'),
+  PASSWORD_REQUIRE_SYMBOL: z.string().default('false'),
+  PASSWORD_BLOCK_COMMON: z.string().default('true'), // Reject common/breached passwords
+  PASSWORD_BLOCKLIST_PATH: z.string().optional(), // Replaces the bundled list (one password per line)
+  PASSWORD_HISTORY_SIZE: z.string().default('5').transform(Number), // Recent passwords, current included, that cannot be reused (0 disables)
+
+  // Account deletion
+  ACCOUNT_DELETION_GRACE_DAYS: z.string().default('14').transform(Number), // Time to cancel a self-service deletion
+  ACCOUNT_RETENTION_DAYS: z.string().default('30').transform(Number), // Soft-deleted users are anonymized after this
+
+  // Impersonation
+  IMPERSONATION_EXPIRES_IN: z.string().default('15m'), // Lifetime of a "login as user" token
 
   // Logging
   LOG_LEVEL: z.enum(['fatal', 'error', 'warn', 'info', 'debug', 'trace']).default('info'),
@@ -52,12 +76,21 @@ const envSchema = z.object({
   CORS_ORIGIN: z.string().default('*'),
 
   // Upload
-  UPLOAD_STRATEGY: z.enum(['local', 'cloudinary']).default('local'),
+  UPLOAD_STRATEGY: z.enum(['local', 'cloudinary', 's3']).default('local'), // Default storage driver
   UPLOAD_LOCAL_PATH: z.string().default('uploads'),
   UPLOAD_MAX_FILE_SIZE: z.string().default('5242880').transform(Number), // 5MB
   UPLOAD_MAX_IMAGE_SIZE: z.string().default('5242880').transform(Number), // 5MB
   UPLOAD_MAX_DOCUMENT_SIZE: z.string().default('10485760').transform(Number), // 10MB
   UPLOAD_MAX_VIDEO_SIZE: z.string().default('52428800').transform(Number), // 50MB
+  UPLOAD_PRIVATE_PATH: z.string().default('storage/private'), // Private groups (never served statically)
+  UPLOAD_SIGNING_SECRET: z.string().min(32).optional(), // Signs private file URLs (defaults to JWT_SECRET)
+  UPLOAD_SIGNED_URL_TTL: z.string().default('900').transform(Number), // Seconds a signed URL stays valid
+  UPLOAD_CHUNK_SIZE: z.string().default('8388608').transform(Number), // Resumable uploads: 8MB chunks
+  UPLOAD_SESSION_TTL_HOURS: z.string().default('24').transform(Number), // Abandoned after this long idle
+  UPLOAD_CHUNK_RATE_LIMIT_MAX: z.string().default('1000').transform(Number), // Chunks per rate limit window
+  UPLOAD_SCANNER: z.enum(['none', 'clamav']).default('none'), // Malware scanner for uploads
+  UPLOAD_SCAN_MAX_SIZE: z.string().default('26214400').transform(Number), // Larger files are not scanned (25MB)
+  UPLOAD_QUARANTINE_PATH: z.string().default('storage/quarantine'), // Infected uploads are moved here
 
   // Cloudinary (optional, only needed if using cloudinary)
   CLOUDINARY_CLOUD_NAME: z.string().optional(),
@@ -65,6 +98,21 @@ const envSchema = z.object({
   CLOUDINARY_API_SECRET: z.string().optional(),
   CLOUDINARY_FOLDER: z.string().default('uploads'),
 
+  // ClamAV daemon (only if UPLOAD_SCANNER=clamav)
+  CLAMAV_HOST: z.string().default('127.0.0.1'),
+  CLAMAV_PORT: z.string().default('3310').transform(Number),
+  CLAMAV_SOCKET: z.string().optional(), // Unix socket path, used instead of host/port
+  CLAMAV_TIMEOUT_MS: z.string().default('30000').transform(Number),
+
+  // S3-compatible object storage (optional, only needed if a group uses the s3 driver)
+  S3_ENDPOINT: z.string().url().optional(), // e.g. http://localhost:9000 for MinIO (default: AWS)
+  S3_REGION: z.string().default('us-east-1'),
+  S3_BUCKET: z.string().optional(),
+  S3_ACCESS_KEY_ID: z.string().optional(),
+  S3_SECRET_ACCESS_KEY: z.string().optional(),
+  S3_FORCE_PATH_STYLE: z.string().default('false'), // "true" for MinIO: endpoint/bucket/key URLs
+  S3_PUBLIC_URL: z.string().url().optional(), // Base URL of public objects (bucket policy or CDN)
+
   // Email (SMTP)
   EMAIL_HOST: z.string().optional(),
   EMAIL_PORT: z.string().transform(Number).optional(),
@@ -73,6 +121,22 @@ const envSchema = z.object({
   EMAIL_PASSWORD: z.string().optional(),
   EMAIL_FROM: z.string().optional(),
 
+  // OAuth / OpenID Connect (a provider is enabled when its client ID is set)
+  OAUTH_CALLBACK_URL: z.string().url().optional(), // Frontend page receiving ?code&state
+  GOOGLE_CLIENT_ID: z.string().optional(),
+  GOOGLE_CLIENT_SECRET: z.string().optional(),
+  GOOGLE_ISSUER: z.string().url().default('https://accounts.google.com'),
+  GITHUB_CLIENT_ID: z.string().optional(),
+  GITHUB_CLIENT_SECRET: z.string().optional(),
+  GITHUB_AUTHORIZATION_URL: z.string().url().default('https://github.com/login/oauth/authorize'),
+  GITHUB_TOKEN_URL: z.string().url().default('https://github.com/login/oauth/access_token'),
+  GITHUB_API_URL: z.string().url().default('https://api.github.com'),
+  OIDC_ISSUER: z.string().url().optional(),
+  OIDC_CLIENT_ID: z.string().optional(),
+  OIDC_CLIENT_SECRET: z.string().optional(),
+  OIDC_DISPLAY_NAME: z.string().default('Single Sign-On'),
+  OIDC_SCOPES: z.string().default('openid email profile'),
+
   // App
   APP_NAME: z.string().default('Express Backend'),
   APP_URL: z.string().optional(),
@@ -0,0 +1,44 @@
+import { env } from './env.js';
+import { JwtKeyring } from '../utils/jwtKeyring.js';
+
+/**
+ * JWT Key Configuration
+ * HS256 (default) signs access tokens with JWT_SECRET. RS256/ES256 sign them with
+ * the active key of the keyring in JWT_KEYS_DIR so other services can verify
+ * tokens with the public keys from /.well-known/jwks.json.
+ */
+
+let keyring = null;
+
+/**
+ * Whether access tokens are signed with an asymmetric keyring
+ */
+export const isAsymmetricJwt = () => env.JWT_ALGORITHM !== 'HS256';
+
+/**
+ * Get the keyring (loaded once; restart to pick up rotated keys)
+ */
+export const getJwtKeyring = () => {
+  if (!keyring) {
+    const loaded = JwtKeyring.fromDirectory(env.JWT_KEYS_DIR, env.JWT_ACTIVE_KID);
+
+    if (isAsymmetricJwt() && !loaded.getSigningKey()) {
+      throw new Error(
+        `JWT_ALGORITHM=${env.JWT_ALGORITHM} requires a signing key in ${env.JWT_KEYS_DIR} (run: pnpm run jwt:rotate or jwt:promote)`
+      );
+    }
+
+    keyring = loaded;
+  }
+
+  return keyring;
+};
+
+/**
+ * Public JWKS (empty in HS256 mode - shared secrets are never published)
+ */
+export const getJwks = () => {
+  return isAsymmetricJwt() ? getJwtKeyring().toJwks() : { keys: [] };
+};
+
+export default { isAsymmetricJwt, getJwtKeyring, getJwks };
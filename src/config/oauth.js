@@ -0,0 +1,75 @@
+import { env } from './env.js';
+
+/**
+ * OAuth / OpenID Connect Provider Configuration
+ * A provider is enabled when its client ID is set. Every endpoint comes from the
+ * environment so tests and local development can point at a mock IdP.
+ *
+ * type 'oidc'   - endpoints discovered from `${issuer}/.well-known/openid-configuration`
+ * type 'github' - plain OAuth2; the profile comes from the GitHub REST API
+ */
+export const oauthProviders = {
+  google: {
+    type: 'oidc',
+    displayName: 'Google',
+    issuer: env.GOOGLE_ISSUER,
+    clientId: env.GOOGLE_CLIENT_ID,
+    clientSecret: env.GOOGLE_CLIENT_SECRET,
+    scopes: ['openid', 'email', 'profile'],
+  },
+
+  github: {
+    type: 'github',
+    displayName: 'GitHub',
+    authorizationUrl: env.GITHUB_AUTHORIZATION_URL,
+    tokenUrl: env.GITHUB_TOKEN_URL,
+    apiUrl: env.GITHUB_API_URL,
+    clientId: env.GITHUB_CLIENT_ID,
+    clientSecret: env.GITHUB_CLIENT_SECRET,
+    scopes: ['read:user', 'user:email'],
+  },
+
+  oidc: {
+    type: 'oidc',
+    displayName: env.OIDC_DISPLAY_NAME,
+    issuer: env.OIDC_ISSUER,
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET,
+    scopes: env.OIDC_SCOPES.split(/\s+/).filter(Boolean),
+  },
+};
+
+/**
+ * Frontend page the IdP redirects back to (it posts code + state to the API)
+ */
+export const getOAuthCallbackUrl = () => {
+  return env.OAUTH_CALLBACK_URL || `${env.APP_URL || 'http://localhost:3000'}/oauth/callback`;
+};
+
+/**
+ * Get an enabled provider's configuration (null if unknown or not configured)
+ */
+export const getOAuthProvider = (name) => {
+  const provider = Object.hasOwn(oauthProviders, name) ? oauthProviders[name] : null;
+
+  if (!provider || !provider.clientId) {
+    return null;
+  }
+
+  if (provider.type === 'oidc' && !provider.issuer) {
+    return null;
+  }
+
+  return provider;
+};
+
+/**
+ * List enabled providers
+ */
+export const getEnabledOAuthProviders = () => {
+  return Object.keys(oauthProviders)
+    .filter((name) => getOAuthProvider(name))
+    .map((name) => ({ name, displayName: oauthProviders[name].displayName }));
+};
+
+export default { oauthProviders, getOAuthCallbackUrl, getOAuthProvider, getEnabledOAuthProviders };
@@ -0,0 +1,41 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { env } from './env.js';
+import { parseBlocklist } from '../utils/passwordPolicy.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Offline list of common/breached passwords shipped with the app
+const BUNDLED_BLOCKLIST_PATH = path.join(__dirname, 'data', 'common-passwords.txt');
+
+/**
+ * Load the blocklist (PASSWORD_BLOCKLIST_PATH replaces the bundled list)
+ */
+const loadBlocklist = () => {
+  if (env.PASSWORD_BLOCK_COMMON !== 'true') {
+    return null;
+  }
+
+  const file = env.PASSWORD_BLOCKLIST_PATH
+    ? path.resolve(process.cwd(), env.PASSWORD_BLOCKLIST_PATH)
+    : BUNDLED_BLOCKLIST_PATH;
+
+  return parseBlocklist(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * Password Policy Configuration
+ */
+export const passwordPolicy = {
+  minLength: env.PASSWORD_MIN_LENGTH,
+  maxLength: env.PASSWORD_MAX_LENGTH,
+  requireUppercase: env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+  requireLowercase: env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+  requireDigit: env.PASSWORD_REQUIRE_DIGIT === 'true',
+  requireSymbol: env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  blocklist: loadBlocklist(),
+  historySize: env.PASSWORD_HISTORY_SIZE,
+};
+
+export default passwordPolicy;
@@ -0,0 +1,47 @@
+/**
+ * Permission Configuration
+ * Built-in permissions and the default grants of the built-in (system) roles.
+ * Custom roles are managed at runtime through the /roles API.
+ */
+
+export const PERMISSIONS = {
+  'users:read': 'View users',
+  'users:create': 'Create users',
+  'users:update': 'Update users and their status',
+  'users:delete': 'Delete users',
+  'users:restore': 'Restore deleted users',
+  'users:assign_role': 'Change user roles',
+  'roles:read': 'View roles and permissions',
+  'roles:manage': 'Create, update and delete roles and permissions',
+  'audit:read': 'View audit logs',
+  'files:read': 'Read any uploaded file, private ones included',
+};
+
+export const SYSTEM_ROLES = {
+  super_admin: {
+    description: 'Full access',
+    permissions: Object.keys(PERMISSIONS),
+  },
+  admin: {
+    description: 'User administration',
+    permissions: [
+      'users:read',
+      'users:create',
+      'users:update',
+      'users:delete',
+      'users:restore',
+      'roles:read',
+      'audit:read',
+      'files:read',
+    ],
+  },
+  user: {
+    description: 'Regular user',
+    permissions: [],
+  },
+};
+
+// Role given to new users when none is specified
+export const DEFAULT_ROLE = 'user';
+
+export default { PERMISSIONS, SYSTEM_ROLES, DEFAULT_ROLE };
@@ -1,6 +1,15 @@
 import swaggerJsdoc from 'swagger-jsdoc';
 import { env } from './env.js';
-import { authSchemas, userSchemas } from '../validators/schemas.js';
+import {
+  authSchemas,
+  userSchemas,
+  invitationSchemas,
+  roleSchemas,
+  permissionSchemas,
+  auditLogSchemas,
+  fileSchemas,
+  uploadSessionSchemas,
+} from '../validators/schemas.js';
 import { api, generateDocs } from '../utils/routeDoc.js';
 
 /**
@@ -68,6 +77,15 @@ const routes = [
     },
   }),
 
+  api.post('/auth/accept-invite', {
+    summary: 'Accept invitation',
+    description:
+      'Create the invited account with your own password (the role is set by the inviter) and receive JWT tokens',
+    tags: ['Authentication'],
+    body: authSchemas.acceptInvite,
+    auth: false,
+  }),
+
   api.post('/auth/login', {
     summary: 'Login user',
     description: 'Authenticate with email/password and receive JWT tokens',
@@ -86,6 +104,38 @@ const routes = [
     },
   }),
 
+  api.post('/auth/2fa/verify', {
+    summary: 'Complete two-factor login',
+    description:
+      'Exchange the challenge token returned by login (when 2FA is enabled) and a TOTP or recovery code for JWT tokens',
+    tags: ['Authentication'],
+    body: authSchemas.twoFactorVerify,
+    auth: false,
+  }),
+
+  api.post('/auth/2fa/enroll', {
+    summary: 'Start two-factor enrollment',
+    description: 'Generate a TOTP secret and otpauth:// URL for an authenticator app',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
+  api.post('/auth/2fa/confirm', {
+    summary: 'Confirm two-factor enrollment',
+    description: 'Enable 2FA with a code from the authenticator app; returns recovery codes once',
+    tags: ['Authentication'],
+    body: authSchemas.twoFactorConfirm,
+    auth: true,
+  }),
+
+  api.post('/auth/2fa/disable', {
+    summary: 'Disable two-factor authentication',
+    description: 'Requires your password and a current code or recovery code',
+    tags: ['Authentication'],
+    body: authSchemas.twoFactorDisable,
+    auth: true,
+  }),
+
   api.post('/auth/refresh', {
     summary: 'Refresh access token',
     description: 'Get a new access token using your refresh token',
@@ -119,12 +169,68 @@ const routes = [
 
   api.patch('/auth/me', {
     summary: 'Update current user profile',
-    description: 'Update profile information (name, phone, avatar)',
+    description: 'Update profile information (name, phone, bio)',
     tags: ['Authentication'],
     body: authSchemas.updateProfile,
     auth: true,
   }),
 
+  api.delete('/auth/me', {
+    summary: 'Delete account',
+    description:
+      'Schedule deletion of your account after ACCOUNT_DELETION_GRACE_DAYS. Signs out every device; sign in again and cancel to keep the account. Personal data is then anonymized',
+    tags: ['Authentication'],
+    body: authSchemas.deleteAccount,
+    auth: true,
+  }),
+
+  api.put('/auth/me/avatar', {
+    summary: 'Upload avatar',
+    description:
+      'multipart/form-data with an image `file` (JPEG, PNG, GIF or WebP, max 2MB); the previous avatar file is deleted',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
+  api.delete('/auth/me/avatar', {
+    summary: 'Remove avatar',
+    description: 'Remove your avatar and delete its file',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
+  api.patch('/auth/me/preferences', {
+    summary: 'Update preferences',
+    description:
+      'Set locale (BCP 47), timezone (IANA) and notification settings; unspecified settings keep their value',
+    tags: ['Authentication'],
+    body: authSchemas.updatePreferences,
+    auth: true,
+  }),
+
+  api.patch('/auth/me/metadata', {
+    summary: 'Update custom metadata',
+    description: 'Set the user-editable custom metadata fields; null clears a field',
+    tags: ['Authentication'],
+    body: authSchemas.updateMetadata,
+    auth: true,
+  }),
+
+  api.post('/auth/me/cancel-deletion', {
+    summary: 'Cancel account deletion',
+    description: 'Cancel a scheduled account deletion during the grace period',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
+  api.post('/auth/me/export', {
+    summary: 'Export personal data',
+    description:
+      'Download a JSON file with your profile, sessions, API keys, linked accounts and audit entries',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
   api.post('/auth/change-password', {
     summary: 'Change password',
     description: 'Change your current password',
@@ -133,6 +239,32 @@ const routes = [
     auth: true,
   }),
 
+  api.post('/auth/change-email', {
+    summary: 'Change email',
+    description:
+      'Request an email change. A confirmation link goes to the new address and a notice with a revert link to the current one; the email only changes once confirmed',
+    tags: ['Authentication'],
+    body: authSchemas.changeEmail,
+    auth: true,
+  }),
+
+  api.post('/auth/change-email/confirm', {
+    summary: 'Confirm email change',
+    description: 'Switch to the new email using the token sent to it',
+    tags: ['Authentication'],
+    body: authSchemas.emailChangeToken,
+    auth: false,
+  }),
+
+  api.post('/auth/change-email/revert', {
+    summary: 'Revert email change',
+    description:
+      'Cancel a pending email change, or undo a confirmed one and sign out all devices, using the token sent to the old address',
+    tags: ['Authentication'],
+    body: authSchemas.emailChangeToken,
+    auth: false,
+  }),
+
   api.post('/auth/forgot-password', {
     summary: 'Request password reset',
     description: 'Send a password reset link to your email',
@@ -141,6 +273,30 @@ const routes = [
     auth: false,
   }),
 
+  api.post('/auth/magic-link', {
+    summary: 'Request magic link',
+    description:
+      'Email a single-use sign-in link (15 minutes). Same response whether or not the account exists. With bind_device the response includes a deviceToken required to use the link',
+    tags: ['Authentication'],
+    body: authSchemas.magicLink,
+    auth: false,
+  }),
+
+  api.post('/auth/magic-link/verify', {
+    summary: 'Sign in with magic link',
+    description: 'Exchange a magic link token for access and refresh tokens',
+    tags: ['Authentication'],
+    body: authSchemas.magicLinkVerify,
+    auth: false,
+  }),
+
+  api.get('/auth/password-policy', {
+    summary: 'Get password policy',
+    description:
+      'Password requirements applied on register, password change/reset and admin user create/update',
+    tags: ['Authentication'],
+  }),
+
   api.post('/auth/reset-password', {
     summary: 'Reset password with token',
     description: 'Reset your password using the token from email',
@@ -156,6 +312,106 @@ const routes = [
     auth: true,
   }),
 
+  api.post('/auth/impersonation/end', {
+    summary: 'End impersonation',
+    description: 'Invalidate the impersonation token in use and its session',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
+  api.get('/auth/sessions', {
+    summary: 'List active sessions',
+    description: 'List the devices currently signed in to your account',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
+  api.delete('/auth/sessions/{id}', {
+    summary: 'Revoke a session',
+    description: 'Sign out a specific device',
+    tags: ['Authentication'],
+    params: authSchemas.sessionParams,
+    auth: true,
+  }),
+
+  api.post('/auth/sessions/revoke-others', {
+    summary: 'Revoke other sessions',
+    description: 'Sign out every device except the current one',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
+  api.get('/auth/oauth/providers', {
+    summary: 'List OAuth providers',
+    description: 'List the enabled OAuth / OpenID Connect providers',
+    tags: ['Authentication'],
+  }),
+
+  api.get('/auth/oauth/{provider}', {
+    summary: 'Start OAuth login',
+    description:
+      'Get the provider authorization URL (authorization code + PKCE) and a stateToken to keep on the client. The provider redirects to OAUTH_CALLBACK_URL with code and state',
+    tags: ['Authentication'],
+    params: authSchemas.oauthParams,
+  }),
+
+  api.post('/auth/oauth/{provider}/callback', {
+    summary: 'Complete OAuth login',
+    description:
+      'Exchange the code and state for tokens. Creates the account on first login and links it to an existing account only if the provider verified the email. The state_token returned when the flow started is required',
+    tags: ['Authentication'],
+    params: authSchemas.oauthParams,
+    body: authSchemas.oauthCallback,
+  }),
+
+  api.post('/auth/oauth/{provider}/link', {
+    summary: 'Link OAuth provider',
+    description:
+      'Get an authorization URL that links the provider account to the current user, and a stateToken to send with the callback',
+    tags: ['Authentication'],
+    params: authSchemas.oauthParams,
+    auth: true,
+  }),
+
+  api.get('/auth/identities', {
+    summary: 'List linked accounts',
+    description: 'List provider accounts linked to the current user',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
+  api.delete('/auth/identities/{id}', {
+    summary: 'Unlink account',
+    description: 'Unlink a provider account from the current user',
+    tags: ['Authentication'],
+    params: authSchemas.identityParams,
+    auth: true,
+  }),
+
+  api.get('/auth/api-keys', {
+    summary: 'List API keys',
+    description: 'List your active personal API keys (prefix, scopes, expiry, last use)',
+    tags: ['Authentication'],
+    auth: true,
+  }),
+
+  api.post('/auth/api-keys', {
+    summary: 'Create API key',
+    description:
+      'Create a personal API key, optionally scoped to some of your permissions. The key is returned once',
+    tags: ['Authentication'],
+    body: authSchemas.apiKeyCreate,
+    auth: true,
+  }),
+
+  api.delete('/auth/api-keys/{id}', {
+    summary: 'Revoke API key',
+    description: 'Revoke one of your API keys',
+    tags: ['Authentication'],
+    params: authSchemas.apiKeyParams,
+    auth: true,
+  }),
+
   api.get('/auth/verify-email', {
     summary: 'Verify email address',
     description: 'Verify email using the token sent to your email',
@@ -176,7 +432,7 @@ const routes = [
   // ============================================
   api.get('/users', {
     summary: 'List all users',
-    description: 'Get a paginated list of users (admin only)',
+    description: 'Get a paginated list of users (users:read)',
     tags: ['Users'],
     query: userSchemas.listQuery,
     auth: true,
@@ -194,12 +450,46 @@ const routes = [
 
   api.post('/users', {
     summary: 'Create new user',
-    description: 'Create a new user account (admin only)',
+    description:
+      'Create a new user account (users:create). A role other than the default also needs users:assign_role, and roles granting permissions the caller lacks are refused',
     tags: ['Users'],
     body: userSchemas.create,
     auth: true,
   }),
 
+  api.get('/users/invitations', {
+    summary: 'List invitations',
+    description: 'List invitations, optionally filtered by status (users:read)',
+    tags: ['Users'],
+    query: invitationSchemas.listQuery,
+    auth: true,
+  }),
+
+  api.post('/users/invitations', {
+    summary: 'Invite user',
+    description:
+      'Email an invite link (valid 7 days, single use). The invitee chooses their own password and gets the given role (users:create; a role other than the default also needs users:assign_role and may not grant permissions the caller lacks)',
+    tags: ['Users'],
+    body: invitationSchemas.create,
+    auth: true,
+  }),
+
+  api.post('/users/invitations/{id}/resend', {
+    summary: 'Resend invitation',
+    description: 'Send a pending invitation again with a fresh link (users:create)',
+    tags: ['Users'],
+    params: invitationSchemas.params,
+    auth: true,
+  }),
+
+  api.delete('/users/invitations/{id}', {
+    summary: 'Revoke invitation',
+    description: 'Revoke a pending invitation (users:create)',
+    tags: ['Users'],
+    params: invitationSchemas.params,
+    auth: true,
+  }),
+
   api.get('/users/{id}', {
     summary: 'Get user by ID',
     description: 'Retrieve a specific user by their ID',
@@ -210,7 +500,7 @@ const routes = [
 
   api.patch('/users/{id}', {
     summary: 'Update user',
-    description: 'Update user information (admin only)',
+    description: 'Update user information (users:update)',
     tags: ['Users'],
     params: userSchemas.params,
     body: userSchemas.update,
@@ -219,7 +509,7 @@ const routes = [
 
   api.delete('/users/{id}', {
     summary: 'Delete user',
-    description: 'Soft delete a user (admin only)',
+    description: 'Soft delete a user (users:delete)',
     tags: ['Users'],
     params: userSchemas.params,
     auth: true,
@@ -227,7 +517,8 @@ const routes = [
 
   api.patch('/users/{id}/role', {
     summary: 'Update user role',
-    description: 'Change a user role (super_admin only)',
+    description:
+      'Change a user role (users:assign_role). Roles granting permissions the caller lacks are refused, and nobody can change their own role',
     tags: ['Users'],
     params: userSchemas.params,
     body: userSchemas.updateRole,
@@ -236,7 +527,7 @@ const routes = [
 
   api.post('/users/{id}/activate', {
     summary: 'Activate user',
-    description: 'Activate a suspended or inactive user (admin only)',
+    description: 'Activate a suspended or inactive user (users:update)',
     tags: ['Users'],
     params: userSchemas.params,
     auth: true,
@@ -244,7 +535,7 @@ const routes = [
 
   api.post('/users/{id}/deactivate', {
     summary: 'Deactivate user',
-    description: 'Deactivate a user account (admin only)',
+    description: 'Deactivate a user account (users:update)',
     tags: ['Users'],
     params: userSchemas.params,
     auth: true,
@@ -252,11 +543,244 @@ const routes = [
 
   api.post('/users/{id}/suspend', {
     summary: 'Suspend user',
-    description: 'Suspend a user account (admin only)',
+    description: 'Suspend a user account (users:update)',
     tags: ['Users'],
     params: userSchemas.params,
     auth: true,
   }),
+
+  api.post('/users/{id}/unlock', {
+    summary: 'Unlock user',
+    description: 'Clear a temporary lockout caused by repeated failed logins (users:update)',
+    tags: ['Users'],
+    params: userSchemas.params,
+    auth: true,
+  }),
+
+  api.get('/users/export', {
+    summary: 'Export users',
+    description:
+      'Download users matching the list filters as CSV, JSON or NDJSON (streamed, no hashes or secrets) (users:read)',
+    tags: ['Users'],
+    query: userSchemas.exportQuery,
+    auth: true,
+  }),
+
+  api.post('/users/import', {
+    summary: 'Import users from CSV',
+    description:
+      'multipart/form-data with a CSV `file` (header: email, first_name, last_name, password, role, status; up to 1000 rows), `dry_run` and `invite` ("true"/"false"). Each row is validated like POST /users; invalid rows are reported per row and skipped. With invite=true, rows without a password become emailed invitations. (users:create)',
+    tags: ['Users'],
+    auth: true,
+  }),
+
+  api.patch('/users/{id}/metadata', {
+    summary: 'Update user metadata',
+    description:
+      'Set custom metadata fields declared in config/userProfile.js; unknown keys are rejected and null clears a field (users:update)',
+    tags: ['Users'],
+    params: userSchemas.params,
+    body: userSchemas.updateMetadata,
+    auth: true,
+  }),
+
+  api.post('/users/bulk', {
+    summary: 'Bulk user action',
+    description:
+      'Activate, deactivate, suspend, change role, delete or restore up to 5000 users selected by IDs or filter, in one transaction. Returns a per-user report; dry_run previews it without changes. Needs the permission of the single-user action.',
+    tags: ['Users'],
+    body: userSchemas.bulk,
+    auth: true,
+  }),
+
+  api.post('/users/{id}/impersonate', {
+    summary: 'Impersonate user',
+    description:
+      'Get a short-lived access token to act as the user; every request made with it is audited (super_admin)',
+    tags: ['Users'],
+    params: userSchemas.params,
+    auth: true,
+  }),
+
+  // ============================================
+  // Role & Permission Routes
+  // ============================================
+  api.get('/roles', {
+    summary: 'List roles',
+    description: 'Get a paginated list of roles (roles:read)',
+    tags: ['Roles'],
+    query: roleSchemas.listQuery,
+    auth: true,
+  }),
+
+  api.post('/roles', {
+    summary: 'Create role',
+    description: 'Create a custom role with optional permissions (roles:manage)',
+    tags: ['Roles'],
+    body: roleSchemas.create,
+    auth: true,
+  }),
+
+  api.get('/roles/{id}', {
+    summary: 'Get role',
+    description: 'Get a role with its permissions (roles:read)',
+    tags: ['Roles'],
+    params: roleSchemas.params,
+    auth: true,
+  }),
+
+  api.patch('/roles/{id}', {
+    summary: 'Update role',
+    description: 'Update role description and/or permissions (roles:manage)',
+    tags: ['Roles'],
+    params: roleSchemas.params,
+    body: roleSchemas.update,
+    auth: true,
+  }),
+
+  api.delete('/roles/{id}', {
+    summary: 'Delete role',
+    description: 'Delete a custom role that is not assigned to any user (roles:manage)',
+    tags: ['Roles'],
+    params: roleSchemas.params,
+    auth: true,
+  }),
+
+  api.put('/roles/{id}/permissions', {
+    summary: 'Set role permissions',
+    description: 'Replace the permissions granted to a role (roles:manage)',
+    tags: ['Roles'],
+    params: roleSchemas.params,
+    body: roleSchemas.setPermissions,
+    auth: true,
+  }),
+
+  api.get('/permissions', {
+    summary: 'List permissions',
+    description: 'Get all permissions (roles:read)',
+    tags: ['Roles'],
+    query: permissionSchemas.listQuery,
+    auth: true,
+  }),
+
+  api.post('/permissions', {
+    summary: 'Create permission',
+    description: "Create a permission named 'resource:action' (roles:manage)",
+    tags: ['Roles'],
+    body: permissionSchemas.create,
+    auth: true,
+  }),
+
+  api.delete('/permissions/{id}', {
+    summary: 'Delete permission',
+    description: 'Delete a permission and remove it from all roles (roles:manage)',
+    tags: ['Roles'],
+    params: permissionSchemas.params,
+    auth: true,
+  }),
+
+  // ============================================
+  // Audit Log Routes
+  // ============================================
+  api.get('/audit-logs', {
+    summary: 'List audit log entries',
+    description:
+      'Get a paginated list of audit entries, filterable by actor, action, target and date range (audit:read)',
+    tags: ['Audit'],
+    query: auditLogSchemas.listQuery,
+    auth: true,
+  }),
+
+  api.get('/audit-logs/{id}', {
+    summary: 'Get audit log entry',
+    description: 'Get a single audit entry including its before/after diff (audit:read)',
+    tags: ['Audit'],
+    params: auditLogSchemas.params,
+    auth: true,
+  }),
+
+  // ============================================
+  // File Routes
+  // ============================================
+  api.get('/files', {
+    summary: 'List files',
+    description:
+      'Get a paginated list of uploaded files. Without files:read only your own files are listed. Private files come with a signed URL. Filter by scan_status to find files stored without a malware scan.',
+    tags: ['Files'],
+    query: fileSchemas.listQuery,
+    auth: true,
+  }),
+
+  api.get('/files/{id}', {
+    summary: 'Get file',
+    description: 'Get a file record (owner or files:read), with the variants of processed images',
+    tags: ['Files'],
+    params: fileSchemas.params,
+    auth: true,
+  }),
+
+  api.delete('/files/{id}', {
+    summary: 'Delete file',
+    description: 'Delete a file from storage along with its record (owner or files:read)',
+    tags: ['Files'],
+    params: fileSchemas.params,
+    auth: true,
+  }),
+
+  api.get('/files/private/{group}/{filename}', {
+    summary: 'Download private file',
+    description:
+      'Serve a file of a private upload group. Requires a signed URL (expires, signature), ownership of the file or files:read. Supports Range requests.',
+    tags: ['Files'],
+    params: fileSchemas.privateParams,
+    query: fileSchemas.signedQuery,
+  }),
+
+  // ============================================
+  // Resumable Upload Routes
+  // ============================================
+  api.post('/uploads', {
+    summary: 'Start resumable upload',
+    description:
+      'Create an upload session for a group with resumable: true. The response gives the chunk size and number of chunks to send.',
+    tags: ['Uploads'],
+    body: uploadSessionSchemas.create,
+    auth: true,
+  }),
+
+  api.get('/uploads/{id}', {
+    summary: 'Get upload status',
+    description: 'Received and missing chunks of an upload, to resume after a disconnect',
+    tags: ['Uploads'],
+    params: uploadSessionSchemas.params,
+    auth: true,
+  }),
+
+  api.put('/uploads/{id}/chunks/{index}', {
+    summary: 'Upload chunk',
+    description:
+      'Send one chunk as application/octet-stream with its SHA-256 hex in the X-Chunk-Checksum header. Re-sending a chunk replaces it.',
+    tags: ['Uploads'],
+    params: uploadSessionSchemas.chunkParams,
+    auth: true,
+  }),
+
+  api.post('/uploads/{id}/complete', {
+    summary: 'Complete upload',
+    description:
+      'Assemble the chunks, verify the file checksum (if given at start) and store the file with the rules of its group',
+    tags: ['Uploads'],
+    params: uploadSessionSchemas.params,
+    auth: true,
+  }),
+
+  api.delete('/uploads/{id}', {
+    summary: 'Cancel upload',
+    description: 'Cancel an upload and delete its chunks',
+    tags: ['Uploads'],
+    params: uploadSessionSchemas.params,
+    auth: true,
+  }),
 ];
 
 /**
@@ -278,6 +802,11 @@ This API uses JWT (JSON Web Tokens) for authentication. Include the token in the
 Authorization: Bearer <your_token>
 \`\`\`
 
+Scripts and integrations can use a personal API key (see \`POST /auth/api-keys\`) instead:
+\`\`\`
+X-API-Key: <your_key>
+\`\`\`
+
 ## Rate Limiting
 - 100 requests per 15 minutes for most endpoints
 - 5 requests per minute for auth endpoints (login, register)
@@ -311,6 +840,12 @@ Authorization: Bearer <your_token>
           bearerFormat: 'JWT',
           description: 'Enter your JWT access token',
         },
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Personal API key',
+        },
       },
       schemas: {
         Error: {
@@ -371,7 +906,7 @@ Authorization: Bearer <your_token>
             last_name: { type: 'string', example: 'Doe' },
             phone: { type: 'string', nullable: true, example: '+1234567890' },
             avatar: { type: 'string', format: 'uri', nullable: true },
-            role: { type: 'string', enum: ['super_admin', 'admin', 'user'], example: 'user' },
+            role: { type: 'string', example: 'user' },
             status: {
               type: 'string',
               enum: ['active', 'inactive', 'suspended'],
@@ -499,6 +1034,22 @@ Authorization: Bearer <your_token>
         name: 'Users',
         description: 'User management endpoints (admin)',
       },
+      {
+        name: 'Roles',
+        description: 'Role and permission management (RBAC)',
+      },
+      {
+        name: 'Audit',
+        description: 'Audit trail of security- and admin-relevant actions',
+      },
+      {
+        name: 'Files',
+        description: 'Access to uploaded files',
+      },
+      {
+        name: 'Uploads',
+        description: 'Resumable (chunked) uploads of large files',
+      },
     ],
   },
   apis: [], // No JSDoc scanning needed - we use programmatic definitions
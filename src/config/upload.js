@@ -1,4 +1,5 @@
 // Upload Configuration
+import { env } from './env.js';
 
 /**
  * Upload Configuration
@@ -22,12 +23,29 @@ export const ALLOWED_TYPES = {
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
   ],
   video: ['video/mp4', 'video/mpeg', 'video/quicktime'],
+  // Browsers on Windows often report CSV as an Excel type
+  csv: ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'],
   all: null, // null means allow all types
 };
 
 /**
  * Upload Groups Configuration
  * Add/modify groups as needed for your application
+ *
+ * visibility: 'public' (default) files get a permanent URL anyone can open;
+ * 'private' files are only served to authorized users or through signed, expiring URLs
+ *
+ * driver: storage driver of the group - 'local', 'cloudinary' or 's3'
+ * (defaults to UPLOAD_STRATEGY)
+ *
+ * resumable: true lets users upload to the group in chunks through /uploads
+ *
+ * Images (JPEG, PNG, WebP, GIF, AVIF) of groups with maxWidth/maxHeight or variants are
+ * processed (see services/ImageService): larger images are rejected, metadata (EXIF, GPS)
+ * is stripped, and each variant is stored next to the original (not on Cloudinary, which
+ * resizes on delivery):
+ *   variants: { name: { width, height, fit ('inside' | 'cover' | 'contain'),
+ *               format ('webp' | 'avif' | 'jpeg' | 'png'), quality } }
  */
 export const uploadGroups = {
   // Default group
@@ -36,11 +54,45 @@ export const uploadGroups = {
     maxSize: MAX_FILE_SIZES.default,
   },
 
+  // Profile pictures (PUT /auth/me/avatar)
+  avatars: {
+    types: ALLOWED_TYPES.image,
+    maxSize: 2 * 1024 * 1024,
+    maxWidth: 4096,
+    maxHeight: 4096,
+    variants: {
+      thumb: { width: 64, height: 64, fit: 'cover' },
+      medium: { width: 512, height: 512 },
+    },
+  },
+
+  // Example private group: contracts, invoices, ID documents...
+  documents: {
+    types: ALLOWED_TYPES.document,
+    maxSize: MAX_FILE_SIZES.document,
+    visibility: 'private',
+  },
+
+  // Large videos, uploaded in chunks (POST /uploads)
+  videos: {
+    types: ALLOWED_TYPES.video,
+    maxSize: 2 * 1024 * 1024 * 1024, // 2GB
+    resumable: true,
+  },
+
+  // CSV files for POST /users/import (read and discarded, never stored)
+  imports: {
+    types: ALLOWED_TYPES.csv,
+    maxSize: 2 * 1024 * 1024,
+  },
+
   // Add your groups here...
   // Example:
   // products: {
   //   types: ALLOWED_TYPES.image,
   //   maxSize: 10 * 1024 * 1024,
+  //   visibility: 'private',
+  //   driver: 's3',
   // },
 };
 
@@ -51,6 +103,25 @@ export const getGroupConfig = (group) => {
   return uploadGroups[group] || uploadGroups.general;
 };
 
+/**
+ * Whether files of a group are private
+ */
+export const isPrivateGroup = (group) => uploadGroups[group]?.visibility === 'private';
+
+/**
+ * Storage driver of a group
+ */
+export const getGroupDriver = (group) => getGroupConfig(group).driver || env.UPLOAD_STRATEGY;
+
+/**
+ * Every storage driver used by a group (including the default)
+ */
+export const getUsedDrivers = () =>
+  new Set([
+    env.UPLOAD_STRATEGY,
+    ...Object.values(uploadGroups).map((config) => config.driver || env.UPLOAD_STRATEGY),
+  ]);
+
 /**
  * Detect file category from MIME type
  */
@@ -61,4 +132,13 @@ export const detectFileType = (mimetype) => {
   return 'unknown';
 };
 
-export default { uploadGroups, getGroupConfig, detectFileType, MAX_FILE_SIZES, ALLOWED_TYPES };
+export default {
+  uploadGroups,
+  getGroupConfig,
+  isPrivateGroup,
+  getGroupDriver,
+  getUsedDrivers,
+  detectFileType,
+  MAX_FILE_SIZES,
+  ALLOWED_TYPES,
+};
@@ -0,0 +1,36 @@
+/**
+ * User Profile Configuration
+ * Preference defaults and the custom metadata fields stored on each user
+ */
+
+// Applied to whatever the user has not set
+export const DEFAULT_PREFERENCES = {
+  locale: 'en',
+  timezone: 'UTC',
+  notifications: {
+    account_activity: true,
+    product_updates: true,
+    marketing: false,
+  },
+};
+
+/**
+ * Custom metadata fields (users.metadata)
+ * Only declared keys are accepted, each validated by its type:
+ *   string (max), number (min, max), boolean, date (YYYY-MM-DD), enum (values)
+ * Fields marked userEditable can also be changed by the user through PATCH /auth/me/metadata;
+ * admins set every field through PATCH /users/:id/metadata.
+ */
+export const USER_METADATA_FIELDS = {
+  company: { type: 'string', max: 100, userEditable: true },
+  job_title: { type: 'string', max: 100, userEditable: true },
+  department: { type: 'string', max: 100 },
+  employee_id: { type: 'string', max: 50 },
+  start_date: { type: 'date' },
+
+  // Add your fields here...
+  // Example:
+  // plan: { type: 'enum', values: ['free', 'pro', 'enterprise'] },
+};
+
+export default { DEFAULT_PREFERENCES, USER_METADATA_FIELDS };
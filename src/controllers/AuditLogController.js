@@ -0,0 +1,43 @@
+import { AuditService } from '../services/AuditService.js';
+import { ApiResponse } from '../utils/response.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { parsePagination } from '../utils/helpers.js';
+
+/**
+ * Audit Log Controller
+ */
+export class AuditLogController {
+  /**
+   * List audit log entries
+   * GET /audit-logs
+   */
+  static list = asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const { actor_id, action, target_type, target_id, from, to, sort_order } = req.query;
+
+    const result = await AuditService.list({
+      ...pagination,
+      sort_order,
+      actor_id,
+      action,
+      target_type,
+      target_id,
+      from,
+      to,
+    });
+
+    return ApiResponse.paginated(res, result.data, result.pagination);
+  });
+
+  /**
+   * Get audit log entry by ID
+   * GET /audit-logs/:id
+   */
+  static getById = asyncHandler(async (req, res) => {
+    const entry = await AuditService.getById(req.params.id);
+
+    return ApiResponse.success(res, entry);
+  });
+}
+
+export default AuditLogController;
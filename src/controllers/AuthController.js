@@ -1,6 +1,17 @@
 import { AuthService } from '../services/AuthService.js';
+import { SessionService } from '../services/SessionService.js';
+import { TwoFactorService } from '../services/TwoFactorService.js';
+import { ApiKeyService } from '../services/ApiKeyService.js';
+import { OAuthService } from '../services/OAuthService.js';
+import { PasswordPolicyService } from '../services/PasswordPolicyService.js';
+import { DataExportService } from '../services/DataExportService.js';
+import { AccountDeletionService } from '../services/AccountDeletionService.js';
+import { ImpersonationService } from '../services/ImpersonationService.js';
+import { ProfileService } from '../services/ProfileService.js';
 import { ApiResponse } from '../utils/response.js';
 import { asyncHandler } from '../middlewares/errorHandler.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { BadRequestError } from '../utils/errors.js';
 
 /**
  * Authentication Controller
@@ -11,22 +22,90 @@ export class AuthController {
    * POST /auth/register
    */
   static register = asyncHandler(async (req, res) => {
-    const result = await AuthService.register(req.body);
+    const result = await AuthService.register(req.body, getRequestContext(req));
 
     return ApiResponse.created(res, result, result.message || 'User registered successfully');
   });
 
+  /**
+   * Accept an invitation (sets the password and signs in)
+   * POST /auth/accept-invite
+   */
+  static acceptInvite = asyncHandler(async (req, res) => {
+    const result = await AuthService.acceptInvitation(req.body, getRequestContext(req));
+
+    return ApiResponse.created(res, result, 'Invitation accepted');
+  });
+
   /**
    * Login user
    * POST /auth/login
    */
   static login = asyncHandler(async (req, res) => {
     const { email, password } = req.body;
-    const result = await AuthService.login(email, password);
+    const result = await AuthService.login(email, password, getRequestContext(req));
+
+    if (result.mfaRequired) {
+      return ApiResponse.success(res, result, 'Two-factor authentication required');
+    }
+
+    return ApiResponse.success(res, result, 'Login successful');
+  });
+
+  /**
+   * Complete login with a TOTP or recovery code
+   * POST /auth/2fa/verify
+   */
+  static verifyTwoFactor = asyncHandler(async (req, res) => {
+    const { mfaToken, code, recoveryCode } = req.body;
+    const result = await AuthService.verifyTwoFactorLogin(
+      mfaToken,
+      { code, recoveryCode },
+      getRequestContext(req)
+    );
 
     return ApiResponse.success(res, result, 'Login successful');
   });
 
+  /**
+   * Start 2FA enrollment
+   * POST /auth/2fa/enroll
+   */
+  static enrollTwoFactor = asyncHandler(async (req, res) => {
+    const result = await TwoFactorService.enroll(req.user.id);
+
+    return ApiResponse.success(
+      res,
+      result,
+      'Scan the code with your authenticator app, then confirm with a code'
+    );
+  });
+
+  /**
+   * Confirm 2FA enrollment
+   * POST /auth/2fa/confirm
+   */
+  static confirmTwoFactor = asyncHandler(async (req, res) => {
+    const result = await TwoFactorService.confirm(req.user.id, req.body.code);
+
+    return ApiResponse.success(
+      res,
+      result,
+      'Two-factor authentication enabled. Store your recovery codes somewhere safe'
+    );
+  });
+
+  /**
+   * Disable 2FA
+   * POST /auth/2fa/disable
+   */
+  static disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+    await TwoFactorService.disable(req.user.id, password, code);
+
+    return ApiResponse.success(res, null, 'Two-factor authentication disabled');
+  });
+
   /**
    * Refresh access token
    * POST /auth/refresh
@@ -58,17 +137,143 @@ export class AuthController {
     return ApiResponse.success(res, user, 'Profile updated successfully');
   });
 
+  /**
+   * Upload a new avatar (replaces the previous one)
+   * PUT /auth/me/avatar
+   */
+  static updateAvatar = asyncHandler(async (req, res) => {
+    const user = await ProfileService.updateAvatar(req.user.id, req.file);
+
+    return ApiResponse.success(res, user, 'Avatar updated successfully');
+  });
+
+  /**
+   * Remove the avatar
+   * DELETE /auth/me/avatar
+   */
+  static removeAvatar = asyncHandler(async (req, res) => {
+    const user = await ProfileService.removeAvatar(req.user.id);
+
+    return ApiResponse.success(res, user, 'Avatar removed successfully');
+  });
+
+  /**
+   * Update preferences
+   * PATCH /auth/me/preferences
+   */
+  static updatePreferences = asyncHandler(async (req, res) => {
+    const preferences = await ProfileService.updatePreferences(req.user.id, req.body);
+
+    return ApiResponse.success(res, preferences, 'Preferences updated successfully');
+  });
+
+  /**
+   * Update the user-editable custom metadata fields
+   * PATCH /auth/me/metadata
+   */
+  static updateMetadata = asyncHandler(async (req, res) => {
+    const metadata = await ProfileService.updateMetadata(
+      req.user.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    return ApiResponse.success(res, metadata, 'Metadata updated successfully');
+  });
+
+  /**
+   * Download everything stored about the current user
+   * POST /auth/me/export
+   */
+  static exportData = asyncHandler(async (req, res) => {
+    const data = await DataExportService.exportUser(req.user.id, getRequestContext(req));
+    const date = data.exportedAt.slice(0, 10);
+
+    res.set('Content-Disposition', `attachment; filename="account-export-${date}.json"`);
+    res.set('Cache-Control', 'no-store');
+
+    return res.json(data);
+  });
+
+  /**
+   * Schedule deletion of the current user's account
+   * DELETE /auth/me
+   */
+  static deleteAccount = asyncHandler(async (req, res) => {
+    const result = await AccountDeletionService.requestDeletion(
+      req.user.id,
+      req.body.password,
+      getRequestContext(req)
+    );
+
+    return ApiResponse.success(
+      res,
+      result,
+      'Account deletion scheduled. Sign in and cancel before the scheduled date to keep your account.'
+    );
+  });
+
+  /**
+   * Cancel a scheduled account deletion
+   * POST /auth/me/cancel-deletion
+   */
+  static cancelAccountDeletion = asyncHandler(async (req, res) => {
+    const user = await AccountDeletionService.cancelDeletion(req.user.id, getRequestContext(req));
+
+    return ApiResponse.success(res, user, 'Account deletion cancelled');
+  });
+
   /**
    * Change password
    * POST /auth/change-password
    */
   static changePassword = asyncHandler(async (req, res) => {
     const { currentPassword, newPassword } = req.body;
-    await AuthService.changePassword(req.user.id, currentPassword, newPassword);
+    await AuthService.changePassword(
+      req.user.id,
+      currentPassword,
+      newPassword,
+      getRequestContext(req)
+    );
 
     return ApiResponse.success(res, null, 'Password changed successfully');
   });
 
+  /**
+   * Request an email change
+   * POST /auth/change-email
+   */
+  static changeEmail = asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    await AuthService.requestEmailChange(req.user.id, password, email, getRequestContext(req));
+
+    return ApiResponse.success(
+      res,
+      null,
+      'Check your new email address to confirm the change. Your current address stays active until then.'
+    );
+  });
+
+  /**
+   * Confirm an email change
+   * POST /auth/change-email/confirm
+   */
+  static confirmEmailChange = asyncHandler(async (req, res) => {
+    const user = await AuthService.confirmEmailChange(req.body.token, getRequestContext(req));
+
+    return ApiResponse.success(res, user, 'Email changed successfully');
+  });
+
+  /**
+   * Cancel or undo an email change
+   * POST /auth/change-email/revert
+   */
+  static revertEmailChange = asyncHandler(async (req, res) => {
+    await AuthService.revertEmailChange(req.body.token, getRequestContext(req));
+
+    return ApiResponse.success(res, null, 'Email change reverted');
+  });
+
   /**
    * Request password reset
    * POST /auth/forgot-password
@@ -84,13 +289,51 @@ export class AuthController {
     );
   });
 
+  /**
+   * Request a passwordless sign-in link
+   * POST /auth/magic-link
+   */
+  static requestMagicLink = asyncHandler(async (req, res) => {
+    const { email, bind_device } = req.body;
+    const result = await AuthService.requestMagicLink(email, { bindDevice: bind_device });
+
+    return ApiResponse.success(
+      res,
+      result,
+      'If an account exists with this email, you will receive a sign-in link'
+    );
+  });
+
+  /**
+   * Sign in with a magic link token
+   * POST /auth/magic-link/verify
+   */
+  static verifyMagicLink = asyncHandler(async (req, res) => {
+    const { token, device_token } = req.body;
+    const result = await AuthService.verifyMagicLink(token, device_token, getRequestContext(req));
+
+    if (result.mfaRequired) {
+      return ApiResponse.success(res, result, 'Two-factor authentication required');
+    }
+
+    return ApiResponse.success(res, result, 'Login successful');
+  });
+
+  /**
+   * Get the password policy
+   * GET /auth/password-policy
+   */
+  static getPasswordPolicy = asyncHandler(async (req, res) => {
+    return ApiResponse.success(res, PasswordPolicyService.getRequirements());
+  });
+
   /**
    * Reset password with token
    * POST /auth/reset-password
    */
   static resetPassword = asyncHandler(async (req, res) => {
     const { token, password } = req.body;
-    await AuthService.resetPassword(token, password);
+    await AuthService.resetPassword(token, password, getRequestContext(req));
 
     return ApiResponse.success(res, null, 'Password reset successfully');
   });
@@ -137,11 +380,161 @@ export class AuthController {
     const { refreshToken } = req.body || {};
 
     if (accessToken) {
-      await AuthService.logout(accessToken, refreshToken);
+      await AuthService.logout(accessToken, refreshToken, getRequestContext(req));
     }
 
     return ApiResponse.success(res, null, 'Logged out successfully');
   });
+
+  /**
+   * End the current impersonation
+   * POST /auth/impersonation/end
+   */
+  static endImpersonation = asyncHandler(async (req, res) => {
+    if (!req.impersonator) {
+      throw new BadRequestError('You are not impersonating a user');
+    }
+
+    const accessToken = req.headers.authorization.split(' ')[1];
+
+    await ImpersonationService.end(accessToken, req.user, req.impersonator, getRequestContext(req));
+
+    return ApiResponse.success(res, null, 'Impersonation ended');
+  });
+
+  /**
+   * List active sessions (devices)
+   * GET /auth/sessions
+   */
+  static listSessions = asyncHandler(async (req, res) => {
+    const sessions = await SessionService.listForUser(req.user.id, req.user.sessionId);
+
+    return ApiResponse.success(res, sessions);
+  });
+
+  /**
+   * Revoke a session (remote sign-out)
+   * DELETE /auth/sessions/:id
+   */
+  static revokeSession = asyncHandler(async (req, res) => {
+    await SessionService.revokeForUser(req.user.id, req.params.id);
+
+    return ApiResponse.success(res, null, 'Session revoked successfully');
+  });
+
+  /**
+   * Revoke all sessions except the current one
+   * POST /auth/sessions/revoke-others
+   */
+  static revokeOtherSessions = asyncHandler(async (req, res) => {
+    const revoked = await SessionService.revokeOthers(req.user.id, req.user.sessionId);
+
+    return ApiResponse.success(res, { revoked }, 'Other sessions revoked successfully');
+  });
+
+  /**
+   * List enabled OAuth / OIDC providers
+   * GET /auth/oauth/providers
+   */
+  static listOAuthProviders = asyncHandler(async (req, res) => {
+    return ApiResponse.success(res, OAuthService.listProviders());
+  });
+
+  /**
+   * Start an OAuth login (returns the provider URL to redirect the browser to)
+   * GET /auth/oauth/:provider
+   */
+  static startOAuth = asyncHandler(async (req, res) => {
+    const result = await OAuthService.createAuthorizationUrl(req.params.provider);
+
+    return ApiResponse.success(res, result);
+  });
+
+  /**
+   * Complete an OAuth login or link with the code and state from the provider redirect
+   * POST /auth/oauth/:provider/callback
+   */
+  static oauthCallback = asyncHandler(async (req, res) => {
+    const result = await AuthService.loginWithOAuth(
+      req.params.provider,
+      { code: req.body.code, state: req.body.state, stateToken: req.body.state_token },
+      getRequestContext(req)
+    );
+
+    if (result.linked) {
+      return ApiResponse.success(res, result.identity, 'Account linked successfully');
+    }
+
+    if (result.mfaRequired) {
+      return ApiResponse.success(res, result, 'Two-factor authentication required');
+    }
+
+    return ApiResponse.success(res, result, 'Login successful');
+  });
+
+  /**
+   * Start linking a provider to the current user
+   * POST /auth/oauth/:provider/link
+   */
+  static linkOAuth = asyncHandler(async (req, res) => {
+    const result = await OAuthService.createAuthorizationUrl(req.params.provider, req.user.id);
+
+    return ApiResponse.success(res, result);
+  });
+
+  /**
+   * List linked external accounts
+   * GET /auth/identities
+   */
+  static listIdentities = asyncHandler(async (req, res) => {
+    const identities = await OAuthService.listIdentities(req.user.id);
+
+    return ApiResponse.success(res, identities);
+  });
+
+  /**
+   * Unlink an external account
+   * DELETE /auth/identities/:id
+   */
+  static unlinkIdentity = asyncHandler(async (req, res) => {
+    await OAuthService.unlinkIdentity(req.user.id, req.params.id, getRequestContext(req));
+
+    return ApiResponse.success(res, null, 'Account unlinked successfully');
+  });
+
+  /**
+   * List API keys
+   * GET /auth/api-keys
+   */
+  static listApiKeys = asyncHandler(async (req, res) => {
+    const apiKeys = await ApiKeyService.listForUser(req.user.id);
+
+    return ApiResponse.success(res, apiKeys);
+  });
+
+  /**
+   * Create an API key (the key is only shown in this response)
+   * POST /auth/api-keys
+   */
+  static createApiKey = asyncHandler(async (req, res) => {
+    const result = await ApiKeyService.create(req.user.id, req.body, getRequestContext(req));
+
+    return ApiResponse.created(
+      res,
+      result,
+      'API key created. Copy it now - it will not be shown again'
+    );
+  });
+
+  /**
+   * Revoke an API key
+   * DELETE /auth/api-keys/:id
+   */
+  static revokeApiKey = asyncHandler(async (req, res) => {
+    await ApiKeyService.revoke(req.user.id, req.params.id, getRequestContext(req));
+
+    return ApiResponse.success(res, null, 'API key revoked successfully');
+  });
 }
 
 export default AuthController;
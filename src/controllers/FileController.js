@@ -0,0 +1,99 @@
+import { uploadService } from '../services/UploadService.js';
+import { FileService } from '../services/FileService.js';
+import { ApiResponse } from '../utils/response.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { parsePagination } from '../utils/helpers.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { ForbiddenError, NotFoundError, UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * File Controller
+ */
+export class FileController {
+  /**
+   * List uploaded files (own files only without files:read)
+   * GET /files
+   */
+  static list = asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const result = await FileService.list(
+      {
+        ...pagination,
+        search: req.query.search,
+        user_id: req.query.user_id,
+        group: req.query.group,
+        visibility: req.query.visibility,
+        scan_status: req.query.scan_status,
+      },
+      req.user
+    );
+
+    return ApiResponse.paginated(res, result.data, result.pagination);
+  });
+
+  /**
+   * Get a file record (private files come with a signed URL)
+   * GET /files/:id
+   */
+  static getById = asyncHandler(async (req, res) => {
+    const file = await FileService.getById(req.params.id);
+
+    return ApiResponse.success(res, file);
+  });
+
+  /**
+   * Delete a file and its record
+   * DELETE /files/:id
+   */
+  static delete = asyncHandler(async (req, res) => {
+    await FileService.delete(req.params.id, getRequestContext(req));
+
+    return ApiResponse.success(res, null, 'File deleted');
+  });
+
+  /**
+   * Download a private file (local storage) with a signed URL, as its owner or with
+   * the files:read permission
+   * GET /files/private/:group/:filename
+   */
+  static downloadPrivate = asyncHandler(async (req, res, next) => {
+    const { group, filename } = req.params;
+    const { expires, signature } = req.query;
+
+    if (signature) {
+      if (!uploadService.verifySignedUrl(`${group}/${filename}`, expires, signature)) {
+        throw new ForbiddenError('Invalid or expired file link');
+      }
+    } else if (!req.user) {
+      throw new UnauthorizedError('Authentication required');
+    } else if (
+      !req.user.permissions?.includes('files:read') &&
+      !(await FileService.isOwner(`${group}/${filename}`, req.user.id))
+    ) {
+      throw new ForbiddenError('Insufficient permissions');
+    }
+
+    const filePath = uploadService.resolvePrivatePath(group, filename);
+
+    if (!filePath) {
+      throw new NotFoundError('File not found');
+    }
+
+    // sendFile answers Range requests with 206 partial content
+    res.sendFile(
+      filePath,
+      {
+        cacheControl: false,
+        headers: {
+          'Cache-Control': 'private, no-store',
+          'X-Content-Type-Options': 'nosniff',
+        },
+      },
+      (error) => {
+        if (error) next(error);
+      }
+    );
+  });
+}
+
+export default FileController;
@@ -0,0 +1,61 @@
+import { InvitationService } from '../services/InvitationService.js';
+import { ApiResponse } from '../utils/response.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { parsePagination } from '../utils/helpers.js';
+import { getRequestContext } from '../utils/requestContext.js';
+
+/**
+ * Invitation Controller
+ */
+export class InvitationController {
+  /**
+   * List invitations
+   * GET /users/invitations
+   */
+  static list = asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const result = await InvitationService.list({
+      ...pagination,
+      search: req.query.search,
+      status: req.query.status,
+    });
+
+    return ApiResponse.paginated(res, result.data, result.pagination);
+  });
+
+  /**
+   * Invite a user
+   * POST /users/invitations
+   */
+  static create = asyncHandler(async (req, res) => {
+    const invitation = await InvitationService.create(req.body, req.user, getRequestContext(req));
+
+    return ApiResponse.created(res, invitation, 'Invitation sent');
+  });
+
+  /**
+   * Resend an invitation with a fresh link
+   * POST /users/invitations/:id/resend
+   */
+  static resend = asyncHandler(async (req, res) => {
+    const invitation = await InvitationService.resend(
+      req.params.id,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return ApiResponse.success(res, invitation, 'Invitation resent');
+  });
+
+  /**
+   * Revoke an invitation
+   * DELETE /users/invitations/:id
+   */
+  static revoke = asyncHandler(async (req, res) => {
+    const invitation = await InvitationService.revoke(req.params.id, getRequestContext(req));
+
+    return ApiResponse.success(res, invitation, 'Invitation revoked');
+  });
+}
+
+export default InvitationController;
@@ -0,0 +1,114 @@
+import { RoleService } from '../services/RoleService.js';
+import { ApiResponse } from '../utils/response.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { parsePagination } from '../utils/helpers.js';
+import { getRequestContext } from '../utils/requestContext.js';
+
+/**
+ * Role & Permission Controller
+ */
+export class RoleController {
+  /**
+   * List roles
+   * GET /roles
+   */
+  static list = asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const result = await RoleService.listRoles({
+      ...pagination,
+      search: req.query.search,
+    });
+
+    return ApiResponse.paginated(res, result.data, result.pagination);
+  });
+
+  /**
+   * Get role with permissions
+   * GET /roles/:id
+   */
+  static getById = asyncHandler(async (req, res) => {
+    const role = await RoleService.getRole(req.params.id);
+
+    return ApiResponse.success(res, role);
+  });
+
+  /**
+   * Create role
+   * POST /roles
+   */
+  static create = asyncHandler(async (req, res) => {
+    const role = await RoleService.createRole(req.body, getRequestContext(req));
+
+    return ApiResponse.created(res, role, 'Role created successfully');
+  });
+
+  /**
+   * Update role
+   * PATCH /roles/:id
+   */
+  static update = asyncHandler(async (req, res) => {
+    const role = await RoleService.updateRole(req.params.id, req.body, getRequestContext(req));
+
+    return ApiResponse.success(res, role, 'Role updated successfully');
+  });
+
+  /**
+   * Delete role
+   * DELETE /roles/:id
+   */
+  static delete = asyncHandler(async (req, res) => {
+    await RoleService.deleteRole(req.params.id, getRequestContext(req));
+
+    return ApiResponse.success(res, null, 'Role deleted successfully');
+  });
+
+  /**
+   * Replace role permissions
+   * PUT /roles/:id/permissions
+   */
+  static setPermissions = asyncHandler(async (req, res) => {
+    const role = await RoleService.setRolePermissions(
+      req.params.id,
+      req.body.permissions,
+      getRequestContext(req)
+    );
+
+    return ApiResponse.success(res, role, 'Role permissions updated successfully');
+  });
+
+  /**
+   * List permissions
+   * GET /permissions
+   */
+  static listPermissions = asyncHandler(async (req, res) => {
+    const pagination = parsePagination(req.query, { page: 1, limit: 100 });
+    const result = await RoleService.listPermissions({
+      ...pagination,
+      search: req.query.search,
+    });
+
+    return ApiResponse.paginated(res, result.data, result.pagination);
+  });
+
+  /**
+   * Create permission
+   * POST /permissions
+   */
+  static createPermission = asyncHandler(async (req, res) => {
+    const permission = await RoleService.createPermission(req.body);
+
+    return ApiResponse.created(res, permission, 'Permission created successfully');
+  });
+
+  /**
+   * Delete permission
+   * DELETE /permissions/:id
+   */
+  static deletePermission = asyncHandler(async (req, res) => {
+    await RoleService.deletePermission(req.params.id);
+
+    return ApiResponse.success(res, null, 'Permission deleted successfully');
+  });
+}
+
+export default RoleController;
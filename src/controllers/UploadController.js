@@ -0,0 +1,83 @@
+import { UploadSessionService } from '../services/UploadSessionService.js';
+import { ApiResponse } from '../utils/response.js';
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { BadRequestError } from '../utils/errors.js';
+
+const SHA256_HEX = /^[a-f0-9]{64}$/i;
+
+/**
+ * Upload Controller
+ * Resumable (chunked) uploads; single-request uploads go through the upload middleware
+ */
+export class UploadController {
+  /**
+   * Start a resumable upload
+   * POST /uploads
+   */
+  static create = asyncHandler(async (req, res) => {
+    const session = await UploadSessionService.create(req.body, req.user);
+
+    return ApiResponse.created(res, session, 'Upload started');
+  });
+
+  /**
+   * Upload status: received and missing chunks (to resume after a disconnect)
+   * GET /uploads/:id
+   */
+  static getStatus = asyncHandler(async (req, res) => {
+    const session = await UploadSessionService.getStatus(req.params.id, req.user);
+
+    return ApiResponse.success(res, session);
+  });
+
+  /**
+   * Upload one chunk (raw body, SHA-256 of the chunk in X-Chunk-Checksum)
+   * PUT /uploads/:id/chunks/:index
+   */
+  static uploadChunk = asyncHandler(async (req, res) => {
+    const checksum = req.get('x-chunk-checksum');
+
+    if (!checksum || !SHA256_HEX.test(checksum)) {
+      throw new BadRequestError('X-Chunk-Checksum header must be the SHA-256 hex of the chunk');
+    }
+
+    const contentLength = req.get('content-length');
+    const session = await UploadSessionService.receiveChunk(
+      req.params.id,
+      Number(req.params.index),
+      req,
+      checksum,
+      contentLength === undefined ? undefined : Number(contentLength),
+      req.user
+    );
+
+    return ApiResponse.success(res, session, 'Chunk received');
+  });
+
+  /**
+   * Assemble the chunks and store the file
+   * POST /uploads/:id/complete
+   */
+  static complete = asyncHandler(async (req, res) => {
+    const result = await UploadSessionService.complete(
+      req.params.id,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return ApiResponse.created(res, result, 'Upload completed');
+  });
+
+  /**
+   * Cancel an upload and delete its chunks
+   * DELETE /uploads/:id
+   */
+  static cancel = asyncHandler(async (req, res) => {
+    await UploadSessionService.cancel(req.params.id, req.user);
+
+    return ApiResponse.success(res, null, 'Upload cancelled');
+  });
+}
+
+export default UploadController;
@@ -1,7 +1,15 @@
+import fs from 'fs/promises';
+import { pipeline } from 'stream/promises';
 import { UserService } from '../services/UserService.js';
+import { UserExportService } from '../services/UserExportService.js';
+import { UserImportService } from '../services/UserImportService.js';
+import { ImpersonationService } from '../services/ImpersonationService.js';
+import { ProfileService } from '../services/ProfileService.js';
 import { ApiResponse } from '../utils/response.js';
 import { asyncHandler } from '../middlewares/errorHandler.js';
 import { parsePagination } from '../utils/helpers.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { BadRequestError } from '../utils/errors.js';
 
 /**
  * User Controller
@@ -25,6 +33,57 @@ export class UserController {
     return ApiResponse.paginated(res, result.data, result.pagination);
   });
 
+  /**
+   * Download users matching the list filters
+   * GET /users/export
+   */
+  static export = asyncHandler(async (req, res) => {
+    const { stream, contentType, filename } = await UserExportService.export(
+      req.query.format,
+      {
+        search: req.query.search,
+        filters: { status: req.query.status, role: req.query.role },
+      },
+      getRequestContext(req)
+    );
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+
+    await pipeline(stream, res);
+  });
+
+  /**
+   * Create users (or invitations) from an uploaded CSV file
+   * POST /users/import
+   */
+  static import = asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new BadRequestError('A CSV file is required (field "file")');
+    }
+
+    let report;
+    try {
+      const csv = await fs.readFile(req.file.path, 'utf8');
+
+      report = await UserImportService.import(
+        csv,
+        { dryRun: req.body.dry_run === 'true', invite: req.body.invite === 'true' },
+        req.user,
+        getRequestContext(req)
+      );
+    } finally {
+      await fs.rm(req.file.path, { force: true });
+    }
+
+    const message = report.dryRun
+      ? `${report.valid} of ${report.total} row(s) can be imported`
+      : `${report.created} user(s) created, ${report.invited} invited`;
+
+    return ApiResponse.success(res, report, message);
+  });
+
   /**
    * Get user by ID
    * GET /users/:id
@@ -40,7 +99,7 @@ export class UserController {
    * POST /users
    */
   static create = asyncHandler(async (req, res) => {
-    const user = await UserService.create(req.body);
+    const user = await UserService.create(req.body, req.user, getRequestContext(req));
 
     return ApiResponse.created(res, user, 'User created successfully');
   });
@@ -50,7 +109,7 @@ export class UserController {
    * PATCH /users/:id
    */
   static update = asyncHandler(async (req, res) => {
-    const user = await UserService.update(req.params.id, req.body);
+    const user = await UserService.update(req.params.id, req.body, getRequestContext(req));
 
     return ApiResponse.success(res, user, 'User updated successfully');
   });
@@ -60,7 +119,7 @@ export class UserController {
    * DELETE /users/:id
    */
   static delete = asyncHandler(async (req, res) => {
-    await UserService.delete(req.user, req.params.id);
+    await UserService.delete(req.user, req.params.id, getRequestContext(req));
 
     return ApiResponse.success(res, null, 'User deleted successfully');
   });
@@ -70,7 +129,7 @@ export class UserController {
    * POST /users/:id/restore
    */
   static restore = asyncHandler(async (req, res) => {
-    const user = await UserService.restore(req.params.id);
+    const user = await UserService.restore(req.params.id, getRequestContext(req));
 
     return ApiResponse.success(res, user, 'User restored successfully');
   });
@@ -81,7 +140,12 @@ export class UserController {
    */
   static updateRole = asyncHandler(async (req, res) => {
     const { role } = req.body;
-    const user = await UserService.updateRole(req.params.id, role);
+    const user = await UserService.updateRole(
+      req.user,
+      req.params.id,
+      role,
+      getRequestContext(req)
+    );
 
     return ApiResponse.success(res, user, 'User role updated successfully');
   });
@@ -91,7 +155,7 @@ export class UserController {
    * POST /users/:id/activate
    */
   static activate = asyncHandler(async (req, res) => {
-    const user = await UserService.activate(req.params.id);
+    const user = await UserService.activate(req.params.id, getRequestContext(req));
 
     return ApiResponse.success(res, user, 'User activated successfully');
   });
@@ -101,7 +165,7 @@ export class UserController {
    * POST /users/:id/deactivate
    */
   static deactivate = asyncHandler(async (req, res) => {
-    const user = await UserService.deactivate(req.params.id);
+    const user = await UserService.deactivate(req.params.id, getRequestContext(req));
 
     return ApiResponse.success(res, user, 'User deactivated successfully');
   });
@@ -111,10 +175,62 @@ export class UserController {
    * POST /users/:id/suspend
    */
   static suspend = asyncHandler(async (req, res) => {
-    const user = await UserService.suspend(req.params.id);
+    const user = await UserService.suspend(req.params.id, getRequestContext(req));
 
     return ApiResponse.success(res, user, 'User suspended successfully');
   });
+
+  /**
+   * Unlock user after failed-login lockout
+   * POST /users/:id/unlock
+   */
+  static unlock = asyncHandler(async (req, res) => {
+    const user = await UserService.unlock(req.params.id, getRequestContext(req));
+
+    return ApiResponse.success(res, user, 'User unlocked successfully');
+  });
+
+  /**
+   * Update custom metadata (any declared field)
+   * PATCH /users/:id/metadata
+   */
+  static updateMetadata = asyncHandler(async (req, res) => {
+    const metadata = await ProfileService.updateMetadata(
+      req.params.id,
+      req.body,
+      getRequestContext(req)
+    );
+
+    return ApiResponse.success(res, metadata, 'Metadata updated successfully');
+  });
+
+  /**
+   * Apply an action to many users (or preview it with dry_run)
+   * POST /users/bulk
+   */
+  static bulk = asyncHandler(async (req, res) => {
+    const report = await UserService.bulk(req.body, req.user, getRequestContext(req));
+
+    const message = report.dryRun
+      ? `${report.affected} user(s) would be updated`
+      : `${report.affected} user(s) updated`;
+
+    return ApiResponse.success(res, report, message);
+  });
+
+  /**
+   * Start impersonating a user
+   * POST /users/:id/impersonate
+   */
+  static impersonate = asyncHandler(async (req, res) => {
+    const result = await ImpersonationService.start(
+      req.params.id,
+      req.user,
+      getRequestContext(req)
+    );
+
+    return ApiResponse.success(res, result, 'Impersonation started');
+  });
 }
 
 export default UserController;
@@ -0,0 +1,20 @@
+import { asyncHandler } from '../middlewares/errorHandler.js';
+import { getJwks } from '../config/jwtKeys.js';
+
+/**
+ * Well-Known Controller
+ * Standard discovery documents (served raw, without the ApiResponse envelope)
+ */
+export class WellKnownController {
+  /**
+   * Public keys for verifying access tokens
+   * GET /.well-known/jwks.json
+   */
+  static jwks = asyncHandler((req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+
+    return res.json(getJwks());
+  });
+}
+
+export default WellKnownController;
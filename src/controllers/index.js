@@ -1,3 +1,8 @@
 export * from './AuthController.js';
 export * from './UserController.js';
 export * from './HealthController.js';
+export * from './RoleController.js';
+export * from './AuditLogController.js';
+export * from './FileController.js';
+export * from './UploadController.js';
+export * from './WellKnownController.js';
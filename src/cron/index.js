@@ -125,8 +125,8 @@ export const cleanupDeletedRecords = async () => {
   const thirtyDaysAgo = new Date();
   thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-  // Add more tables as needed
-  const tables = ['users'];
+  // Add more tables as needed. Users are anonymized instead (see processAccountDeletions)
+  const tables = [];
 
   for (const table of tables) {
     const result = await db(table)
@@ -141,18 +141,73 @@ export const cleanupDeletedRecords = async () => {
 };
 
 /**
- * Cleanup token tables (verification, reset, blacklist)
+ * Cleanup token tables (verification, reset, blacklist, OAuth states)
  * Runs every hour
  */
 export const cleanupTokens = async () => {
   const { tokenService } = await import('../services/TokenService.js');
-  const result = await tokenService.cleanup();
+  const { OAuthService } = await import('../services/OAuthService.js');
+  const result = { ...(await tokenService.cleanup()), ...(await OAuthService.cleanup()) };
 
-  if (result.deletedTokens > 0 || result.deletedBlacklist > 0) {
+  if (result.deletedTokens > 0 || result.deletedBlacklist > 0 || result.deletedStates > 0) {
     logger.info(result, 'Cleaned up token tables');
   }
 };
 
+/**
+ * Cleanup sessions revoked long ago
+ * Runs daily
+ */
+export const cleanupSessions = async () => {
+  const { SessionService } = await import('../services/SessionService.js');
+  const result = await SessionService.cleanup();
+
+  if (result.deletedSessions > 0) {
+    logger.info(result, 'Cleaned up revoked sessions');
+  }
+};
+
+/**
+ * Anonymize accounts whose deletion grace period or retention period has ended
+ * Runs daily
+ */
+export const processAccountDeletions = async () => {
+  const { AccountDeletionService } = await import('../services/AccountDeletionService.js');
+  const result = await AccountDeletionService.processDueDeletions();
+
+  if (result.anonymized > 0) {
+    logger.info(result, 'Anonymized deleted accounts');
+  }
+};
+
+/**
+ * Report stored files without a record and records whose file is gone
+ * Runs daily
+ */
+export const findOrphanedFiles = async () => {
+  const { FileService } = await import('../services/FileService.js');
+  const reports = await FileService.findOrphans();
+
+  for (const report of reports) {
+    if (report.unrecorded.count > 0 || report.missing.count > 0) {
+      logger.warn(report, 'Found orphaned files');
+    }
+  }
+};
+
+/**
+ * Delete abandoned resumable uploads and their chunks
+ * Runs every hour
+ */
+export const cleanupUploadSessions = async () => {
+  const { UploadSessionService } = await import('../services/UploadSessionService.js');
+  const result = await UploadSessionService.cleanupExpired();
+
+  if (result.deletedSessions > 0) {
+    logger.info(result, 'Cleaned up expired upload sessions');
+  }
+};
+
 /**
  * Initialize and register all jobs
  */
@@ -163,6 +218,18 @@ export const initializeJobs = () => {
   // Cleanup token tables every hour
   registerJob('cleanup-token-tables', '30 * * * *', cleanupTokens);
 
+  // Cleanup revoked sessions daily
+  registerJob('cleanup-sessions', '15 0 * * *', cleanupSessions);
+
+  // Anonymize deleted accounts daily
+  registerJob('process-account-deletions', '30 0 * * *', processAccountDeletions);
+
+  // Report orphaned uploads daily
+  registerJob('find-orphaned-files', '45 1 * * *', findOrphanedFiles);
+
+  // Cleanup abandoned resumable uploads every hour
+  registerJob('cleanup-upload-sessions', '50 * * * *', cleanupUploadSessions);
+
   // Cleanup deleted records daily at midnight
   registerJob('cleanup-deleted-records', '0 0 * * *', cleanupDeletedRecords);
 
@@ -0,0 +1,47 @@
+/**
+ * Token tables used by TokenService (single-use tokens, refresh token families, JWT blacklist)
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async function (knex) {
+  const hasTokens = await knex.schema.hasTable('tokens');
+
+  if (!hasTokens) {
+    await knex.schema.createTable('tokens', (table) => {
+      table.uuid('id').primary();
+      table.uuid('user_id').notNullable().index();
+      table.string('type').notNullable();
+      table.string('token').notNullable().index();
+      table.uuid('family_id').nullable().index();
+      table.timestamp('expires_at').notNullable();
+      table.timestamp('used_at').nullable();
+      table.timestamp('revoked_at').nullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+    });
+  } else {
+    await knex.schema.alterTable('tokens', (table) => {
+      table.uuid('family_id').nullable().index();
+      table.timestamp('revoked_at').nullable();
+    });
+  }
+
+  const hasBlacklist = await knex.schema.hasTable('token_blacklist');
+
+  if (!hasBlacklist) {
+    await knex.schema.createTable('token_blacklist', (table) => {
+      table.uuid('id').primary();
+      table.string('token_hash', 64).notNullable().unique();
+      table.timestamp('expires_at').notNullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+    });
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async function (knex) {
+  await knex.schema.dropTableIfExists('token_blacklist');
+  await knex.schema.dropTableIfExists('tokens');
+};
@@ -0,0 +1,26 @@
+/**
+ * Login sessions (one per device). The session ID doubles as the refresh token family ID.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.createTable('sessions', (table) => {
+    table.uuid('id').primary();
+    table.uuid('user_id').notNullable().index();
+    table.string('device_name').nullable();
+    table.string('user_agent', 512).nullable();
+    table.string('ip_address', 45).nullable();
+    table.timestamp('last_seen_at').nullable();
+    table.timestamp('revoked_at').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.dropTable('sessions');
+};
@@ -0,0 +1,35 @@
+/**
+ * TOTP two-factor authentication columns and hashed recovery codes
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async function (knex) {
+  await knex.schema.alterTable('users', (table) => {
+    table.string('two_factor_secret').nullable();
+    table.timestamp('two_factor_enabled_at').nullable();
+    table.bigInteger('two_factor_last_step').nullable();
+  });
+
+  await knex.schema.createTable('two_factor_recovery_codes', (table) => {
+    table.uuid('id').primary();
+    table.uuid('user_id').notNullable().index();
+    table.string('code_hash').notNullable();
+    table.timestamp('used_at').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async function (knex) {
+  await knex.schema.dropTable('two_factor_recovery_codes');
+
+  await knex.schema.alterTable('users', (table) => {
+    table.dropColumn('two_factor_secret');
+    table.dropColumn('two_factor_enabled_at');
+    table.dropColumn('two_factor_last_step');
+  });
+};
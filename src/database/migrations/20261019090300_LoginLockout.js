@@ -0,0 +1,24 @@
+/**
+ * Per-account failed login tracking and temporary lockout
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.alterTable('users', (table) => {
+    table.integer('failed_login_attempts').notNullable().defaultTo(0);
+    table.integer('lockout_count').notNullable().defaultTo(0);
+    table.timestamp('locked_until').nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.alterTable('users', (table) => {
+    table.dropColumn('failed_login_attempts');
+    table.dropColumn('lockout_count');
+    table.dropColumn('locked_until');
+  });
+};
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+
+// Baseline permissions and role grants (mirrors the previous hard-coded requireRole checks)
+const PERMISSIONS = {
+  'users:read': 'View users',
+  'users:create': 'Create users',
+  'users:update': 'Update users and their status',
+  'users:delete': 'Delete users',
+  'users:restore': 'Restore deleted users',
+  'users:assign_role': 'Change user roles',
+  'roles:read': 'View roles and permissions',
+  'roles:manage': 'Create, update and delete roles and permissions',
+};
+
+const ROLES = {
+  super_admin: { description: 'Full access', permissions: Object.keys(PERMISSIONS) },
+  admin: {
+    description: 'User administration',
+    permissions: [
+      'users:read',
+      'users:create',
+      'users:update',
+      'users:delete',
+      'users:restore',
+      'roles:read',
+    ],
+  },
+  user: { description: 'Regular user', permissions: [] },
+};
+
+/**
+ * Roles, permissions and their mapping, seeded with the built-in roles
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async function (knex) {
+  await knex.schema.createTable('roles', (table) => {
+    table.uuid('id').primary();
+    table.string('name', 50).notNullable().unique();
+    table.string('description').nullable();
+    table.boolean('is_system').notNullable().defaultTo(false);
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('permissions', (table) => {
+    table.uuid('id').primary();
+    table.string('name', 100).notNullable().unique();
+    table.string('description').nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('role_permissions', (table) => {
+    table.uuid('role_id').notNullable().references('id').inTable('roles').onDelete('CASCADE');
+    table
+      .uuid('permission_id')
+      .notNullable()
+      .references('id')
+      .inTable('permissions')
+      .onDelete('CASCADE');
+    table.primary(['role_id', 'permission_id']);
+  });
+
+  const permissionIds = {};
+  for (const [name, description] of Object.entries(PERMISSIONS)) {
+    permissionIds[name] = crypto.randomUUID();
+    await knex('permissions').insert({ id: permissionIds[name], name, description });
+  }
+
+  for (const [name, { description, permissions }] of Object.entries(ROLES)) {
+    const roleId = crypto.randomUUID();
+    await knex('roles').insert({ id: roleId, name, description, is_system: true });
+
+    if (permissions.length > 0) {
+      await knex('role_permissions').insert(
+        permissions.map((permission) => ({
+          role_id: roleId,
+          permission_id: permissionIds[permission],
+        }))
+      );
+    }
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async function (knex) {
+  await knex.schema.dropTable('role_permissions');
+  await knex.schema.dropTable('permissions');
+  await knex.schema.dropTable('roles');
+};
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+
+/**
+ * Audit trail of security- and admin-relevant actions
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async function (knex) {
+  await knex.schema.createTable('audit_logs', (table) => {
+    table.uuid('id').primary();
+    table.uuid('actor_id').nullable().index();
+    table.string('action', 100).notNullable().index();
+    table.string('target_type', 50).nullable();
+    table.string('target_id', 64).nullable();
+    table.json('changes').nullable();
+    table.json('metadata').nullable();
+    table.string('request_id', 100).nullable();
+    table.string('ip_address', 45).nullable();
+    table.string('user_agent', 512).nullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now()).index();
+
+    table.index(['target_type', 'target_id']);
+  });
+
+  // Grant the new permission to the built-in admin roles
+  const permissionId = crypto.randomUUID();
+  await knex('permissions').insert({
+    id: permissionId,
+    name: 'audit:read',
+    description: 'View audit logs',
+  });
+
+  const roles = await knex('roles').whereIn('name', ['super_admin', 'admin']).select('id');
+  if (roles.length > 0) {
+    await knex('role_permissions').insert(
+      roles.map((role) => ({ role_id: role.id, permission_id: permissionId }))
+    );
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async function (knex) {
+  await knex('permissions').where({ name: 'audit:read' }).del();
+  await knex.schema.dropTable('audit_logs');
+};
@@ -0,0 +1,29 @@
+/**
+ * Personal API keys for machine-to-machine access
+ * Only a SHA-256 hash of each key is stored; the prefix identifies it in listings
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.createTable('api_keys', (table) => {
+    table.uuid('id').primary();
+    table.uuid('user_id').notNullable().index();
+    table.string('name', 100).notNullable();
+    table.string('prefix', 16).notNullable();
+    table.string('key_hash', 64).notNullable().unique();
+    table.json('scopes').nullable();
+    table.timestamp('expires_at').nullable();
+    table.timestamp('last_used_at').nullable();
+    table.string('last_used_ip', 45).nullable();
+    table.timestamp('revoked_at').nullable();
+    table.timestamps(true, true);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.dropTable('api_keys');
+};
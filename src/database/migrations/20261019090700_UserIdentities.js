@@ -0,0 +1,40 @@
+/**
+ * External (OAuth / OpenID Connect) identities linked to users,
+ * plus pending authorization requests (state, PKCE verifier, nonce)
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async function (knex) {
+  await knex.schema.createTable('user_identities', (table) => {
+    table.uuid('id').primary();
+    table.uuid('user_id').notNullable().index();
+    table.string('provider', 50).notNullable();
+    table.string('subject', 255).notNullable();
+    table.string('email', 255).nullable();
+    table.timestamp('last_login_at').nullable();
+    table.timestamps(true, true);
+
+    table.unique(['provider', 'subject']);
+    table.unique(['user_id', 'provider']);
+  });
+
+  await knex.schema.createTable('oauth_states', (table) => {
+    table.uuid('id').primary();
+    table.string('state_hash', 64).notNullable().unique();
+    table.string('provider', 50).notNullable();
+    table.string('code_verifier', 128).notNullable();
+    table.string('nonce', 64).nullable();
+    table.uuid('user_id').nullable(); // Set when linking to a logged-in user
+    table.timestamp('expires_at').notNullable().index();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async function (knex) {
+  await knex.schema.dropTableIfExists('oauth_states');
+  await knex.schema.dropTableIfExists('user_identities');
+};
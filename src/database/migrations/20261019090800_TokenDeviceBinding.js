@@ -0,0 +1,21 @@
+/**
+ * Optional device binding for single-use tokens (magic links)
+ * Stores the hash of a secret held by the device that requested the token
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.alterTable('tokens', (table) => {
+    table.string('binding_hash', 64).nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.alterTable('tokens', (table) => {
+    table.dropColumn('binding_hash');
+  });
+};
@@ -0,0 +1,21 @@
+/**
+ * Previous password hashes, used to stop users from reusing recent passwords
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.createTable('password_history', (table) => {
+    table.uuid('id').primary();
+    table.uuid('user_id').notNullable().index();
+    table.string('password_hash', 255).notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.dropTable('password_history');
+};
@@ -0,0 +1,20 @@
+/**
+ * Token payload for tokens that carry data (e.g. the new address of an email change)
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.alterTable('tokens', (table) => {
+    table.json('payload').nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.alterTable('tokens', (table) => {
+    table.dropColumn('payload');
+  });
+};
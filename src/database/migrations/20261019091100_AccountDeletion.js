@@ -0,0 +1,31 @@
+/**
+ * Self-service account deletion
+ * deletion_scheduled_at - end of the grace period of a pending deletion
+ * anonymized_at         - personal data was scrubbed; the row is kept for referential integrity
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async function (knex) {
+  const hasDeletedAt = await knex.schema.hasColumn('users', 'deleted_at');
+
+  await knex.schema.alterTable('users', (table) => {
+    // UserModel soft-deletes users, but the original table has no column for it
+    if (!hasDeletedAt) {
+      table.timestamp('deleted_at').nullable();
+    }
+    table.timestamp('deletion_scheduled_at').nullable().index();
+    table.timestamp('anonymized_at').nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.alterTable('users', (table) => {
+    table.dropIndex(['deletion_scheduled_at']);
+    table.dropColumn('deletion_scheduled_at');
+    table.dropColumn('anonymized_at');
+  });
+};
@@ -0,0 +1,32 @@
+/**
+ * User invitations
+ * The invitee sets their own password; the role is chosen by the inviter.
+ * Only a SHA-256 hash of the invite token is stored.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.createTable('invitations', (table) => {
+    table.uuid('id').primary();
+    table.string('email').notNullable().index();
+    table.string('role', 50).notNullable();
+    table.string('first_name', 100).nullable();
+    table.string('last_name', 100).nullable();
+    table.string('status', 20).notNullable().defaultTo('pending'); // pending, accepted, revoked
+    table.string('token_hash', 64).notNullable().unique();
+    table.uuid('invited_by').nullable();
+    table.uuid('accepted_user_id').nullable();
+    table.timestamp('expires_at').notNullable();
+    table.timestamp('accepted_at').nullable();
+    table.timestamp('revoked_at').nullable();
+    table.timestamps(true, true);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.dropTable('invitations');
+};
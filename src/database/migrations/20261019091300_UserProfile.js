@@ -0,0 +1,34 @@
+/**
+ * Profile fields, preferences and custom metadata
+ * avatar      - public URL of the uploaded avatar
+ * avatar_key  - storage identifier used to delete the file (Cloudinary public ID or local path)
+ * preferences - locale, timezone and notification settings (defaults applied when read)
+ * metadata    - custom fields declared in src/config/userProfile.js
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.alterTable('users', (table) => {
+    table.string('phone', 20).nullable();
+    table.string('bio', 500).nullable();
+    table.string('avatar', 1024).nullable();
+    table.string('avatar_key', 1024).nullable();
+    table.json('preferences').nullable();
+    table.json('metadata').nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.alterTable('users', (table) => {
+    table.dropColumn('phone');
+    table.dropColumn('bio');
+    table.dropColumn('avatar');
+    table.dropColumn('avatar_key');
+    table.dropColumn('preferences');
+    table.dropColumn('metadata');
+  });
+};
@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+/**
+ * Permission to read any uploaded file, including private upload groups
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async function (knex) {
+  // Grant the new permission to the built-in admin roles
+  const permissionId = crypto.randomUUID();
+  await knex('permissions').insert({
+    id: permissionId,
+    name: 'files:read',
+    description: 'Read any uploaded file, private ones included',
+  });
+
+  const roles = await knex('roles').whereIn('name', ['super_admin', 'admin']).select('id');
+  if (roles.length > 0) {
+    await knex('role_permissions').insert(
+      roles.map((role) => ({ role_id: role.id, permission_id: permissionId }))
+    );
+  }
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async function (knex) {
+  await knex('permissions').where({ name: 'files:read' }).del();
+};
@@ -0,0 +1,33 @@
+/**
+ * Uploaded files, written by UploadService
+ * `key` locates the file in its storage driver ("group/filename" locally, the public ID
+ * on Cloudinary); `url` is only stored for public files, private ones get signed URLs.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.createTable('files', (table) => {
+    table.uuid('id').primary();
+    table.uuid('user_id').nullable().index();
+    table.string('group', 50).notNullable().index();
+    table.string('driver', 20).notNullable();
+    table.string('key', 512).notNullable();
+    table.string('url', 1024).nullable();
+    table.string('original_name', 255).nullable();
+    table.bigInteger('size').notNullable();
+    table.string('mimetype', 100).notNullable();
+    table.string('checksum', 64).notNullable(); // SHA-256, hex
+    table.string('visibility', 10).notNullable().defaultTo('public'); // public, private
+    table.timestamps(true, true);
+
+    table.unique(['driver', 'key']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.dropTable('files');
+};
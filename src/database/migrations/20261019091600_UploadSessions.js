@@ -0,0 +1,44 @@
+/**
+ * Resumable (chunked) uploads
+ * A session tracks one file uploaded in fixed-size chunks; each received chunk is recorded
+ * with its SHA-256 so an interrupted upload can resume with the missing ones.
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = async function (knex) {
+  await knex.schema.createTable('upload_sessions', (table) => {
+    table.uuid('id').primary();
+    table.uuid('user_id').notNullable().index();
+    table.string('group', 50).notNullable();
+    table.string('original_name', 255).notNullable();
+    table.string('mimetype', 100).notNullable();
+    table.bigInteger('size').notNullable();
+    table.integer('chunk_size').notNullable();
+    table.integer('total_chunks').notNullable();
+    table.string('checksum', 64).nullable(); // SHA-256 of the whole file, if the client sent it
+    table.string('status', 20).notNullable().defaultTo('pending'); // pending, assembling, completed
+    table.uuid('file_id').nullable();
+    table.timestamp('expires_at').notNullable().index();
+    table.timestamp('completed_at').nullable();
+    table.timestamps(true, true);
+  });
+
+  await knex.schema.createTable('upload_chunks', (table) => {
+    table.uuid('session_id').notNullable();
+    table.integer('index').notNullable();
+    table.integer('size').notNullable();
+    table.string('checksum', 64).notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['session_id', 'index']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = async function (knex) {
+  await knex.schema.dropTable('upload_chunks');
+  await knex.schema.dropTable('upload_sessions');
+};
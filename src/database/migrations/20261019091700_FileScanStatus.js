@@ -0,0 +1,23 @@
+/**
+ * Malware scan result of stored files
+ * scan_status - clean (scanned, nothing found) or unscanned (no scanner configured, file
+ *               above the scanner's size limit, or uploaded before scanning existed)
+ * Infected uploads are never stored; they are moved to quarantine and rejected
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.alterTable('files', (table) => {
+    table.string('scan_status', 20).notNullable().defaultTo('unscanned').index();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.alterTable('files', (table) => {
+    table.dropColumn('scan_status');
+  });
+};
@@ -0,0 +1,29 @@
+/**
+ * Resized copies of uploaded images (thumbnails...), stored next to their original
+ * with the same driver and visibility; deleted with the original
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.createTable('file_variants', (table) => {
+    table.uuid('file_id').notNullable().references('id').inTable('files').onDelete('CASCADE');
+    table.string('name', 50).notNullable(); // Variant name from the group config (e.g. thumb)
+    table.string('key', 512).notNullable().index();
+    table.string('url', 1024).nullable(); // Public variants only
+    table.string('mimetype', 100).notNullable();
+    table.integer('width').notNullable();
+    table.integer('height').notNullable();
+    table.bigInteger('size').notNullable();
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    table.primary(['file_id', 'name']);
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.dropTable('file_variants');
+};
@@ -0,0 +1,21 @@
+/**
+ * Bind OAuth requests (login and link) to the client that started them
+ * Stores the hash of a secret returned to that client, required by the callback
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const up = function (knex) {
+  return knex.schema.alterTable('oauth_states', (table) => {
+    table.string('binding_hash', 64).nullable();
+  });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+export const down = function (knex) {
+  return knex.schema.alterTable('oauth_states', (table) => {
+    table.dropColumn('binding_hash');
+  });
+};
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import { PERMISSIONS, SYSTEM_ROLES } from '../../config/permissions.js';
+
+/**
+ * Reset roles and permissions to the built-in defaults
+ * @param { import("knex").Knex } knex
+ */
+export const seed = async (knex) => {
+  // Clear existing data
+  await knex('role_permissions').del();
+  await knex('permissions').del();
+  await knex('roles').del();
+
+  const permissionIds = {};
+  for (const [name, description] of Object.entries(PERMISSIONS)) {
+    permissionIds[name] = crypto.randomUUID();
+    await knex('permissions').insert({ id: permissionIds[name], name, description });
+  }
+
+  for (const [name, { description, permissions }] of Object.entries(SYSTEM_ROLES)) {
+    const roleId = crypto.randomUUID();
+    await knex('roles').insert({ id: roleId, name, description, is_system: true });
+
+    if (permissions.length > 0) {
+      await knex('role_permissions').insert(
+        permissions.map((permission) => ({
+          role_id: roleId,
+          permission_id: permissionIds[permission],
+        }))
+      );
+    }
+
+    console.log(`Created role: ${name} (${permissions.length} permissions)`);
+  }
+
+  console.log('\n✅ Roles and permissions seeded successfully!');
+};
@@ -1,5 +1,7 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import { env } from '../config/env.js';
+import { isAsymmetricJwt, getJwtKeyring } from '../config/jwtKeys.js';
 import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
 
 // Lazy load tokenService to avoid circular dependencies
@@ -12,12 +14,204 @@ const getTokenService = async () => {
   return tokenService;
 };
 
+// Lazy load SessionService for the same reason
+let sessionService = null;
+const getSessionService = async () => {
+  if (!sessionService) {
+    const module = await import('../services/SessionService.js');
+    sessionService = module.SessionService;
+  }
+  return sessionService;
+};
+
+// Lazy load RoleService for the same reason
+let roleService = null;
+const getRoleService = async () => {
+  if (!roleService) {
+    const module = await import('../services/RoleService.js');
+    roleService = module.RoleService;
+  }
+  return roleService;
+};
+
+// Lazy load AuditService for the same reason
+let auditService = null;
+const getAuditService = async () => {
+  if (!auditService) {
+    const module = await import('../services/AuditService.js');
+    auditService = module.AuditService;
+  }
+  return auditService;
+};
+
+// Lazy load ApiKeyService for the same reason
+let apiKeyService = null;
+const getApiKeyService = async () => {
+  if (!apiKeyService) {
+    const module = await import('../services/ApiKeyService.js');
+    apiKeyService = module.ApiKeyService;
+  }
+  return apiKeyService;
+};
+
+/**
+ * Build req.user from a verified token, loading the role's permissions (cached)
+ */
+const buildRequestUser = async (decoded) => {
+  const roleSvc = await getRoleService();
+
+  return {
+    id: decoded.sub || decoded.id,
+    email: decoded.email,
+    role: decoded.role,
+    sessionId: decoded.sid || null,
+    permissions: await roleSvc.getPermissionsForRole(decoded.role),
+  };
+};
+
+/**
+ * The admin behind an impersonation token (RFC 8693 `act` claim), or null
+ */
+const getImpersonator = (decoded) => {
+  if (!decoded.act?.sub) {
+    return null;
+  }
+
+  return { id: decoded.act.sub, email: decoded.act.email || null };
+};
+
+/**
+ * Audit every request made under impersonation once its response is sent
+ */
+const trackImpersonatedRequest = (req, res) => {
+  res.on('finish', async () => {
+    const auditSvc = await getAuditService();
+
+    await auditSvc.record(
+      'impersonation.request',
+      {
+        target: { type: 'user', id: req.user.id },
+        metadata: {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          statusCode: res.statusCode,
+          sessionId: req.user.sessionId,
+        },
+      },
+      {
+        actorId: req.impersonator.id,
+        requestId: req.id || null,
+        ip: req.ip || null,
+        userAgent: req.get('user-agent') || null,
+      }
+    );
+  });
+};
+
+// Token type claim for the short-lived "password ok, 2FA pending" challenge token
+const MFA_PENDING_TYPE = 'mfa_pending';
+
+/**
+ * Check an access token's signature
+ * Asymmetric mode picks the public key by the `kid` header, so tokens signed with a
+ * rotated-out key stay valid until they expire (as long as the key is in the ring)
+ */
+const verifyAccessTokenSignature = (token) => {
+  if (!isAsymmetricJwt()) {
+    return jwt.verify(token, env.JWT_SECRET, { algorithms: ['HS256'] });
+  }
+
+  const header = jwt.decode(token, { complete: true })?.header;
+  const key = getJwtKeyring().getVerificationKey(header?.kid);
+
+  if (!key) {
+    throw new UnauthorizedError('Unknown token signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+/**
+ * Verify an access token and ensure its session has not been revoked
+ * Tokens issued before sessions existed carry no sid and are accepted as-is
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = verifyAccessTokenSignature(token);
+
+  // Challenge tokens share the signing key but must never grant access
+  if (decoded.typ) {
+    throw new UnauthorizedError('Invalid token type');
+  }
+
+  if (decoded.sid) {
+    const sessionSvc = await getSessionService();
+    const session = await sessionSvc.findActive(decoded.sid);
+
+    if (!session) {
+      throw new UnauthorizedError('Session has been revoked');
+    }
+
+    sessionSvc.touch(session).catch(() => {});
+  }
+
+  return decoded;
+};
+
+/**
+ * Get an API key from `X-API-Key` or `Authorization: ApiKey <key>`
+ */
+const getApiKeyFromRequest = (req) => {
+  const headerKey = req.headers['x-api-key'];
+
+  if (headerKey) {
+    return headerKey;
+  }
+
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authHeader.slice('ApiKey '.length).trim();
+  }
+
+  return null;
+};
+
 /**
- * Verify JWT token and attach user to request
+ * Build req.user from an API key (permissions narrowed to the key's scopes)
+ */
+const authenticateApiKey = async (key, ip) => {
+  const apiKeySvc = await getApiKeyService();
+  const result = await apiKeySvc.verify(key, ip);
+
+  if (!result) {
+    throw new UnauthorizedError('Invalid or expired API key');
+  }
+
+  const { apiKey, user } = result;
+
+  return {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    sessionId: null,
+    apiKeyId: apiKey.id,
+    permissions: await apiKeySvc.getPermissions(apiKey, user.role),
+  };
+};
+
+/**
+ * Verify JWT token (or API key) and attach user to request
  * Checks token blacklist for invalidated tokens
  */
 export const authenticate = async (req, res, next) => {
   try {
+    const apiKey = getApiKeyFromRequest(req);
+
+    if (apiKey) {
+      req.user = await authenticateApiKey(apiKey, req.ip);
+      return next();
+    }
+
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -34,14 +228,15 @@ export const authenticate = async (req, res, next) => {
       throw new UnauthorizedError('Token has been invalidated');
     }
 
-    const decoded = jwt.verify(token, env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
 
     // Attach user to request
-    req.user = {
-      id: decoded.sub || decoded.id,
-      email: decoded.email,
-      role: decoded.role,
-    };
+    req.user = await buildRequestUser(decoded);
+    req.impersonator = getImpersonator(decoded);
+
+    if (req.impersonator) {
+      trackImpersonatedRequest(req, res);
+    }
 
     next();
   } catch (error) {
@@ -60,9 +255,12 @@ export const authenticate = async (req, res, next) => {
  */
 export const optionalAuth = async (req, res, next) => {
   try {
+    const apiKey = getApiKeyFromRequest(req);
     const authHeader = req.headers.authorization;
 
-    if (authHeader && authHeader.startsWith('Bearer ')) {
+    if (apiKey) {
+      req.user = await authenticateApiKey(apiKey, req.ip);
+    } else if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.split(' ')[1];
 
       // Check blacklist
@@ -70,13 +268,14 @@ export const optionalAuth = async (req, res, next) => {
       const isBlacklisted = await tokenSvc.isBlacklisted(token);
 
       if (!isBlacklisted) {
-        const decoded = jwt.verify(token, env.JWT_SECRET);
+        const decoded = await verifyAccessToken(token);
 
-        req.user = {
-          id: decoded.sub || decoded.id,
-          email: decoded.email,
-          role: decoded.role,
-        };
+        req.user = await buildRequestUser(decoded);
+        req.impersonator = getImpersonator(decoded);
+
+        if (req.impersonator) {
+          trackImpersonatedRequest(req, res);
+        }
       }
     }
 
@@ -128,16 +327,44 @@ export const requirePermission = (...requiredPermissions) => {
 };
 
 /**
- * Require user to own the resource or have admin role
+ * Reject the request when it is made with an impersonation token
+ * Guards account-level actions (credentials, 2FA, sessions, deletion) that support
+ * staff must never perform on the user's behalf
  */
-export const requireOwnership = (getResourceOwnerId) => {
+export const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return next(new ForbiddenError('This action is not allowed while impersonating a user'));
+  }
+
+  next();
+};
+
+/**
+ * Reject the request when it is authenticated with an API key
+ * Guards self-service account actions (profile, credentials, 2FA, sessions, linked
+ * identities, API keys, exports): a leaked integration key must not be able to take
+ * over the account it belongs to
+ */
+export const blockApiKeys = (req, res, next) => {
+  if (req.user?.apiKeyId) {
+    return next(new ForbiddenError('This action is not allowed with an API key'));
+  }
+
+  next();
+};
+
+/**
+ * Require user to own the resource or hold a permission that covers every resource
+ * @param {function} getResourceOwnerId - (req) => owner ID of the requested resource
+ * @param {string|null} bypassPermission - Permission granting access to any resource
+ */
+export const requireOwnership = (getResourceOwnerId, bypassPermission = null) => {
   return async (req, res, next) => {
     if (!req.user) {
       return next(new UnauthorizedError('Authentication required'));
     }
 
-    // Admins can access any resource
-    if (req.user.role === 'admin' || req.user.role === 'super_admin') {
+    if (bypassPermission && req.user.permissions?.includes(bypassPermission)) {
       return next();
     }
 
@@ -174,26 +401,74 @@ export const requireVerifiedEmail = async (req, res, next) => {
   next();
 };
 
+/**
+ * Sign an access token with JWT_SECRET (HS256) or the keyring's active key
+ */
+const signAccessToken = (payload, expiresIn = env.JWT_EXPIRES_IN) => {
+  const options = { expiresIn, subject: String(payload.id) };
+
+  if (!isAsymmetricJwt()) {
+    return jwt.sign(payload, env.JWT_SECRET, options);
+  }
+
+  const key = getJwtKeyring().getSigningKey();
+
+  return jwt.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+};
+
 /**
  * Generate JWT tokens
+ * Access tokens follow JWT_ALGORITHM; refresh tokens are only ever verified by this
+ * API and stay HS256 with JWT_REFRESH_SECRET, so rotating keys never logs anyone out
+ * Each refresh token gets a unique jti so rotated tokens never collide
  */
 export const generateTokens = (payload) => {
-  const accessToken = jwt.sign(payload, env.JWT_SECRET, {
-    expiresIn: env.JWT_EXPIRES_IN,
-    subject: String(payload.id),
-  });
+  const accessToken = signAccessToken(payload);
 
   let refreshToken = null;
   if (env.JWT_REFRESH_SECRET) {
     refreshToken = jwt.sign(payload, env.JWT_REFRESH_SECRET, {
       expiresIn: env.JWT_REFRESH_EXPIRES_IN,
       subject: String(payload.id),
+      jwtid: crypto.randomUUID(),
     });
   }
 
   return { accessToken, refreshToken };
 };
 
+/**
+ * Generate a short-lived access token for acting as another user
+ * There is no refresh token: once it expires the admin has to start again
+ * @param {object} payload - Target user claims plus `act: { sub, email }` for the admin
+ */
+export const generateImpersonationToken = (payload) => {
+  return signAccessToken(payload, env.IMPERSONATION_EXPIRES_IN);
+};
+
+/**
+ * Generate a short-lived challenge token for a login awaiting its second factor
+ */
+export const generateMfaToken = (payload) => {
+  return jwt.sign({ ...payload, typ: MFA_PENDING_TYPE }, env.JWT_SECRET, {
+    expiresIn: '5m',
+    subject: String(payload.id),
+  });
+};
+
+/**
+ * Verify a 2FA challenge token
+ */
+export const verifyMfaToken = (token) => {
+  const decoded = jwt.verify(token, env.JWT_SECRET, { algorithms: ['HS256'] });
+
+  if (decoded.typ !== MFA_PENDING_TYPE) {
+    throw new UnauthorizedError('Invalid two-factor challenge token');
+  }
+
+  return decoded;
+};
+
 /**
  * Verify refresh token
  */
@@ -202,7 +477,7 @@ export const verifyRefreshToken = (token) => {
     throw new UnauthorizedError('Refresh tokens are not configured');
   }
 
-  return jwt.verify(token, env.JWT_REFRESH_SECRET);
+  return jwt.verify(token, env.JWT_REFRESH_SECRET, { algorithms: ['HS256'] });
 };
 
 export default {
@@ -212,6 +487,10 @@ export default {
   requirePermission,
   requireOwnership,
   requireVerifiedEmail,
+  blockImpersonation,
   generateTokens,
+  generateImpersonationToken,
+  generateMfaToken,
+  verifyMfaToken,
   verifyRefreshToken,
 };
@@ -3,6 +3,7 @@ import { StatusCodes } from 'http-status-codes';
 import { ApiResponse } from '../utils/response.js';
 import { logger } from '../config/logger.js';
 import { isProduction } from '../config/env.js';
+import { isUniqueViolation } from '../utils/errors.js';
 
 /**
  * Not found handler for undefined routes
@@ -18,7 +19,12 @@ export const notFoundHandler = (req, res) => {
 /**
  * Global error handler
  */
-export const errorHandler = (err, req, res, _next) => {
+export const errorHandler = (err, req, res, next) => {
+  // A streamed response already started: let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
   // Default error values
   let statusCode = err.statusCode || StatusCodes.INTERNAL_SERVER_ERROR;
   let message = err.message || 'Internal Server Error';
@@ -59,6 +65,13 @@ export const errorHandler = (err, req, res, _next) => {
     }));
   }
 
+  // Upload limits (file too large, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    statusCode =
+      err.code === 'LIMIT_FILE_SIZE' ? StatusCodes.REQUEST_TOO_LONG : StatusCodes.BAD_REQUEST;
+    errors = [{ field: err.field || 'file', message: err.message, code: err.code }];
+  }
+
   if (err.name === 'JsonWebTokenError') {
     statusCode = StatusCodes.UNAUTHORIZED;
     message = 'Invalid token';
@@ -69,8 +82,8 @@ export const errorHandler = (err, req, res, _next) => {
     message = 'Token expired';
   }
 
-  // PostgreSQL errors
-  if (err.code === '23505') {
+  // Database errors (PostgreSQL / MySQL)
+  if (isUniqueViolation(err)) {
     statusCode = StatusCodes.CONFLICT;
     message = 'Resource already exists';
   }
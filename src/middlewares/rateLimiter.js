@@ -49,6 +49,17 @@ export const authRateLimiter = createRateLimiter({
   message: { success: false, message: 'Too many authentication attempts, please try again later' },
 });
 
+/**
+ * Per-email limiter for routes that send mail (keyed by the submitted address, not the IP)
+ * Applies to unknown addresses too, so hitting it reveals nothing about account existence
+ */
+export const emailRateLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3,
+  keyGenerator: (req) => `email:${String(req.body?.email || '').toLowerCase()}`,
+  message: { success: false, message: 'Too many emails requested, please try again later' },
+});
+
 /**
  * Relaxed rate limiter for read-heavy routes
  */
@@ -57,6 +68,13 @@ export const relaxedRateLimiter = createRateLimiter({
   max: 200,
 });
 
+/**
+ * Limiter for resumable upload chunks (one request per chunk, so far above the default)
+ */
+export const uploadChunkRateLimiter = createRateLimiter({
+  max: env.UPLOAD_CHUNK_RATE_LIMIT_MAX,
+});
+
 /**
  * Speed limiter - slows down requests instead of blocking
  */
@@ -72,6 +90,8 @@ export default {
   createRateLimiter,
   rateLimiter,
   authRateLimiter,
+  emailRateLimiter,
   relaxedRateLimiter,
+  uploadChunkRateLimiter,
   speedLimiter,
 };
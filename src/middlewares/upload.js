@@ -1,20 +1,75 @@
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import { getGroupConfig } from '../config/upload.js';
+import { BadRequestError } from '../utils/errors.js';
+import { isContentAllowed, SNIFF_BYTES } from '../utils/fileSignature.js';
 
 // Temp directory
 const tempDir = path.join(process.cwd(), 'temp');
 if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
 
-// Storage config
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, tempDir),
-  filename: (req, file, cb) => {
+/**
+ * Pass a file through once its first bytes match its declared type
+ */
+const contentCheck = (mimetype) => {
+  let head = Buffer.alloc(0);
+  let checked = false;
+
+  const check = (stream) => {
+    checked = true;
+    if (!isContentAllowed(mimetype, head)) {
+      throw new BadRequestError('File content does not match its type');
+    }
+    stream.push(head);
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (checked) return callback(null, chunk);
+
+      head = Buffer.concat([head, chunk]);
+      try {
+        if (head.length >= SNIFF_BYTES) check(this);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        if (!checked) check(this);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+};
+
+/**
+ * Disk storage that checks each file's content against its declared type while writing
+ * it (an .exe renamed to .png never reaches the disk in full)
+ */
+const storage = {
+  _handleFile(req, file, cb) {
     const unique = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
-    cb(null, `${unique}${path.extname(file.originalname)}`);
+    const filename = `${unique}${path.extname(file.originalname)}`;
+    const filePath = path.join(tempDir, filename);
+    const output = fs.createWriteStream(filePath);
+
+    pipeline(file.stream, contentCheck(file.mimetype), output).then(
+      () => cb(null, { destination: tempDir, filename, path: filePath, size: output.bytesWritten }),
+      (error) => fs.rm(filePath, { force: true }, () => cb(error))
+    );
+  },
+
+  _removeFile(req, file, cb) {
+    fs.rm(file.path, { force: true }, cb);
   },
-});
+};
 
 /**
  * Create upload middleware for a group
@@ -37,7 +92,7 @@ export const upload = (group = 'general') => {
       if (config.types.includes(file.mimetype)) {
         cb(null, true);
       } else {
-        cb(new Error('File type not allowed'), false);
+        cb(new BadRequestError('File type not allowed'), false);
       }
     },
   });
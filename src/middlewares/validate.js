@@ -29,8 +29,19 @@ export const validate = (schema) => {
       const results = await Promise.all(validationPromises);
 
       // Assign validated data back to request
+      // Express 5 exposes req.query as a getter, so it is redefined instead of assigned
       results.forEach((result, index) => {
-        req[validationTargets[index]] = result;
+        const target = validationTargets[index];
+
+        if (target === 'query') {
+          Object.defineProperty(req, 'query', {
+            value: result,
+            writable: true,
+            configurable: true,
+          });
+        } else {
+          req[target] = result;
+        }
       });
 
       next();
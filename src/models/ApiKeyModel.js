@@ -0,0 +1,58 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * API Key Model
+ */
+class ApiKeyModelClass extends BaseModel {
+  constructor() {
+    super('api_keys', {
+      timestamps: true,
+      sortableFields: ['created_at', 'last_used_at', 'name'],
+      hidden: ['key_hash'],
+    });
+  }
+
+  /**
+   * Find a key by the hash of its plain-text value
+   */
+  async findByHash(keyHash) {
+    const record = await this.query().where({ key_hash: keyHash }).first();
+
+    return record ? this.hideFields(record) : null;
+  }
+
+  /**
+   * Find active (not revoked) keys of a user, newest first
+   */
+  async findActiveByUser(userId) {
+    const records = await this.query()
+      .where({ user_id: userId })
+      .whereNull('revoked_at')
+      .orderBy('created_at', 'desc');
+
+    return records.map((record) => this.hideFields(record));
+  }
+
+  /**
+   * Parse the scopes column (MySQL returns JSON as a string) and hide the hash
+   */
+  hideFields(record) {
+    if (!record) {
+      return record;
+    }
+
+    const result = { ...record };
+    if (typeof result.scopes === 'string') {
+      try {
+        result.scopes = JSON.parse(result.scopes);
+      } catch (_e) {
+        result.scopes = null;
+      }
+    }
+
+    return super.hideFields(result);
+  }
+}
+
+export const ApiKeyModel = new ApiKeyModelClass();
+export default ApiKeyModel;
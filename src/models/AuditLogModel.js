@@ -0,0 +1,51 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Audit Log Model
+ * Append-only: entries are never updated
+ */
+class AuditLogModelClass extends BaseModel {
+  constructor() {
+    super('audit_logs', {
+      timestamps: false,
+      sortableFields: ['created_at', 'action'],
+    });
+  }
+
+  /**
+   * Entries where a user is the actor or the target, oldest first
+   */
+  async findByUser(userId) {
+    const records = await this.query()
+      .where({ actor_id: userId })
+      .orWhere((query) => query.where({ target_type: 'user', target_id: String(userId) }))
+      .orderBy('created_at', 'asc');
+
+    return records.map((record) => this.hideFields(record));
+  }
+
+  /**
+   * Parse JSON columns (MySQL returns them as strings)
+   */
+  hideFields(record) {
+    if (!record) {
+      return record;
+    }
+
+    const result = { ...record };
+    for (const field of ['changes', 'metadata']) {
+      if (typeof result[field] === 'string') {
+        try {
+          result[field] = JSON.parse(result[field]);
+        } catch (_e) {
+          // Leave as-is
+        }
+      }
+    }
+
+    return super.hideFields(result);
+  }
+}
+
+export const AuditLogModel = new AuditLogModelClass();
+export default AuditLogModel;
@@ -52,16 +52,8 @@ export class BaseModel {
     let query = this.query();
 
     // Apply search if provided
-    if (options.search && this.searchableFields.length > 0) {
-      query = query.where((builder) => {
-        this.searchableFields.forEach((field, index) => {
-          if (index === 0) {
-            builder.whereILike(field, `%${options.search}%`);
-          } else {
-            builder.orWhereILike(field, `%${options.search}%`);
-          }
-        });
-      });
+    if (options.search) {
+      query = this.applySearch(query, options.search);
     }
 
     // Apply additional filters
@@ -154,11 +146,15 @@ export class BaseModel {
 
   /**
    * Create multiple records
+   * @param {object[]} dataArray - Records to insert
+   * @param {object} trx - Optional knex transaction to insert within
    */
-  async createMany(dataArray) {
+  async createMany(dataArray, trx = null) {
     const records = dataArray.map((data) => this.prepareForInsert(data));
 
-    const created = await this.getConnection()(this.tableName).insert(records).returning('*');
+    const created = await (trx || this.getConnection())(this.tableName)
+      .insert(records)
+      .returning('*');
 
     return created.map((record) => this.hideFields(record));
   }
@@ -330,6 +326,25 @@ export class BaseModel {
     return result;
   }
 
+  /**
+   * Match a search term against the searchable fields
+   */
+  applySearch(query, search) {
+    if (!search || this.searchableFields.length === 0) {
+      return query;
+    }
+
+    return query.where((builder) => {
+      this.searchableFields.forEach((field, index) => {
+        if (index === 0) {
+          builder.whereILike(field, `%${search}%`);
+        } else {
+          builder.orWhereILike(field, `%${search}%`);
+        }
+      });
+    });
+  }
+
   /**
    * Apply filters to query
    */
@@ -362,6 +377,9 @@ export class BaseModel {
           case 'nin':
             query = query.whereNotIn(`${this.tableName}.${key}`, val);
             break;
+          case 'between':
+            query = query.whereBetween(`${this.tableName}.${key}`, val);
+            break;
           case 'like':
             query = query.whereILike(`${this.tableName}.${key}`, `%${val}%`);
             break;
@@ -0,0 +1,111 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * File Model
+ * Uploaded files and the variants of images (file_variants)
+ */
+class FileModelClass extends BaseModel {
+  constructor() {
+    super('files', {
+      timestamps: true,
+      searchableFields: ['original_name'],
+      sortableFields: ['created_at', 'size', 'original_name'],
+    });
+  }
+
+  /**
+   * Find a file by its location in a storage driver
+   */
+  findByKey(driver, key) {
+    return this.findFirst({ driver, key });
+  }
+
+  /**
+   * Find the file a variant belongs to by the variant's location
+   */
+  findByVariantKey(driver, key) {
+    return this.query()
+      .join('file_variants', 'file_variants.file_id', `${this.tableName}.id`)
+      .where({ [`${this.tableName}.driver`]: driver, 'file_variants.key': key })
+      .first(`${this.tableName}.*`);
+  }
+
+  /**
+   * Delete the record of a stored file
+   * @returns {Promise<boolean>} true if a record was deleted
+   */
+  async deleteByKey(driver, key) {
+    const deleted = await this.query().where({ driver, key }).del();
+
+    return deleted > 0;
+  }
+
+  /**
+   * Which of the given keys have a record (as a file or as a variant of one)
+   * @returns {Promise<Set<string>>} Known keys
+   */
+  async findExistingKeys(driver, keys) {
+    const existing = new Set();
+
+    for (let i = 0; i < keys.length; i += 1000) {
+      const batch = keys.slice(i, i + 1000);
+      const files = await this.query().where({ driver }).whereIn('key', batch).select('key');
+      const variants = await this.getConnection()('file_variants')
+        .join('files', 'files.id', 'file_variants.file_id')
+        .where('files.driver', driver)
+        .whereIn('file_variants.key', batch)
+        .select('file_variants.key');
+
+      [...files, ...variants].forEach((row) => existing.add(row.key));
+    }
+
+    return existing;
+  }
+
+  /**
+   * Variants of a file
+   */
+  getVariants(fileId) {
+    return this.getConnection()('file_variants').where({ file_id: fileId }).orderBy('name');
+  }
+
+  /**
+   * Record the variants of a file
+   * @param {object[]} variants - { name, key, url, mimetype, width, height, size }
+   */
+  async saveVariants(fileId, variants) {
+    if (variants.length === 0) return;
+
+    await this.getConnection()('file_variants').insert(
+      variants.map((variant) => ({ file_id: fileId, ...variant, created_at: new Date() }))
+    );
+  }
+
+  /**
+   * Iterate over the records of a storage driver in batches (keyset pagination on id)
+   * @yields {object[]} Batch of files
+   */
+  async *iterate(driver, batchSize = 1000) {
+    let lastId = null;
+
+    for (;;) {
+      let query = this.query().where({ driver });
+
+      if (lastId !== null) {
+        query = query.where(this.primaryKey, '>', lastId);
+      }
+
+      const files = await query.orderBy(this.primaryKey, 'asc').limit(batchSize);
+
+      if (files.length > 0) {
+        yield files;
+      }
+
+      if (files.length < batchSize) return;
+      lastId = files[files.length - 1][this.primaryKey];
+    }
+  }
+}
+
+export const FileModel = new FileModelClass();
+export default FileModel;
@@ -0,0 +1,58 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Invitation Model
+ */
+class InvitationModelClass extends BaseModel {
+  constructor() {
+    super('invitations', {
+      timestamps: true,
+      searchableFields: ['email', 'first_name', 'last_name'],
+      sortableFields: ['created_at', 'expires_at', 'email'],
+      hidden: ['token_hash'],
+    });
+  }
+
+  /**
+   * Find an invitation by the hash of its token (including the hash)
+   */
+  findByTokenHash(tokenHash) {
+    return this.query().where({ token_hash: tokenHash }).first();
+  }
+
+  /**
+   * Find the unexpired pending invitation for an email
+   */
+  async findPendingByEmail(email) {
+    const record = await this.query()
+      .where({ email: email.toLowerCase(), status: 'pending' })
+      .where('expires_at', '>', new Date())
+      .first();
+
+    return this.hideFields(record);
+  }
+
+  /**
+   * Which of the given emails have a pending, unexpired invitation
+   * @param {string[]} emails - Lowercased emails
+   * @returns {Promise<Set<string>>} Emails with a pending invitation
+   */
+  async findPendingEmails(emails) {
+    const pending = new Set();
+
+    for (let i = 0; i < emails.length; i += 1000) {
+      const rows = await this.query()
+        .whereIn('email', emails.slice(i, i + 1000))
+        .where({ status: 'pending' })
+        .where('expires_at', '>', new Date())
+        .select('email');
+
+      rows.forEach((row) => pending.add(row.email));
+    }
+
+    return pending;
+  }
+}
+
+export const InvitationModel = new InvitationModelClass();
+export default InvitationModel;
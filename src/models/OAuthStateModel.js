@@ -0,0 +1,42 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * OAuth State Model
+ * Pending authorization requests; each row is consumed by its callback
+ */
+class OAuthStateModelClass extends BaseModel {
+  constructor() {
+    super('oauth_states', {
+      timestamps: false,
+      hidden: ['code_verifier'],
+    });
+  }
+
+  /**
+   * Atomically take (find and delete) a state by its hash
+   * @returns {Promise<object|null>} The state row including the code verifier
+   */
+  async consume(stateHash) {
+    return this.getConnection().transaction(async (trx) => {
+      const record = await trx(this.tableName).where({ state_hash: stateHash }).forUpdate().first();
+
+      if (!record) {
+        return null;
+      }
+
+      await trx(this.tableName).where({ id: record.id }).del();
+
+      return record;
+    });
+  }
+
+  /**
+   * Delete expired states
+   */
+  deleteExpired() {
+    return this.query().where('expires_at', '<', new Date()).del();
+  }
+}
+
+export const OAuthStateModel = new OAuthStateModelClass();
+export default OAuthStateModel;
@@ -0,0 +1,39 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Password History Model
+ * Hashes of passwords a user has replaced
+ */
+class PasswordHistoryModelClass extends BaseModel {
+  constructor() {
+    super('password_history', {
+      timestamps: false,
+      hidden: ['password_hash'],
+    });
+  }
+
+  /**
+   * Most recent entries of a user (including hashes), newest first
+   */
+  findRecentByUser(userId, limit) {
+    return this.query().where({ user_id: userId }).orderBy('created_at', 'desc').limit(limit);
+  }
+
+  /**
+   * Delete all but the newest `keep` entries of a user
+   */
+  async trim(userId, keep) {
+    const kept = await this.findRecentByUser(userId, keep).select('id');
+
+    return this.query()
+      .where({ user_id: userId })
+      .whereNotIn(
+        'id',
+        kept.map((entry) => entry.id)
+      )
+      .del();
+  }
+}
+
+export const PasswordHistoryModel = new PasswordHistoryModelClass();
+export default PasswordHistoryModel;
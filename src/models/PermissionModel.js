@@ -0,0 +1,24 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Permission Model
+ */
+class PermissionModelClass extends BaseModel {
+  constructor() {
+    super('permissions', {
+      timestamps: true,
+      searchableFields: ['name', 'description'],
+      sortableFields: ['created_at', 'updated_at', 'name'],
+    });
+  }
+
+  /**
+   * Find permissions by name
+   */
+  findByNames(names) {
+    return this.query().whereIn('name', names);
+  }
+}
+
+export const PermissionModel = new PermissionModelClass();
+export default PermissionModel;
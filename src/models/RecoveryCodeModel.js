@@ -0,0 +1,45 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Two-factor recovery code Model
+ * Stores only password-hashed codes
+ */
+class RecoveryCodeModelClass extends BaseModel {
+  constructor() {
+    super('two_factor_recovery_codes', {
+      timestamps: true,
+      hidden: ['code_hash'],
+    });
+  }
+
+  /**
+   * Find unused codes of a user (including hashes)
+   */
+  findUnusedByUser(userId) {
+    return this.query().where({ user_id: userId }).whereNull('used_at');
+  }
+
+  /**
+   * Mark a code used unless it already is
+   * Conditional update, so two concurrent requests cannot both redeem the same code
+   * @returns {Promise<boolean>} True if this call used the code
+   */
+  async markUsed(id) {
+    const updated = await this.query()
+      .where({ id })
+      .whereNull('used_at')
+      .update({ used_at: new Date(), updated_at: new Date() });
+
+    return updated > 0;
+  }
+
+  /**
+   * Delete all codes of a user
+   */
+  deleteByUser(userId) {
+    return this.query().where({ user_id: userId }).del();
+  }
+}
+
+export const RecoveryCodeModel = new RecoveryCodeModelClass();
+export default RecoveryCodeModel;
@@ -0,0 +1,63 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Role Model
+ */
+class RoleModelClass extends BaseModel {
+  constructor() {
+    super('roles', {
+      timestamps: true,
+      searchableFields: ['name', 'description'],
+      sortableFields: ['created_at', 'updated_at', 'name'],
+    });
+  }
+
+  /**
+   * Find role by name
+   */
+  findByName(name) {
+    return this.findBy('name', name);
+  }
+
+  /**
+   * Get permission names granted to a role (by role name)
+   */
+  async getPermissionNames(roleName) {
+    const rows = await this.getConnection()('role_permissions')
+      .join('roles', 'roles.id', 'role_permissions.role_id')
+      .join('permissions', 'permissions.id', 'role_permissions.permission_id')
+      .where('roles.name', roleName)
+      .select('permissions.name');
+
+    return rows.map((row) => row.name);
+  }
+
+  /**
+   * Get permissions (id, name, description) granted to a role (by role ID)
+   */
+  getPermissions(roleId) {
+    return this.getConnection()('permissions')
+      .join('role_permissions', 'permissions.id', 'role_permissions.permission_id')
+      .where('role_permissions.role_id', roleId)
+      .orderBy('permissions.name')
+      .select('permissions.id', 'permissions.name', 'permissions.description');
+  }
+
+  /**
+   * Replace the permissions of a role
+   */
+  async setPermissions(roleId, permissionIds) {
+    await this.getConnection().transaction(async (trx) => {
+      await trx('role_permissions').where({ role_id: roleId }).del();
+
+      if (permissionIds.length > 0) {
+        await trx('role_permissions').insert(
+          permissionIds.map((permissionId) => ({ role_id: roleId, permission_id: permissionId }))
+        );
+      }
+    });
+  }
+}
+
+export const RoleModel = new RoleModelClass();
+export default RoleModel;
@@ -0,0 +1,57 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Session Model
+ * One row per login/device
+ */
+class SessionModelClass extends BaseModel {
+  constructor() {
+    super('sessions', {
+      timestamps: true,
+      sortableFields: ['created_at', 'updated_at', 'last_seen_at'],
+    });
+  }
+
+  /**
+   * Find active (not revoked) sessions of a user, most recently used first
+   */
+  findActiveByUser(userId) {
+    return this.query()
+      .where({ user_id: userId })
+      .whereNull('revoked_at')
+      .orderBy('last_seen_at', 'desc');
+  }
+
+  /**
+   * Revoke sessions of a user, optionally keeping one
+   * @returns {Promise<string[]>} IDs of revoked sessions
+   */
+  async revokeByUser(userId, exceptSessionId = null) {
+    let query = this.query().where({ user_id: userId }).whereNull('revoked_at');
+
+    if (exceptSessionId) {
+      query = query.whereNot({ id: exceptSessionId });
+    }
+
+    const revoked = await query
+      .update({ revoked_at: new Date(), updated_at: new Date() })
+      .returning('id');
+
+    return revoked.map((row) => (typeof row === 'object' ? row.id : row));
+  }
+
+  /**
+   * Revoke every session of several users
+   * @param {object} trx - Optional knex transaction to update within
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  revokeByUsers(userIds, trx = null) {
+    return (trx || this.getConnection())(this.tableName)
+      .whereIn('user_id', userIds)
+      .whereNull('revoked_at')
+      .update({ revoked_at: new Date(), updated_at: new Date() });
+  }
+}
+
+export const SessionModel = new SessionModelClass();
+export default SessionModel;
@@ -0,0 +1,63 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * Upload Session Model
+ * Resumable uploads and their received chunks (upload_chunks)
+ */
+class UploadSessionModelClass extends BaseModel {
+  constructor() {
+    super('upload_sessions', {
+      timestamps: true,
+      sortableFields: ['created_at', 'expires_at'],
+    });
+  }
+
+  /**
+   * Received chunks of a session, by index
+   */
+  getChunks(sessionId) {
+    return this.getConnection()('upload_chunks')
+      .where({ session_id: sessionId })
+      .orderBy('index', 'asc')
+      .select('index', 'size', 'checksum');
+  }
+
+  /**
+   * Record a received chunk (a re-sent chunk replaces the previous one)
+   */
+  saveChunk(sessionId, chunk) {
+    return this.getConnection()('upload_chunks')
+      .insert({ session_id: sessionId, ...chunk, created_at: new Date() })
+      .onConflict(['session_id', 'index'])
+      .merge(['size', 'checksum', 'created_at']);
+  }
+
+  /**
+   * Delete the chunk records of a session
+   */
+  deleteChunks(sessionId) {
+    return this.getConnection()('upload_chunks').where({ session_id: sessionId }).del();
+  }
+
+  /**
+   * Move a session from one status to another
+   * @returns {Promise<boolean>} false if the session was not in the expected status
+   */
+  async transition(sessionId, from, data) {
+    const updated = await this.query()
+      .where({ id: sessionId, status: from })
+      .update({ ...data, updated_at: new Date() });
+
+    return updated > 0;
+  }
+
+  /**
+   * Sessions past their expiry
+   */
+  findExpired(now, limit = 100) {
+    return this.query().where('expires_at', '<', now).orderBy('expires_at').limit(limit);
+  }
+}
+
+export const UploadSessionModel = new UploadSessionModelClass();
+export default UploadSessionModel;
@@ -0,0 +1,31 @@
+import { BaseModel } from './BaseModel.js';
+
+/**
+ * User Identity Model
+ * Links an external (provider, subject) pair to a user
+ */
+class UserIdentityModelClass extends BaseModel {
+  constructor() {
+    super('user_identities', {
+      timestamps: true,
+      sortableFields: ['created_at', 'provider'],
+    });
+  }
+
+  /**
+   * Find the identity for a provider subject
+   */
+  findBySubject(provider, subject) {
+    return this.findFirst({ provider, subject: String(subject) });
+  }
+
+  /**
+   * Find identities linked to a user
+   */
+  findByUser(userId) {
+    return this.query().where({ user_id: userId }).orderBy('created_at', 'asc');
+  }
+}
+
+export const UserIdentityModel = new UserIdentityModelClass();
+export default UserIdentityModel;
@@ -11,7 +11,7 @@ class UserModelClass extends BaseModel {
       softDeletes: true,
       searchableFields: ['email', 'first_name', 'last_name'],
       sortableFields: ['created_at', 'updated_at', 'email', 'first_name', 'last_name'],
-      hidden: ['password_hash'],
+      hidden: ['password_hash', 'two_factor_secret', 'two_factor_last_step'],
     });
   }
 
@@ -50,6 +50,59 @@ class UserModelClass extends BaseModel {
     return this.findBy('email', email.toLowerCase());
   }
 
+  /**
+   * Whether an email is used by another account
+   * Soft-deleted users count: they still hold the unique email
+   * @param {string} email - Email to check
+   * @param {number|null} exceptUserId - Account to ignore (the one being updated)
+   */
+  async emailExists(email, exceptUserId = null) {
+    const query = this.getConnection()(this.tableName).where('email', email.toLowerCase());
+
+    if (exceptUserId) {
+      query.whereNot(this.primaryKey, exceptUserId);
+    }
+
+    return !!(await query.first(this.primaryKey));
+  }
+
+  /**
+   * Which of the given emails are already used (soft-deleted users included)
+   * @param {string[]} emails - Lowercased emails
+   * @returns {Promise<Set<string>>} Emails in use
+   */
+  async findExistingEmails(emails) {
+    const existing = new Set();
+
+    for (let i = 0; i < emails.length; i += 1000) {
+      const rows = await this.getConnection()(this.tableName)
+        .whereIn('email', emails.slice(i, i + 1000))
+        .select('email');
+
+      rows.forEach((row) => existing.add(row.email));
+    }
+
+    return existing;
+  }
+
+  /**
+   * Users to anonymize: self-service deletions past their grace period and
+   * soft-deleted users past the retention period
+   * @param {Date} deletedBefore - Soft deletions older than this are due
+   * @param {number} limit - Batch size
+   */
+  findDueForAnonymization(deletedBefore, limit = 100) {
+    return this.getConnection()(this.tableName)
+      .whereNull('anonymized_at')
+      .where((query) =>
+        query
+          .where('deletion_scheduled_at', '<=', new Date())
+          .orWhere('deleted_at', '<', deletedBefore)
+      )
+      .limit(limit)
+      .select(this.primaryKey);
+  }
+
   /**
    * Find user by email including password hash
    */
@@ -58,6 +111,107 @@ class UserModelClass extends BaseModel {
     return record;
   }
 
+  /**
+   * Find user by ID including password hash and two-factor secret
+   */
+  async findByIdWithSecrets(id) {
+    const record = await this.query().where(this.primaryKey, id).first();
+    return record;
+  }
+
+  /**
+   * Find user by ID, soft-deleted users included
+   */
+  async findByIdWithTrashed(id) {
+    const record = await this.getConnection()(this.tableName).where(this.primaryKey, id).first();
+    return this.hideFields(record);
+  }
+
+  /**
+   * Users targeted by a bulk action, soft-deleted users included
+   * @param {object} selection - { ids } or { filters, search, trashed } where trashed
+   *   picks soft-deleted users instead of live ones
+   * @param {number} limit - Maximum number of users returned
+   */
+  findForBulk(selection, limit) {
+    let query = this.getConnection()(this.tableName);
+
+    if (selection.ids) {
+      query = query.whereIn(this.primaryKey, selection.ids);
+    } else {
+      query = selection.trashed ? query.whereNotNull('deleted_at') : query.whereNull('deleted_at');
+      query = this.applySearch(query, selection.search);
+      query = this.applyFilters(query, selection.filters || {});
+    }
+
+    return query
+      .orderBy('created_at', 'asc')
+      .limit(limit)
+      .select(
+        this.primaryKey,
+        'email',
+        'role',
+        'status',
+        'deleted_at',
+        'anonymized_at',
+        'created_at'
+      );
+  }
+
+  /**
+   * Iterate over users matching list filters in batches
+   * Keyset pagination on the primary key keeps memory flat on large tables
+   * @param {object} options - { search, filters, columns }
+   * @param {number} batchSize - Rows fetched per query
+   * @yields {object[]} Batches of users
+   */
+  async *iterate(options = {}, batchSize = 1000) {
+    let lastId = null;
+
+    for (;;) {
+      let query = this.applySearch(this.query(), options.search);
+      query = this.applyFilters(query, options.filters || {});
+
+      if (lastId !== null) {
+        query = query.where(this.primaryKey, '>', lastId);
+      }
+
+      const users = await query
+        .orderBy(this.primaryKey, 'asc')
+        .limit(batchSize)
+        .select(options.columns || '*');
+
+      if (users.length > 0) {
+        yield users.map((user) => this.hideFields(user));
+      }
+
+      if (users.length < batchSize) return;
+      lastId = users[users.length - 1][this.primaryKey];
+    }
+  }
+
+  /**
+   * Remove hidden fields and parse JSON columns (MySQL returns them as strings)
+   */
+  hideFields(record) {
+    if (!record) {
+      return record;
+    }
+
+    const result = { ...record };
+    for (const field of ['preferences', 'metadata']) {
+      if (typeof result[field] === 'string') {
+        try {
+          result[field] = JSON.parse(result[field]);
+        } catch (_e) {
+          // Leave as-is
+        }
+      }
+    }
+
+    return super.hideFields(result);
+  }
+
   /**
    * Hash a password using configured algorithm
    */
@@ -84,6 +238,64 @@ class UserModelClass extends BaseModel {
 
     return this.comparePassword(password, user.password_hash);
   }
+
+  /**
+   * Count a failed login and lock the account once maxAttempts is reached
+   * Decided under a row lock, so parallel attempts can neither slip past the threshold
+   * nor lock the account more than once
+   * @param {function} getLockDuration - (lockoutCount) => lock duration in ms
+   * @returns {Promise<object|null>} { lockoutCount, lockedUntil } if this failure locked it
+   */
+  async recordFailedLogin(userId, maxAttempts, getLockDuration) {
+    return this.getConnection().transaction(async (trx) => {
+      const row = await trx(this.tableName)
+        .where(this.primaryKey, userId)
+        .forUpdate()
+        .first('failed_login_attempts', 'lockout_count', 'locked_until');
+
+      // Attempts that raced with the lock do not count toward the next one
+      if (!row || (row.locked_until && new Date(row.locked_until) > new Date())) {
+        return null;
+      }
+
+      const attempts = (row.failed_login_attempts || 0) + 1;
+
+      if (attempts < maxAttempts) {
+        await trx(this.tableName)
+          .where(this.primaryKey, userId)
+          .update({ failed_login_attempts: attempts, updated_at: new Date() });
+        return null;
+      }
+
+      const lockoutCount = (row.lockout_count || 0) + 1;
+      const lockedUntil = new Date(Date.now() + getLockDuration(lockoutCount));
+
+      await trx(this.tableName).where(this.primaryKey, userId).update({
+        failed_login_attempts: 0,
+        lockout_count: lockoutCount,
+        locked_until: lockedUntil,
+        updated_at: new Date(),
+      });
+
+      return { lockoutCount, lockedUntil };
+    });
+  }
+
+  /**
+   * Record the TOTP time step of an accepted code unless it (or a later one) was used
+   * Conditional update, so two concurrent requests cannot both use the same code
+   * @returns {Promise<boolean>} True if the step was recorded
+   */
+  async advanceTwoFactorStep(userId, step) {
+    const updated = await this.query()
+      .where(this.primaryKey, userId)
+      .where((query) =>
+        query.whereNull('two_factor_last_step').orWhere('two_factor_last_step', '<', step)
+      )
+      .update({ two_factor_last_step: step, updated_at: new Date() });
+
+    return updated > 0;
+  }
 }
 
 export const UserModel = new UserModelClass();
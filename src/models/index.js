@@ -1,2 +1,14 @@
 export * from './BaseModel.js';
 export * from './UserModel.js';
+export * from './SessionModel.js';
+export * from './RecoveryCodeModel.js';
+export * from './RoleModel.js';
+export * from './PermissionModel.js';
+export * from './AuditLogModel.js';
+export * from './ApiKeyModel.js';
+export * from './UserIdentityModel.js';
+export * from './OAuthStateModel.js';
+export * from './PasswordHistoryModel.js';
+export * from './InvitationModel.js';
+export * from './FileModel.js';
+export * from './UploadSessionModel.js';
@@ -0,0 +1,40 @@
+import { Router } from 'express';
+import { AuditLogController } from '../controllers/AuditLogController.js';
+import { auditLogSchemas } from '../validators/schemas.js';
+import { validateParams, validateQuery } from '../middlewares/validate.js';
+import { authenticate, requirePermission } from '../middlewares/auth.js';
+
+const router = Router();
+
+/**
+ * Audit Log Routes
+ * Read-only; entries are written by the services performing the audited actions
+ */
+
+/**
+ * @route GET /audit-logs
+ * @desc List audit log entries (filter by actor, action, target and date range)
+ * @access audit:read
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission('audit:read'),
+  validateQuery(auditLogSchemas.listQuery),
+  AuditLogController.list
+);
+
+/**
+ * @route GET /audit-logs/:id
+ * @desc Get an audit log entry
+ * @access audit:read
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermission('audit:read'),
+  validateParams(auditLogSchemas.params),
+  AuditLogController.getById
+);
+
+export default router;
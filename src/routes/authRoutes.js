@@ -1,9 +1,10 @@
 import { Router } from 'express';
 import { AuthController } from '../controllers/AuthController.js';
 import { authSchemas } from '../validators/schemas.js';
-import { validateBody } from '../middlewares/validate.js';
-import { authenticate } from '../middlewares/auth.js';
-import { authRateLimiter } from '../middlewares/rateLimiter.js';
+import { validateBody, validateParams } from '../middlewares/validate.js';
+import { authenticate, blockApiKeys, blockImpersonation } from '../middlewares/auth.js';
+import { authRateLimiter, emailRateLimiter } from '../middlewares/rateLimiter.js';
+import { upload } from '../middlewares/upload.js';
 
 const router = Router();
 
@@ -19,6 +20,18 @@ router.post(
   AuthController.register
 );
 
+/**
+ * @route POST /auth/accept-invite
+ * @desc Accept an invitation, set a password and sign in
+ * @access Public
+ */
+router.post(
+  '/accept-invite',
+  authRateLimiter,
+  validateBody(authSchemas.acceptInvite),
+  AuthController.acceptInvite
+);
+
 /**
  * @route POST /auth/login
  * @desc Login user
@@ -26,6 +39,18 @@ router.post(
  */
 router.post('/login', authRateLimiter, validateBody(authSchemas.login), AuthController.login);
 
+/**
+ * @route POST /auth/2fa/verify
+ * @desc Complete login with a TOTP or recovery code
+ * @access Public (requires the challenge token from login)
+ */
+router.post(
+  '/2fa/verify',
+  authRateLimiter,
+  validateBody(authSchemas.twoFactorVerify),
+  AuthController.verifyTwoFactor
+);
+
 /**
  * @route POST /auth/refresh
  * @desc Refresh access token
@@ -67,10 +92,99 @@ router.get('/me', authenticate, AuthController.getProfile);
 router.patch(
   '/me',
   authenticate,
+  blockApiKeys,
   validateBody(authSchemas.updateProfile),
   AuthController.updateProfile
 );
 
+/**
+ * @route PUT /auth/me/avatar
+ * @desc Upload an avatar image (replaces and deletes the previous one)
+ * @access Private
+ */
+router.put(
+  '/me/avatar',
+  authenticate,
+  blockApiKeys,
+  upload('avatars').single('file'),
+  AuthController.updateAvatar
+);
+
+/**
+ * @route DELETE /auth/me/avatar
+ * @desc Remove the avatar
+ * @access Private
+ */
+router.delete('/me/avatar', authenticate, blockApiKeys, AuthController.removeAvatar);
+
+/**
+ * @route PATCH /auth/me/preferences
+ * @desc Update locale, timezone and notification settings
+ * @access Private
+ */
+router.patch(
+  '/me/preferences',
+  authenticate,
+  blockApiKeys,
+  validateBody(authSchemas.updatePreferences),
+  AuthController.updatePreferences
+);
+
+/**
+ * @route PATCH /auth/me/metadata
+ * @desc Update the user-editable custom metadata fields
+ * @access Private
+ */
+router.patch(
+  '/me/metadata',
+  authenticate,
+  blockApiKeys,
+  validateBody(authSchemas.updateMetadata),
+  AuthController.updateMetadata
+);
+
+/**
+ * @route DELETE /auth/me
+ * @desc Schedule deletion of the current account (cancellable during the grace period)
+ * @access Private
+ */
+router.delete(
+  '/me',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  authRateLimiter,
+  validateBody(authSchemas.deleteAccount),
+  AuthController.deleteAccount
+);
+
+/**
+ * @route POST /auth/me/cancel-deletion
+ * @desc Cancel a scheduled account deletion
+ * @access Private
+ */
+router.post(
+  '/me/cancel-deletion',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  AuthController.cancelAccountDeletion
+);
+
+/**
+ * @route POST /auth/me/export
+ * @desc Download a JSON export of all personal data
+ * @access Private
+ */
+router.post(
+  '/me/export',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  authRateLimiter,
+  AuthController.exportData
+);
+
 /**
  * @route POST /auth/change-password
  * @desc Change password
@@ -79,10 +193,52 @@ router.patch(
 router.post(
   '/change-password',
   authenticate,
+  blockApiKeys,
+  blockImpersonation,
   validateBody(authSchemas.changePassword),
   AuthController.changePassword
 );
 
+/**
+ * @route POST /auth/change-email
+ * @desc Request an email change (confirmation sent to the new address)
+ * @access Private
+ */
+router.post(
+  '/change-email',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  authRateLimiter,
+  emailRateLimiter,
+  validateBody(authSchemas.changeEmail),
+  AuthController.changeEmail
+);
+
+/**
+ * @route POST /auth/change-email/confirm
+ * @desc Confirm an email change with the token sent to the new address
+ * @access Public
+ */
+router.post(
+  '/change-email/confirm',
+  authRateLimiter,
+  validateBody(authSchemas.emailChangeToken),
+  AuthController.confirmEmailChange
+);
+
+/**
+ * @route POST /auth/change-email/revert
+ * @desc Cancel or undo an email change with the link sent to the old address
+ * @access Public
+ */
+router.post(
+  '/change-email/revert',
+  authRateLimiter,
+  validateBody(authSchemas.emailChangeToken),
+  AuthController.revertEmailChange
+);
+
 /**
  * @route POST /auth/forgot-password
  * @desc Request password reset
@@ -95,6 +251,38 @@ router.post(
   AuthController.forgotPassword
 );
 
+/**
+ * @route POST /auth/magic-link
+ * @desc Email a passwordless sign-in link
+ * @access Public
+ */
+router.post(
+  '/magic-link',
+  authRateLimiter,
+  emailRateLimiter,
+  validateBody(authSchemas.magicLink),
+  AuthController.requestMagicLink
+);
+
+/**
+ * @route POST /auth/magic-link/verify
+ * @desc Sign in with a magic link token
+ * @access Public
+ */
+router.post(
+  '/magic-link/verify',
+  authRateLimiter,
+  validateBody(authSchemas.magicLinkVerify),
+  AuthController.verifyMagicLink
+);
+
+/**
+ * @route GET /auth/password-policy
+ * @desc Password requirements (for rendering next to password fields)
+ * @access Public
+ */
+router.get('/password-policy', AuthController.getPasswordPolicy);
+
 /**
  * @route POST /auth/reset-password
  * @desc Reset password with token
@@ -114,4 +302,189 @@ router.post(
  */
 router.post('/logout', authenticate, AuthController.logout);
 
+/**
+ * @route POST /auth/impersonation/end
+ * @desc End an impersonation (invalidates the impersonation token)
+ * @access Private (impersonation token)
+ */
+router.post('/impersonation/end', authenticate, AuthController.endImpersonation);
+
+/**
+ * @route POST /auth/2fa/enroll
+ * @desc Start two-factor enrollment (returns secret + otpauth URL)
+ * @access Private
+ */
+router.post(
+  '/2fa/enroll',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  AuthController.enrollTwoFactor
+);
+
+/**
+ * @route POST /auth/2fa/confirm
+ * @desc Confirm enrollment with a code and receive recovery codes
+ * @access Private
+ */
+router.post(
+  '/2fa/confirm',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  validateBody(authSchemas.twoFactorConfirm),
+  AuthController.confirmTwoFactor
+);
+
+/**
+ * @route POST /auth/2fa/disable
+ * @desc Disable two-factor authentication
+ * @access Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  authRateLimiter,
+  validateBody(authSchemas.twoFactorDisable),
+  AuthController.disableTwoFactor
+);
+
+/**
+ * @route GET /auth/sessions
+ * @desc List active sessions (devices)
+ * @access Private
+ */
+router.get('/sessions', authenticate, AuthController.listSessions);
+
+/**
+ * @route POST /auth/sessions/revoke-others
+ * @desc Sign out every other device
+ * @access Private
+ */
+router.post(
+  '/sessions/revoke-others',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  AuthController.revokeOtherSessions
+);
+
+/**
+ * @route DELETE /auth/sessions/:id
+ * @desc Sign out a specific device
+ * @access Private
+ */
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  validateParams(authSchemas.sessionParams),
+  AuthController.revokeSession
+);
+
+/**
+ * @route GET /auth/oauth/providers
+ * @desc List enabled OAuth / OpenID Connect providers
+ * @access Public
+ */
+router.get('/oauth/providers', AuthController.listOAuthProviders);
+
+/**
+ * @route GET /auth/oauth/:provider
+ * @desc Start an OAuth login (authorization code + PKCE)
+ * @access Public
+ */
+router.get(
+  '/oauth/:provider',
+  authRateLimiter,
+  validateParams(authSchemas.oauthParams),
+  AuthController.startOAuth
+);
+
+/**
+ * @route POST /auth/oauth/:provider/callback
+ * @desc Complete an OAuth login or link with the code and state from the provider
+ * @access Public
+ */
+router.post(
+  '/oauth/:provider/callback',
+  authRateLimiter,
+  validateParams(authSchemas.oauthParams),
+  validateBody(authSchemas.oauthCallback),
+  AuthController.oauthCallback
+);
+
+/**
+ * @route POST /auth/oauth/:provider/link
+ * @desc Start linking a provider account to the current user
+ * @access Private
+ */
+router.post(
+  '/oauth/:provider/link',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  validateParams(authSchemas.oauthParams),
+  AuthController.linkOAuth
+);
+
+/**
+ * @route GET /auth/identities
+ * @desc List linked provider accounts
+ * @access Private
+ */
+router.get('/identities', authenticate, AuthController.listIdentities);
+
+/**
+ * @route DELETE /auth/identities/:id
+ * @desc Unlink a provider account
+ * @access Private
+ */
+router.delete(
+  '/identities/:id',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  validateParams(authSchemas.identityParams),
+  AuthController.unlinkIdentity
+);
+
+/**
+ * @route GET /auth/api-keys
+ * @desc List personal API keys
+ * @access Private
+ */
+router.get('/api-keys', authenticate, AuthController.listApiKeys);
+
+/**
+ * @route POST /auth/api-keys
+ * @desc Create a personal API key (returned once)
+ * @access Private
+ */
+router.post(
+  '/api-keys',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  validateBody(authSchemas.apiKeyCreate),
+  AuthController.createApiKey
+);
+
+/**
+ * @route DELETE /auth/api-keys/:id
+ * @desc Revoke a personal API key
+ * @access Private
+ */
+router.delete(
+  '/api-keys/:id',
+  authenticate,
+  blockApiKeys,
+  blockImpersonation,
+  validateParams(authSchemas.apiKeyParams),
+  AuthController.revokeApiKey
+);
+
 export default router;
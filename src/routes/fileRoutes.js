@@ -0,0 +1,64 @@
+import { Router } from 'express';
+import { FileController } from '../controllers/FileController.js';
+import { fileSchemas } from '../validators/schemas.js';
+import { validateParams, validateQuery } from '../middlewares/validate.js';
+import { FileService } from '../services/FileService.js';
+import { authenticate, optionalAuth, requireOwnership } from '../middlewares/auth.js';
+
+const router = Router();
+
+/**
+ * File Routes
+ * Public upload groups are served as static files; private groups only through here
+ */
+
+// Owner of the file, or a holder of files:read
+const ownsFile = requireOwnership((req) => FileService.getOwnerId(req.params.id), 'files:read');
+
+/**
+ * @route GET /files
+ * @desc List uploaded files (own files; all files with files:read)
+ * @access Private
+ */
+router.get('/', authenticate, validateQuery(fileSchemas.listQuery), FileController.list);
+
+/**
+ * @route GET /files/private/:group/:filename
+ * @desc Download a private file (supports Range requests)
+ * @access Signed URL (expires, signature), owner or files:read
+ */
+router.get(
+  '/private/:group/:filename',
+  optionalAuth,
+  validateParams(fileSchemas.privateParams),
+  validateQuery(fileSchemas.signedQuery),
+  FileController.downloadPrivate
+);
+
+/**
+ * @route GET /files/:id
+ * @desc Get a file record
+ * @access Owner or files:read
+ */
+router.get(
+  '/:id',
+  authenticate,
+  validateParams(fileSchemas.params),
+  ownsFile,
+  FileController.getById
+);
+
+/**
+ * @route DELETE /files/:id
+ * @desc Delete a file from storage along with its record
+ * @access Owner or files:read
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  validateParams(fileSchemas.params),
+  ownsFile,
+  FileController.delete
+);
+
+export default router;
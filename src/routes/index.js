@@ -5,8 +5,15 @@ import { rateLimiter } from '../middlewares/rateLimiter.js';
 // Import route modules
 import authRoutes from './authRoutes.js';
 import userRoutes from './userRoutes.js';
+import invitationRoutes from './invitationRoutes.js';
+import roleRoutes from './roleRoutes.js';
+import permissionRoutes from './permissionRoutes.js';
+import auditLogRoutes from './auditLogRoutes.js';
+import fileRoutes from './fileRoutes.js';
+import uploadRoutes from './uploadRoutes.js';
 import healthRoutes from './healthRoutes.js';
 import docsRoutes from './docsRoutes.js';
+import wellKnownRoutes from './wellKnownRoutes.js';
 
 const router = Router();
 
@@ -15,11 +22,19 @@ const router = Router();
  */
 router.use('/health', healthRoutes);
 
+/**
+ * Well-known routes (JWKS)
+ */
+router.use('/.well-known', wellKnownRoutes);
+
 /**
  * API v1 routes
  */
 const v1Router = Router();
 
+// Resumable uploads (before the API rate limiter: one request per chunk, limited separately)
+v1Router.use('/uploads', uploadRoutes);
+
 // Apply rate limiter to all API routes
 v1Router.use(rateLimiter);
 
@@ -29,9 +44,20 @@ v1Router.use('/docs', docsRoutes);
 // Auth routes
 v1Router.use('/auth', authRoutes);
 
-// User management routes
+// User management routes (invitations first so /users/:id does not capture them)
+v1Router.use('/users/invitations', invitationRoutes);
 v1Router.use('/users', userRoutes);
 
+// Role & permission management routes
+v1Router.use('/roles', roleRoutes);
+v1Router.use('/permissions', permissionRoutes);
+
+// Audit log routes
+v1Router.use('/audit-logs', auditLogRoutes);
+
+// File routes
+v1Router.use('/files', fileRoutes);
+
 // Mount v1 routes
 router.use(`/api/${env.API_VERSION}`, v1Router);
 
@@ -0,0 +1,66 @@
+import { Router } from 'express';
+import { InvitationController } from '../controllers/InvitationController.js';
+import { invitationSchemas } from '../validators/schemas.js';
+import { validateBody, validateParams, validateQuery } from '../middlewares/validate.js';
+import { authenticate, requirePermission } from '../middlewares/auth.js';
+
+const router = Router();
+
+/**
+ * Invitation Routes
+ * Mounted at /users/invitations; invitees accept with POST /auth/accept-invite
+ */
+
+/**
+ * @route GET /users/invitations
+ * @desc List invitations
+ * @access users:read
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission('users:read'),
+  validateQuery(invitationSchemas.listQuery),
+  InvitationController.list
+);
+
+/**
+ * @route POST /users/invitations
+ * @desc Invite a user by email with a pre-assigned role
+ * @access users:create (plus users:assign_role for a role other than the default)
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermission('users:create'),
+  validateBody(invitationSchemas.create),
+  InvitationController.create
+);
+
+/**
+ * @route POST /users/invitations/:id/resend
+ * @desc Resend an invitation with a fresh link
+ * @access users:create
+ */
+router.post(
+  '/:id/resend',
+  authenticate,
+  requirePermission('users:create'),
+  validateParams(invitationSchemas.params),
+  InvitationController.resend
+);
+
+/**
+ * @route DELETE /users/invitations/:id
+ * @desc Revoke a pending invitation
+ * @access users:create
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermission('users:create'),
+  validateParams(invitationSchemas.params),
+  InvitationController.revoke
+);
+
+export default router;
@@ -0,0 +1,53 @@
+import { Router } from 'express';
+import { RoleController } from '../controllers/RoleController.js';
+import { permissionSchemas } from '../validators/schemas.js';
+import { validateBody, validateParams, validateQuery } from '../middlewares/validate.js';
+import { authenticate, requirePermission } from '../middlewares/auth.js';
+
+const router = Router();
+
+/**
+ * Permission Management Routes
+ * All routes require authentication and role permissions
+ */
+
+/**
+ * @route GET /permissions
+ * @desc List permissions
+ * @access roles:read
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission('roles:read'),
+  validateQuery(permissionSchemas.listQuery),
+  RoleController.listPermissions
+);
+
+/**
+ * @route POST /permissions
+ * @desc Create a permission
+ * @access roles:manage
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermission('roles:manage'),
+  validateBody(permissionSchemas.create),
+  RoleController.createPermission
+);
+
+/**
+ * @route DELETE /permissions/:id
+ * @desc Delete a permission
+ * @access roles:manage
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermission('roles:manage'),
+  validateParams(permissionSchemas.params),
+  RoleController.deletePermission
+);
+
+export default router;
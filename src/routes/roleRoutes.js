@@ -0,0 +1,92 @@
+import { Router } from 'express';
+import { RoleController } from '../controllers/RoleController.js';
+import { roleSchemas } from '../validators/schemas.js';
+import { validate, validateBody, validateParams, validateQuery } from '../middlewares/validate.js';
+import { authenticate, requirePermission } from '../middlewares/auth.js';
+
+const router = Router();
+
+/**
+ * Role Management Routes
+ * All routes require authentication and role permissions
+ */
+
+/**
+ * @route GET /roles
+ * @desc List roles
+ * @access roles:read
+ */
+router.get(
+  '/',
+  authenticate,
+  requirePermission('roles:read'),
+  validateQuery(roleSchemas.listQuery),
+  RoleController.list
+);
+
+/**
+ * @route POST /roles
+ * @desc Create a custom role
+ * @access roles:manage
+ */
+router.post(
+  '/',
+  authenticate,
+  requirePermission('roles:manage'),
+  validateBody(roleSchemas.create),
+  RoleController.create
+);
+
+/**
+ * @route GET /roles/:id
+ * @desc Get role with its permissions
+ * @access roles:read
+ */
+router.get(
+  '/:id',
+  authenticate,
+  requirePermission('roles:read'),
+  validateParams(roleSchemas.params),
+  RoleController.getById
+);
+
+/**
+ * @route PATCH /roles/:id
+ * @desc Update role
+ * @access roles:manage
+ */
+router.patch(
+  '/:id',
+  authenticate,
+  requirePermission('roles:manage'),
+  validate({ params: roleSchemas.params, body: roleSchemas.update }),
+  RoleController.update
+);
+
+/**
+ * @route DELETE /roles/:id
+ * @desc Delete a custom role
+ * @access roles:manage
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  requirePermission('roles:manage'),
+  validateParams(roleSchemas.params),
+  RoleController.delete
+);
+
+/**
+ * @route PUT /roles/:id/permissions
+ * @desc Replace role permissions
+ * @access roles:manage
+ */
+router.put(
+  '/:id/permissions',
+  authenticate,
+  requirePermission('roles:manage'),
+  validate({ params: roleSchemas.params, body: roleSchemas.setPermissions }),
+  RoleController.setPermissions
+);
+
+export default router;
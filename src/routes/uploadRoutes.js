@@ -0,0 +1,73 @@
+import { Router } from 'express';
+import { UploadController } from '../controllers/UploadController.js';
+import { uploadSessionSchemas } from '../validators/schemas.js';
+import { validateBody, validateParams } from '../middlewares/validate.js';
+import { authenticate } from '../middlewares/auth.js';
+import { rateLimiter, uploadChunkRateLimiter } from '../middlewares/rateLimiter.js';
+
+const router = Router();
+
+/**
+ * Resumable Upload Routes
+ * Mounted ahead of the API rate limiter: chunks have their own, higher limit
+ */
+
+/**
+ * @route PUT /uploads/:id/chunks/:index
+ * @desc Upload one chunk (application/octet-stream, X-Chunk-Checksum: SHA-256 hex)
+ * @access Private (upload owner)
+ */
+router.put(
+  '/:id/chunks/:index',
+  uploadChunkRateLimiter,
+  authenticate,
+  validateParams(uploadSessionSchemas.chunkParams),
+  UploadController.uploadChunk
+);
+
+router.use(rateLimiter);
+
+/**
+ * @route POST /uploads
+ * @desc Start a resumable upload
+ * @access Private
+ */
+router.post('/', authenticate, validateBody(uploadSessionSchemas.create), UploadController.create);
+
+/**
+ * @route GET /uploads/:id
+ * @desc Get upload status (received and missing chunks)
+ * @access Private (upload owner)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  validateParams(uploadSessionSchemas.params),
+  UploadController.getStatus
+);
+
+/**
+ * @route POST /uploads/:id/complete
+ * @desc Assemble the chunks and store the file
+ * @access Private (upload owner)
+ */
+router.post(
+  '/:id/complete',
+  authenticate,
+  validateParams(uploadSessionSchemas.params),
+  UploadController.complete
+);
+
+/**
+ * @route DELETE /uploads/:id
+ * @desc Cancel an upload and delete its chunks
+ * @access Private (upload owner)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  validateParams(uploadSessionSchemas.params),
+  UploadController.cancel
+);
+
+export default router;
@@ -2,24 +2,31 @@ import { Router } from 'express';
 import { UserController } from '../controllers/UserController.js';
 import { userSchemas } from '../validators/schemas.js';
 import { validate, validateBody, validateParams, validateQuery } from '../middlewares/validate.js';
-import { authenticate, requireRole } from '../middlewares/auth.js';
+import { upload } from '../middlewares/upload.js';
+import {
+  authenticate,
+  requirePermission,
+  requireRole,
+  blockApiKeys,
+  blockImpersonation,
+} from '../middlewares/auth.js';
 
 const router = Router();
 
 /**
  * User Management Routes
- * All routes require authentication and admin role
+ * All routes require authentication and a users:* permission
  */
 
 /**
  * @route GET /users
  * @desc List users
- * @access Admin
+ * @access users:read
  */
 router.get(
   '/',
   authenticate,
-  requireRole('admin', 'super_admin'),
+  requirePermission('users:read'),
   validateQuery(userSchemas.listQuery),
   UserController.list
 );
@@ -27,25 +34,65 @@ router.get(
 /**
  * @route POST /users
  * @desc Create a new user
- * @access Admin
+ * @access users:create (plus users:assign_role for a role other than the default)
  */
 router.post(
   '/',
   authenticate,
-  requireRole('admin', 'super_admin'),
+  requirePermission('users:create'),
   validateBody(userSchemas.create),
   UserController.create
 );
 
+/**
+ * @route GET /users/export
+ * @desc Download users matching the list filters as CSV, JSON or NDJSON
+ * @access users:read
+ */
+router.get(
+  '/export',
+  authenticate,
+  requirePermission('users:read'),
+  validateQuery(userSchemas.exportQuery),
+  UserController.export
+);
+
+/**
+ * @route POST /users/import
+ * @desc Create users (or invitations) from a CSV file (supports dry_run)
+ * @access users:create
+ */
+router.post(
+  '/import',
+  authenticate,
+  requirePermission('users:create'),
+  upload('imports').single('file'),
+  validateBody(userSchemas.importOptions),
+  UserController.import
+);
+
+/**
+ * @route POST /users/bulk
+ * @desc Change status or role, delete or restore many users by IDs or filter (supports dry_run)
+ * @access users:update, users:assign_role, users:delete or users:restore (depending on the action)
+ */
+router.post(
+  '/bulk',
+  authenticate,
+  requirePermission('users:update', 'users:assign_role', 'users:delete', 'users:restore'),
+  validateBody(userSchemas.bulk),
+  UserController.bulk
+);
+
 /**
  * @route GET /users/:id
  * @desc Get user by ID
- * @access Admin
+ * @access users:read
  */
 router.get(
   '/:id',
   authenticate,
-  requireRole('admin', 'super_admin'),
+  requirePermission('users:read'),
   validateParams(userSchemas.params),
   UserController.getById
 );
@@ -53,25 +100,38 @@ router.get(
 /**
  * @route PATCH /users/:id
  * @desc Update user
- * @access Admin
+ * @access users:update
  */
 router.patch(
   '/:id',
   authenticate,
-  requireRole('admin', 'super_admin'),
+  requirePermission('users:update'),
   validate({ params: userSchemas.params, body: userSchemas.update }),
   UserController.update
 );
 
+/**
+ * @route PATCH /users/:id/metadata
+ * @desc Update custom metadata (fields declared in config/userProfile.js)
+ * @access users:update
+ */
+router.patch(
+  '/:id/metadata',
+  authenticate,
+  requirePermission('users:update'),
+  validate({ params: userSchemas.params, body: userSchemas.updateMetadata }),
+  UserController.updateMetadata
+);
+
 /**
  * @route DELETE /users/:id
  * @desc Delete user
- * @access Admin
+ * @access users:delete
  */
 router.delete(
   '/:id',
   authenticate,
-  requireRole('admin', 'super_admin'),
+  requirePermission('users:delete'),
   validateParams(userSchemas.params),
   UserController.delete
 );
@@ -79,12 +139,12 @@ router.delete(
 /**
  * @route POST /users/:id/restore
  * @desc Restore deleted user
- * @access Admin
+ * @access users:restore
  */
 router.post(
   '/:id/restore',
   authenticate,
-  requireRole('admin', 'super_admin'),
+  requirePermission('users:restore'),
   validateParams(userSchemas.params),
   UserController.restore
 );
@@ -92,12 +152,12 @@ router.post(
 /**
  * @route PATCH /users/:id/role
  * @desc Update user role
- * @access Super Admin only
+ * @access users:assign_role
  */
 router.patch(
   '/:id/role',
   authenticate,
-  requireRole('super_admin'),
+  requirePermission('users:assign_role'),
   validate({ params: userSchemas.params, body: userSchemas.updateRole }),
   UserController.updateRole
 );
@@ -105,12 +165,12 @@ router.patch(
 /**
  * @route POST /users/:id/activate
  * @desc Activate user
- * @access Admin
+ * @access users:update
  */
 router.post(
   '/:id/activate',
   authenticate,
-  requireRole('admin', 'super_admin'),
+  requirePermission('users:update'),
   validateParams(userSchemas.params),
   UserController.activate
 );
@@ -118,12 +178,12 @@ router.post(
 /**
  * @route POST /users/:id/deactivate
  * @desc Deactivate user
- * @access Admin
+ * @access users:update
  */
 router.post(
   '/:id/deactivate',
   authenticate,
-  requireRole('admin', 'super_admin'),
+  requirePermission('users:update'),
   validateParams(userSchemas.params),
   UserController.deactivate
 );
@@ -131,14 +191,42 @@ router.post(
 /**
  * @route POST /users/:id/suspend
  * @desc Suspend user
- * @access Admin
+ * @access users:update
  */
 router.post(
   '/:id/suspend',
   authenticate,
-  requireRole('admin', 'super_admin'),
+  requirePermission('users:update'),
   validateParams(userSchemas.params),
   UserController.suspend
 );
 
+/**
+ * @route POST /users/:id/unlock
+ * @desc Unlock account after failed-login lockout
+ * @access users:update
+ */
+router.post(
+  '/:id/unlock',
+  authenticate,
+  requirePermission('users:update'),
+  validateParams(userSchemas.params),
+  UserController.unlock
+);
+
+/**
+ * @route POST /users/:id/impersonate
+ * @desc Get a short-lived access token to act as the user
+ * @access super_admin
+ */
+router.post(
+  '/:id/impersonate',
+  authenticate,
+  requireRole('super_admin'),
+  blockApiKeys,
+  blockImpersonation,
+  validateParams(userSchemas.params),
+  UserController.impersonate
+);
+
 export default router;
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { WellKnownController } from '../controllers/WellKnownController.js';
+
+const router = Router();
+
+/**
+ * Well-Known Routes
+ * All routes are public (no authentication)
+ */
+
+/**
+ * @route GET /.well-known/jwks.json
+ * @desc JSON Web Key Set for verifying access tokens (RS256/ES256)
+ * @access Public
+ */
+router.get('/jwks.json', WellKnownController.jwks);
+
+export default router;
@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { env } from '../config/env.js';
+import { parseDuration } from '../utils/helpers.js';
+import {
+  JwtKeyring,
+  ASYMMETRIC_ALGORITHMS,
+  createKid,
+  generatePrivateKeyPem,
+  PENDING_KEY_SUFFIX,
+} from '../utils/jwtKeyring.js';
+
+/**
+ * JWT key management
+ *
+ *   pnpm run jwt:keys list
+ *   pnpm run jwt:rotate [RS256|ES256]   Publish a new key (in the JWKS, not signing yet)
+ *   pnpm run jwt:promote [kid]          Make the newest (or given) published key sign
+ *   pnpm run jwt:prune                  Delete retired keys whose tokens have all expired
+ *
+ * Rotation: publish a key and restart (it appears in the JWKS), wait until verifiers
+ * have refetched the JWKS, promote it and restart (it signs new tokens; older keys keep
+ * verifying), then prune once JWT_EXPIRES_IN has passed.
+ */
+
+const dir = env.JWT_KEYS_DIR;
+
+const keyPath = (kid, pending = false) =>
+  path.join(dir, `${kid}${pending ? PENDING_KEY_SUFFIX : '.pem'}`);
+
+const list = () => {
+  const keyring = JwtKeyring.fromDirectory(dir, env.JWT_ACTIVE_KID);
+
+  if (keyring.size === 0) {
+    console.log(`No keys in ${dir}`);
+    return;
+  }
+
+  for (const { kid, alg, pending } of keyring.keys.values()) {
+    const mark = kid === keyring.activeKid ? '*' : pending ? '+' : ' ';
+    console.log(`${mark} ${kid}  ${alg}`);
+  }
+};
+
+const rotate = (algorithm) => {
+  const alg =
+    algorithm || (ASYMMETRIC_ALGORITHMS.includes(env.JWT_ALGORITHM) ? env.JWT_ALGORITHM : 'RS256');
+
+  if (!ASYMMETRIC_ALGORITHMS.includes(alg)) {
+    throw new Error(`Algorithm must be one of ${ASYMMETRIC_ALGORITHMS.join(', ')}`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  // The first key has no verifiers to warn ahead of time, so it signs right away
+  const pending = !!JwtKeyring.fromDirectory(dir, env.JWT_ACTIVE_KID).activeKid;
+  const kid = createKid();
+  fs.writeFileSync(keyPath(kid, pending), generatePrivateKeyPem(alg), { mode: 0o600 });
+
+  if (pending) {
+    console.log(`Published ${alg} key ${kid}; it is in the JWKS after the next restart`);
+    console.log('Run `pnpm run jwt:promote` once verifiers have refetched the JWKS');
+  } else {
+    console.log(`Created ${alg} key ${kid}; it signs after the next restart`);
+  }
+};
+
+const promote = (requestedKid) => {
+  const keyring = JwtKeyring.fromDirectory(dir, env.JWT_ACTIVE_KID);
+  const pending = [...keyring.keys.values()].filter((key) => key.pending);
+  const key = requestedKid ? keyring.keys.get(requestedKid) : pending.pop();
+
+  if (!key?.pending) {
+    throw new Error(requestedKid ? `No published key ${requestedKid}` : 'No published key');
+  }
+
+  fs.renameSync(keyPath(key.kid, true), keyPath(key.kid));
+
+  // Prune reads the promotion time from the file
+  const now = new Date();
+  fs.utimesSync(keyPath(key.kid), now, now);
+
+  console.log(`Promoted ${key.kid}; it signs after the next restart`);
+  if (env.JWT_ACTIVE_KID) {
+    console.log(
+      `JWT_ACTIVE_KID is pinned to ${env.JWT_ACTIVE_KID}; update it to sign with the new key`
+    );
+  }
+};
+
+const prune = () => {
+  const keyring = JwtKeyring.fromDirectory(dir, env.JWT_ACTIVE_KID);
+  const kids = [...keyring.keys.values()].filter((key) => !key.pending).map((key) => key.kid);
+  const lifetime = parseDuration(env.JWT_EXPIRES_IN);
+  let removed = 0;
+
+  kids.forEach((kid, index) => {
+    if (kid === keyring.activeKid) return;
+
+    // A key stops signing once its successor is promoted (or created, if never pending)
+    const successor = kids[index + 1];
+    const retiredAt = successor ? fs.statSync(keyPath(successor)).mtime : null;
+
+    if (retiredAt && Date.now() - retiredAt.getTime() > lifetime) {
+      fs.unlinkSync(keyPath(kid));
+      console.log(`Removed ${kid}`);
+      removed++;
+    }
+  });
+
+  console.log(`${removed} key(s) removed`);
+};
+
+const [command, arg] = process.argv.slice(2);
+
+try {
+  if (command === 'rotate') {
+    rotate(arg);
+  } else if (command === 'promote') {
+    promote(arg);
+  } else if (command === 'prune') {
+    prune();
+  } else if (command === 'list') {
+    list();
+  } else {
+    console.log(
+      'Usage: node src/scripts/jwtKeys.js <list|rotate [RS256|ES256]|promote [kid]|prune>'
+    );
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
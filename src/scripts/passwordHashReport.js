@@ -0,0 +1,79 @@
+import { db, closeConnections } from '../config/database.js';
+import { passwordHasher } from '../utils/passwordHasher.js';
+
+/**
+ * Password hash report
+ *
+ *   pnpm run hash:report
+ *
+ * Counts users per hash algorithm and cost. Outdated hashes are upgraded when their
+ * owner next logs in, so the migration is done once "needs rehash" reaches zero.
+ */
+
+const BATCH_SIZE = 1000;
+
+const formatParams = (params) =>
+  Object.entries(params)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(' ') || '-';
+
+const report = async () => {
+  const groups = new Map();
+  let lastId = null;
+
+  // Keyset pagination keeps memory flat on large user tables
+  for (;;) {
+    const query = db('users').select('id', 'password_hash').orderBy('id').limit(BATCH_SIZE);
+
+    if (lastId !== null) {
+      query.where('id', '>', lastId);
+    }
+
+    const users = await query;
+
+    for (const { password_hash: hash } of users) {
+      const { algorithm, params } = passwordHasher.getHashInfo(hash);
+      const key = `${algorithm} ${formatParams(params)}`;
+
+      const group = groups.get(key) || {
+        algorithm,
+        params: formatParams(params),
+        count: 0,
+        outdated: passwordHasher.needsRehash(hash || ''),
+      };
+      group.count++;
+      groups.set(key, group);
+    }
+
+    if (users.length < BATCH_SIZE) break;
+    lastId = users[users.length - 1].id;
+  }
+
+  const rows = [...groups.values()].sort((a, b) => b.count - a.count);
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  const outdated = rows.filter((row) => row.outdated).reduce((sum, row) => sum + row.count, 0);
+
+  console.log(
+    `Current: ${passwordHasher.algorithm} ${formatParams(passwordHasher.getCurrentParams())}\n`
+  );
+
+  for (const row of rows) {
+    console.log(
+      `${row.algorithm.padEnd(8)} ${row.params.padEnd(44)} ${String(row.count).padStart(8)}  ${
+        row.outdated ? 'needs rehash' : 'current'
+      }`
+    );
+  }
+
+  const percent = total ? ((outdated / total) * 100).toFixed(1) : '0.0';
+  console.log(`\n${outdated} of ${total} hash(es) need a rehash (${percent}%)`);
+};
+
+try {
+  await report();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await closeConnections();
+}
@@ -2,6 +2,7 @@ import { app } from './app.js';
 import { env } from './config/env.js';
 import { logger } from './config/logger.js';
 import { testConnection, closeConnections } from './config/database.js';
+import { isAsymmetricJwt, getJwtKeyring } from './config/jwtKeys.js';
 
 /**
  * Start the server
@@ -11,6 +12,12 @@ const startServer = async () => {
     // Test database connection
     await testConnection();
 
+    // Fail fast on a missing or invalid JWT keyring
+    if (isAsymmetricJwt()) {
+      const keyring = getJwtKeyring();
+      logger.info({ keys: keyring.size, activeKid: keyring.activeKid }, 'JWT keyring loaded');
+    }
+
     // Start HTTP server
     const server = app.listen(env.PORT, env.HOST, () => {
       logger.info(
@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import { db } from '../config/database.js';
+import { env } from '../config/env.js';
+import { logger } from '../config/logger.js';
+import { UserModel } from '../models/UserModel.js';
+import { SessionService } from './SessionService.js';
+import { AuditService } from './AuditService.js';
+import { emailService } from './EmailService.js';
+import { ProfileService } from './ProfileService.js';
+import { FileService } from './FileService.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rows that only exist for the user's own use are removed outright on anonymization
+const OWNED_TABLES = [
+  'sessions',
+  'tokens',
+  'api_keys',
+  'user_identities',
+  'oauth_states',
+  'two_factor_recovery_codes',
+  'password_history',
+];
+
+/**
+ * Account Deletion Service
+ * Self-service deletion with a grace period. Deleted accounts are anonymized rather
+ * than removed, so audit entries and other references stay valid.
+ */
+export class AccountDeletionService {
+  /**
+   * Schedule deletion of the user's own account
+   * Signs out every device; signing in again and cancelling keeps the account
+   * @returns {Promise<object>} { scheduledAt }
+   */
+  static async requestDeletion(userId, password, context = {}) {
+    const user = await UserModel.findByIdWithSecrets(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!(await UserModel.comparePassword(password, user.password_hash))) {
+      throw new BadRequestError('Password is incorrect');
+    }
+
+    if (user.deletion_scheduled_at) {
+      throw new ConflictError('Account deletion is already scheduled');
+    }
+
+    const scheduledAt = new Date(Date.now() + env.ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+
+    await UserModel.update(userId, { deletion_scheduled_at: scheduledAt });
+    await SessionService.revokeAll(userId);
+
+    await AuditService.record(
+      'user.deletion_requested',
+      { target: { type: 'user', id: userId }, metadata: { scheduledAt } },
+      context
+    );
+
+    emailService
+      .sendAccountDeletionScheduledEmail(user.email, user.first_name, scheduledAt)
+      .catch((err) => console.error('Failed to send account deletion email:', err.message));
+
+    return { scheduledAt };
+  }
+
+  /**
+   * Cancel a scheduled deletion during the grace period
+   */
+  static async cancelDeletion(userId, context = {}) {
+    const user = await UserModel.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!user.deletion_scheduled_at) {
+      throw new BadRequestError('No account deletion is scheduled');
+    }
+
+    const updated = await UserModel.update(userId, { deletion_scheduled_at: null });
+
+    await AuditService.record(
+      'user.deletion_cancelled',
+      { target: { type: 'user', id: userId } },
+      context
+    );
+
+    return updated;
+  }
+
+  /**
+   * Anonymize users whose grace or retention period has ended
+   * @returns {Promise<object>} { anonymized }
+   */
+  static async processDueDeletions(limit = 100) {
+    const deletedBefore = new Date(Date.now() - env.ACCOUNT_RETENTION_DAYS * DAY_MS);
+    const due = await UserModel.findDueForAnonymization(deletedBefore, limit);
+
+    let anonymized = 0;
+    for (const { id } of due) {
+      try {
+        if (await this.anonymize(id)) {
+          anonymized++;
+        }
+      } catch (error) {
+        logger.error({ err: error, userId: id }, 'Failed to anonymize user');
+      }
+    }
+
+    return { anonymized };
+  }
+
+  /**
+   * Scrub a user's personal data
+   * The users row is kept (soft-deleted, with placeholder values) so references to it stay
+   * valid; profile fields, uploaded files, credentials, sessions and linked accounts are
+   * removed; audit entries are kept without IP, user agent, before/after values or metadata
+   * about the user.
+   * @returns {Promise<boolean>} false if the user does not exist or was already anonymized
+   */
+  static async anonymize(userId) {
+    const now = new Date();
+    // Random and never disclosed: nobody can sign in again
+    const passwordHash = await UserModel.hashPassword(crypto.randomBytes(32).toString('hex'));
+    let avatarKey = null;
+
+    const done = await db.transaction(async (trx) => {
+      const user = await trx('users').where({ id: userId }).first();
+
+      if (!user || user.anonymized_at) {
+        return false;
+      }
+
+      avatarKey = user.avatar_key;
+
+      await trx('users')
+        .where({ id: userId })
+        .update({
+          email: `deleted-${userId}@anonymized.invalid`,
+          first_name: 'Deleted',
+          last_name: 'User',
+          password_hash: passwordHash,
+          phone: null,
+          bio: null,
+          avatar: null,
+          avatar_key: null,
+          preferences: null,
+          metadata: null,
+          status: 'inactive',
+          email_verified_at: null,
+          last_login_at: null,
+          two_factor_secret: null,
+          two_factor_enabled_at: null,
+          two_factor_last_step: null,
+          deletion_scheduled_at: null,
+          deleted_at: user.deleted_at || now,
+          anonymized_at: now,
+          updated_at: now,
+        });
+
+      for (const table of OWNED_TABLES) {
+        await trx(table).where({ user_id: userId }).del();
+      }
+
+      await trx('invitations')
+        .where({ accepted_user_id: userId })
+        .update({
+          email: `deleted-${userId}@anonymized.invalid`,
+          first_name: null,
+          last_name: null,
+        });
+
+      await trx('audit_logs')
+        .where({ actor_id: userId })
+        .update({ ip_address: null, user_agent: null });
+
+      await trx('audit_logs')
+        .where({ target_type: 'user', target_id: String(userId) })
+        .update({ changes: null, metadata: null });
+
+      return true;
+    });
+
+    if (done) {
+      await ProfileService.deleteAvatarFile(avatarKey);
+      await FileService.deleteAllForUser(userId);
+      await AuditService.record('user.anonymized', { target: { type: 'user', id: userId } });
+      logger.info({ userId }, 'User anonymized');
+    }
+
+    return done;
+  }
+}
+
+export default AccountDeletionService;
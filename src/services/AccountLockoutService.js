@@ -0,0 +1,105 @@
+import { UserModel } from '../models/UserModel.js';
+import { emailService } from './EmailService.js';
+import { env } from '../config/env.js';
+import { logger } from '../config/logger.js';
+import { TooManyRequestsError } from '../utils/errors.js';
+
+/**
+ * Account Lockout Service
+ * Tracks failed logins per account (independent of IP) and locks the account
+ * with exponential backoff once LOGIN_MAX_ATTEMPTS is reached
+ */
+export class AccountLockoutService {
+  /**
+   * Lockout duration for the nth consecutive lockout (1-based)
+   */
+  static getLockoutDuration(lockoutCount) {
+    const duration = env.LOGIN_LOCKOUT_BASE_MS * 2 ** Math.max(0, lockoutCount - 1);
+
+    return Math.min(duration, env.LOGIN_LOCKOUT_MAX_MS);
+  }
+
+  /**
+   * Check whether a user is currently locked out
+   */
+  static isLocked(user) {
+    return !!user.locked_until && new Date(user.locked_until).getTime() > Date.now();
+  }
+
+  /**
+   * Throw if the account is locked
+   * For flows where the caller already proved who they are (second factor, sign-in link,
+   * OAuth); password login answers locked accounts like a wrong password instead
+   */
+  static assertNotLocked(user) {
+    if (this.isLocked(user)) {
+      throw new TooManyRequestsError(
+        'Account temporarily locked due to too many failed login attempts. Please try again later'
+      );
+    }
+  }
+
+  /**
+   * Record a failed login and lock the account when the threshold is reached
+   * @returns {Promise<boolean>} True if this failure locked the account
+   */
+  static async recordFailure(user) {
+    const lock = await UserModel.recordFailedLogin(user.id, env.LOGIN_MAX_ATTEMPTS, (count) =>
+      this.getLockoutDuration(count)
+    );
+
+    if (!lock) {
+      return false;
+    }
+
+    logger.warn(
+      {
+        event: 'account_locked',
+        userId: user.id,
+        lockoutCount: lock.lockoutCount,
+        lockedUntil: lock.lockedUntil,
+      },
+      'Account locked after repeated failed logins'
+    );
+
+    emailService
+      .sendAccountLockedEmail(user.email, user.first_name, lock.lockedUntil)
+      .catch((err) => console.error('Failed to send account locked email:', err.message));
+
+    return true;
+  }
+
+  /**
+   * Reset counters after a successful login
+   */
+  static async recordSuccess(user) {
+    if (!user.failed_login_attempts && !user.lockout_count && !user.locked_until) {
+      return;
+    }
+
+    await UserModel.update(user.id, {
+      failed_login_attempts: 0,
+      lockout_count: 0,
+      locked_until: null,
+    });
+  }
+
+  /**
+   * Unlock an account (admin action)
+   */
+  static async unlock(userId) {
+    const user = await UserModel.update(userId, {
+      failed_login_attempts: 0,
+      lockout_count: 0,
+      locked_until: null,
+    });
+
+    if (user) {
+      logger.info({ userId }, 'Account unlocked');
+    }
+
+    return user;
+  }
+}
+
+export default AccountLockoutService;
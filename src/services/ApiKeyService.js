@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { ApiKeyModel } from '../models/ApiKeyModel.js';
+import { UserModel } from '../models/UserModel.js';
+import { tokenService } from './TokenService.js';
+import { RoleService } from './RoleService.js';
+import { AuditService } from './AuditService.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+
+// Keys look like "ak_1a2b3c4d_<secret>"; the "ak_1a2b3c4d" part is stored in clear to identify them
+const KEY_PREFIX = 'ak';
+
+// Only write last_used_at once per interval to avoid a DB write on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * API Key Service
+ * Long-lived, optionally scoped keys for integrations and scripts
+ */
+export class ApiKeyService {
+  /**
+   * Create a key for a user
+   * @param {string} userId - Owner
+   * @param {object} data - { name, scopes, expires_at }
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   * @returns {Promise<object>} { apiKey, key } - the plain-text key is only ever returned here
+   */
+  static async create(userId, data, context = {}) {
+    const { name, scopes = null, expires_at = null } = data;
+
+    const user = await UserModel.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    // A key can never grant more than its owner holds
+    if (scopes) {
+      const granted = await RoleService.getPermissionsForRole(user.role);
+      const notGranted = scopes.filter((scope) => !granted.includes(scope));
+
+      if (notGranted.length > 0) {
+        throw new BadRequestError(`Scopes not granted to your role: ${notGranted.join(', ')}`);
+      }
+    }
+
+    if (expires_at && new Date(expires_at).getTime() <= Date.now()) {
+      throw new BadRequestError('Expiry must be in the future');
+    }
+
+    const prefix = `${KEY_PREFIX}_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKeyModel.create({
+      user_id: userId,
+      name,
+      prefix,
+      key_hash: tokenService.hashToken(key),
+      scopes: scopes ? JSON.stringify([...new Set(scopes)]) : null,
+      expires_at: expires_at ? new Date(expires_at) : null,
+    });
+
+    await AuditService.record(
+      'api_key.created',
+      {
+        target: { type: 'api_key', id: apiKey.id },
+        metadata: { name, prefix, scopes: apiKey.scopes },
+      },
+      context
+    );
+
+    return { apiKey, key };
+  }
+
+  /**
+   * List active keys of a user
+   */
+  static async listForUser(userId) {
+    return ApiKeyModel.findActiveByUser(userId);
+  }
+
+  /**
+   * Revoke one of the user's keys
+   */
+  static async revoke(userId, keyId, context = {}) {
+    const apiKey = await ApiKeyModel.findById(keyId);
+
+    if (!apiKey || apiKey.user_id !== userId || apiKey.revoked_at) {
+      throw new NotFoundError('API key not found');
+    }
+
+    await ApiKeyModel.update(keyId, { revoked_at: new Date() });
+
+    await AuditService.record(
+      'api_key.revoked',
+      { target: { type: 'api_key', id: keyId }, metadata: { prefix: apiKey.prefix } },
+      context
+    );
+
+    return true;
+  }
+
+  /**
+   * Resolve a presented key to its owner
+   * @param {string} key - Plain-text key
+   * @param {string} ip - Caller IP (for last-used tracking)
+   * @returns {Promise<object|null>} { apiKey, user } or null if the key is not usable
+   */
+  static async verify(key, ip = null) {
+    if (!key || !key.startsWith(`${KEY_PREFIX}_`)) {
+      return null;
+    }
+
+    const apiKey = await ApiKeyModel.findByHash(tokenService.hashToken(key));
+
+    if (!apiKey || apiKey.revoked_at) {
+      return null;
+    }
+
+    if (apiKey.expires_at && new Date(apiKey.expires_at).getTime() <= Date.now()) {
+      return null;
+    }
+
+    const user = await UserModel.findById(apiKey.user_id);
+
+    if (!user || user.status !== 'active') {
+      return null;
+    }
+
+    this.touch(apiKey, ip).catch(() => {});
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Record key usage (throttled)
+   */
+  static async touch(apiKey, ip = null) {
+    const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+
+    if (Date.now() - lastUsed < TOUCH_INTERVAL_MS) {
+      return;
+    }
+
+    await ApiKeyModel.update(apiKey.id, { last_used_at: new Date(), last_used_ip: ip });
+  }
+
+  /**
+   * Effective permissions of a key: the owner's permissions, narrowed to the key's scopes
+   */
+  static async getPermissions(apiKey, role) {
+    const granted = await RoleService.getPermissionsForRole(role);
+
+    if (!apiKey.scopes) {
+      return granted;
+    }
+
+    return granted.filter((permission) => apiKey.scopes.includes(permission));
+  }
+}
+
+export default ApiKeyService;
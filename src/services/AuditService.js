@@ -0,0 +1,147 @@
+import { AuditLogModel } from '../models/AuditLogModel.js';
+import { logger } from '../config/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+// Never copied into an audit entry
+const REDACTED_FIELDS = [
+  'password',
+  'password_hash',
+  'two_factor_secret',
+  'two_factor_last_step',
+  'updated_at',
+];
+
+/**
+ * Compute a field-level diff between two snapshots of a record
+ * @param {object|null} before - Record before the change (null on create)
+ * @param {object|null} after - Record after the change (null on delete)
+ * @returns {object|null} { field: { from, to } } for changed fields, or null if nothing changed
+ */
+export const computeDiff = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  for (const key of keys) {
+    if (REDACTED_FIELDS.includes(key)) continue;
+
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Rows per insert when recording many entries at once
+const BATCH_SIZE = 500;
+
+/**
+ * Build an audit_logs row
+ */
+const buildRow = (action, entry, context) => {
+  const { target, before = null, after = null } = entry;
+  const changes = computeDiff(before, after);
+
+  // Actions taken while impersonating stay attributable to the admin
+  const metadata = context.impersonatorId
+    ? { ...entry.metadata, impersonatorId: context.impersonatorId }
+    : entry.metadata || null;
+
+  return {
+    actor_id: context.actorId || null,
+    action,
+    target_type: target?.type || null,
+    target_id: target?.id ? String(target.id) : null,
+    changes: changes ? JSON.stringify(changes) : null,
+    metadata: metadata ? JSON.stringify(metadata) : null,
+    request_id: context.requestId || null,
+    ip_address: context.ip || null,
+    user_agent: context.userAgent ? String(context.userAgent).slice(0, 512) : null,
+  };
+};
+
+/**
+ * Audit Service
+ * Durable trail of security- and admin-relevant actions
+ */
+export class AuditService {
+  /**
+   * Record an audit entry
+   * Failures are logged and swallowed so auditing never breaks the audited action
+   * @param {string} action - Dotted action name (e.g. 'user.suspended', 'auth.login')
+   * @param {object} entry - { target: { type, id }, before, after, metadata }
+   * @param {object} context - Request context (actorId, impersonatorId, requestId, ip, userAgent)
+   */
+  static async record(action, entry = {}, context = {}) {
+    try {
+      await AuditLogModel.create(buildRow(action, entry, context));
+    } catch (error) {
+      logger.error({ err: error, action, target: entry.target }, 'Failed to write audit log entry');
+    }
+  }
+
+  /**
+   * Record the same action for many targets (bulk operations) in batched inserts
+   * Failures are logged and swallowed like record()
+   * @param {string} action - Dotted action name
+   * @param {object[]} entries - One { target, before, after, metadata } per target
+   * @param {object} context - Request context (actorId, impersonatorId, requestId, ip, userAgent)
+   */
+  static async recordMany(action, entries, context = {}) {
+    const rows = entries.map((entry) => buildRow(action, entry, context));
+
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      try {
+        await AuditLogModel.createMany(rows.slice(i, i + BATCH_SIZE));
+      } catch (error) {
+        logger.error({ err: error, action }, 'Failed to write audit log entries');
+      }
+    }
+  }
+
+  /**
+   * List audit entries with filters and pagination
+   * @param {object} options - Pagination/sort plus actor_id, action, target_type, target_id, from, to
+   */
+  static async list(options = {}) {
+    const { actor_id, action, target_type, target_id, from, to, ...pagination } = options;
+
+    let createdAt;
+    if (from && to) {
+      createdAt = { op: 'between', val: [from, to] };
+    } else if (from) {
+      createdAt = { op: 'gte', val: from };
+    } else if (to) {
+      createdAt = { op: 'lte', val: to };
+    }
+
+    return AuditLogModel.findAll({
+      ...pagination,
+      filters: {
+        actor_id,
+        action,
+        target_type,
+        target_id,
+        created_at: createdAt,
+      },
+    });
+  }
+
+  /**
+   * Get a single audit entry
+   */
+  static async getById(id) {
+    const entry = await AuditLogModel.findById(id);
+
+    if (!entry) {
+      throw new NotFoundError('Audit log entry not found');
+    }
+
+    return entry;
+  }
+}
+
+export default AuditService;
@@ -1,12 +1,31 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import { UserModel } from '../models/UserModel.js';
-import { generateTokens, verifyRefreshToken } from '../middlewares/auth.js';
+import {
+  generateTokens,
+  generateMfaToken,
+  verifyMfaToken,
+  verifyRefreshToken,
+} from '../middlewares/auth.js';
 import { tokenService } from './TokenService.js';
 import { emailService } from './EmailService.js';
+import { SessionService } from './SessionService.js';
+import { TwoFactorService } from './TwoFactorService.js';
+import { AccountLockoutService } from './AccountLockoutService.js';
+import { AuditService } from './AuditService.js';
+import { OAuthService } from './OAuthService.js';
+import { PasswordPolicyService } from './PasswordPolicyService.js';
+import { InvitationService } from './InvitationService.js';
+import { ProfileService } from './ProfileService.js';
+import { logger } from '../config/logger.js';
+import { DEFAULT_ROLE } from '../config/permissions.js';
+import { passwordHasher } from '../utils/passwordHasher.js';
 import {
   BadRequestError,
   UnauthorizedError,
   ConflictError,
   NotFoundError,
+  isUniqueViolation,
 } from '../utils/errors.js';
 
 /**
@@ -15,10 +34,49 @@ import {
  */
 export class AuthService {
   /**
-   * Register a new user
+   * Issue an access/refresh token pair and persist the refresh token
+   * @param {object} user - User (id, email, role)
+   * @param {string} sessionId - Session ID (also the refresh token family)
+   */
+  static async issueTokens(user, sessionId) {
+    const tokenPayload = {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+    };
+
+    const tokens = generateTokens(tokenPayload);
+
+    if (tokens.refreshToken) {
+      const { exp } = jwt.decode(tokens.refreshToken);
+      await tokenService.storeRefreshToken(
+        user.id,
+        tokens.refreshToken,
+        sessionId,
+        new Date(exp * 1000)
+      );
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Start a session and issue tokens for it
+   * @param {object} user - User (id, email, role)
+   * @param {object} context - Request context (deviceName, userAgent, ip)
    */
-  static async register(data) {
-    const { email, password, first_name, last_name, role = 'user' } = data;
+  static async startSession(user, context = {}) {
+    const session = await SessionService.create(user.id, context);
+
+    return this.issueTokens(user, session.id);
+  }
+
+  /**
+   * Register a new user (always with the default role; admins assign others)
+   */
+  static async register(data, context = {}) {
+    const { email, password, first_name, last_name } = data;
 
     // Check if user already exists
     const existingUser = await UserModel.findByEmail(email);
@@ -26,13 +84,15 @@ export class AuthService {
       throw new ConflictError('User with this email already exists');
     }
 
+    await PasswordPolicyService.assertAllowed(password, { email, first_name, last_name });
+
     // Create user (unverified by default)
     const user = await UserModel.create({
       email: email.toLowerCase(),
       password,
       first_name,
       last_name,
-      role,
+      role: DEFAULT_ROLE,
       status: 'active',
       email_verified_at: null,
     });
@@ -46,13 +106,13 @@ export class AuthService {
       .catch((err) => console.error('Failed to send verification email:', err.message));
 
     // Generate auth tokens
-    const tokenPayload = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-    };
+    const tokens = await this.startSession(user, context);
 
-    const tokens = generateTokens(tokenPayload);
+    await AuditService.record(
+      'auth.registered',
+      { target: { type: 'user', id: user.id } },
+      { ...context, actorId: user.id }
+    );
 
     return {
       user,
@@ -61,10 +121,21 @@ export class AuthService {
     };
   }
 
+  /**
+   * Accept an invitation: create the invited account and sign it in
+   * @param {object} data - { token, password, first_name, last_name }
+   * @param {object} context - Request context (deviceName, userAgent, ip)
+   */
+  static async acceptInvitation(data, context = {}) {
+    const user = await InvitationService.accept(data, context);
+
+    return this.completeLogin(user, context, 'invitation');
+  }
+
   /**
    * Login a user
    */
-  static async login(email, password) {
+  static async login(email, password, context = {}) {
     // Find user with password hash
     const user = await UserModel.findByEmailWithPassword(email.toLowerCase());
 
@@ -76,32 +147,232 @@ export class AuthService {
       throw new UnauthorizedError('Your account is not active');
     }
 
+    // A locked account answers like a wrong password, so lockouts do not reveal which
+    // emails are registered (the lock email tells the owner what happened)
+    if (AccountLockoutService.isLocked(user)) {
+      await AuditService.record(
+        'auth.login_failed',
+        { target: { type: 'user', id: user.id }, metadata: { reason: 'locked' } },
+        context
+      );
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
     // Verify password
     const isValidPassword = await UserModel.comparePassword(password, user.password_hash);
 
     if (!isValidPassword) {
+      await AccountLockoutService.recordFailure(user);
+      await AuditService.record(
+        'auth.login_failed',
+        { target: { type: 'user', id: user.id }, metadata: { reason: 'invalid_password' } },
+        context
+      );
       throw new UnauthorizedError('Invalid email or password');
     }
 
+    await this.upgradePasswordHash(user, password);
+
+    // Second factor required - hand out a challenge token instead of real tokens
+    if (user.two_factor_enabled_at) {
+      return {
+        mfaRequired: true,
+        mfaToken: generateMfaToken({ id: user.id }),
+      };
+    }
+
+    return this.completeLogin(user, context);
+  }
+
+  /**
+   * Re-hash a just-verified password if its hash uses an outdated algorithm or cost
+   * Failures are logged and never block the login
+   */
+  static async upgradePasswordHash(user, password) {
+    if (!passwordHasher.needsRehash(user.password_hash)) {
+      return;
+    }
+
+    try {
+      await UserModel.update(user.id, { password });
+
+      logger.info(
+        { userId: user.id, from: passwordHasher.getHashInfo(user.password_hash).algorithm },
+        'Password hash upgraded'
+      );
+    } catch (error) {
+      logger.warn({ err: error, userId: user.id }, 'Failed to upgrade password hash');
+    }
+  }
+
+  /**
+   * Complete a login whose second factor is pending
+   * @param {string} mfaToken - Challenge token returned by login
+   * @param {object} factor - { code } (TOTP) or { recoveryCode }
+   * @param {object} context - Request context (deviceName, userAgent, ip)
+   */
+  static async verifyTwoFactorLogin(mfaToken, factor, context = {}) {
+    let decoded;
+    try {
+      decoded = verifyMfaToken(mfaToken);
+    } catch (_error) {
+      throw new UnauthorizedError('Invalid or expired two-factor challenge');
+    }
+
+    const user = await UserModel.findByIdWithSecrets(decoded.sub || decoded.id);
+
+    if (!user || user.status !== 'active' || !user.two_factor_enabled_at) {
+      throw new UnauthorizedError('Invalid or expired two-factor challenge');
+    }
+
+    AccountLockoutService.assertNotLocked(user);
+
+    if (!factor.code && !factor.recoveryCode) {
+      throw new BadRequestError('A verification code or recovery code is required');
+    }
+
+    const isValid = factor.code
+      ? await TwoFactorService.verifyTotpCode(user, factor.code)
+      : await TwoFactorService.useRecoveryCode(user.id, factor.recoveryCode);
+
+    if (!isValid) {
+      await AccountLockoutService.recordFailure(user);
+      await AuditService.record(
+        'auth.login_failed',
+        { target: { type: 'user', id: user.id }, metadata: { reason: 'invalid_second_factor' } },
+        context
+      );
+      throw new UnauthorizedError('Invalid verification code');
+    }
+
+    return this.completeLogin(user, context);
+  }
+
+  /**
+   * Email a passwordless sign-in link
+   * Behaves the same whether or not the account exists
+   * @param {string} email - Account email
+   * @param {object} options - { bindDevice } - bind the link to the requesting device
+   * @returns {Promise<object>} { deviceToken } when bound (must be sent back on verify)
+   */
+  static async requestMagicLink(email, options = {}) {
+    // Issued even for unknown emails so the response never reveals whether an account exists
+    const deviceToken = options.bindDevice ? crypto.randomBytes(32).toString('hex') : null;
+
+    const user = await UserModel.findByEmail(email.toLowerCase());
+
+    if (user && user.status === 'active') {
+      const { token } = await tokenService.createMagicLinkToken(user.id, deviceToken);
+
+      // Non-blocking so response time does not depend on the account existing
+      emailService
+        .sendMagicLinkEmail(user.email, user.first_name, token)
+        .catch((err) => console.error('Failed to send magic link email:', err.message));
+    }
+
+    return deviceToken ? { deviceToken } : {};
+  }
+
+  /**
+   * Exchange a magic link for a session
+   * @param {string} token - Token from the emailed link
+   * @param {string|null} deviceToken - Device secret returned when a bound link was requested
+   * @param {object} context - Request context (deviceName, userAgent, ip)
+   */
+  static async verifyMagicLink(token, deviceToken = null, context = {}) {
+    const tokenRecord = await tokenService.verifyMagicLinkToken(token, deviceToken);
+
+    if (!tokenRecord) {
+      throw new UnauthorizedError('Invalid or expired sign-in link');
+    }
+
+    const user = await UserModel.findById(tokenRecord.user_id);
+
+    if (!user || user.status !== 'active') {
+      throw new UnauthorizedError('Invalid or expired sign-in link');
+    }
+
+    AccountLockoutService.assertNotLocked(user);
+
+    // Following the link proves control of the mailbox
+    if (!user.email_verified_at) {
+      await UserModel.update(user.id, { email_verified_at: new Date() });
+    }
+
+    if (user.two_factor_enabled_at) {
+      return {
+        mfaRequired: true,
+        mfaToken: generateMfaToken({ id: user.id }),
+      };
+    }
+
+    return this.completeLogin(user, context, 'magic_link');
+  }
+
+  /**
+   * Complete an OAuth / OIDC authorization
+   * Signs the user in (creating or linking the account if needed), or links the
+   * identity to the user who started the flow from POST /auth/oauth/:provider/link
+   * @param {string} provider - Provider key
+   * @param {object} callback - { code, state } from the provider redirect
+   * @param {object} context - Request context (deviceName, userAgent, ip)
+   */
+  static async loginWithOAuth(provider, callback, context = {}) {
+    const { profile, linkUserId } = await OAuthService.handleCallback(provider, callback);
+
+    if (linkUserId) {
+      const identity = await OAuthService.linkIdentity(linkUserId, provider, profile, {
+        ...context,
+        actorId: linkUserId,
+      });
+
+      return { linked: true, identity };
+    }
+
+    const { user } = await OAuthService.findOrCreateUser(provider, profile, context);
+
+    if (user.status !== 'active') {
+      throw new UnauthorizedError('Your account is not active');
+    }
+
+    AccountLockoutService.assertNotLocked(user);
+
+    if (user.two_factor_enabled_at) {
+      return {
+        mfaRequired: true,
+        mfaToken: generateMfaToken({ id: user.id }),
+      };
+    }
+
+    return this.completeLogin(user, context, provider);
+  }
+
+  /**
+   * Finish a successful login: record it, start a session and issue tokens
+   * @param {string} method - 'password', 'magic_link', 'invitation' or the OAuth provider used
+   */
+  static async completeLogin(user, context = {}, method = 'password') {
+    await AccountLockoutService.recordSuccess(user);
+
     // Update last login
     await UserModel.update(user.id, {
       last_login_at: new Date(),
     });
 
     // Generate tokens
-    const tokenPayload = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-    };
+    const tokens = await this.startSession(user, context);
 
-    const tokens = generateTokens(tokenPayload);
-
-    // Remove password hash from response
-    const { password_hash: _password_hash, ...userWithoutPassword } = user;
+    await AuditService.record(
+      'auth.login',
+      {
+        target: { type: 'user', id: user.id },
+        metadata: { method, twoFactor: !!user.two_factor_enabled_at },
+      },
+      { ...context, actorId: user.id }
+    );
 
     return {
-      user: userWithoutPassword,
+      user: UserModel.hideFields(user),
       ...tokens,
     };
   }
@@ -109,7 +380,7 @@ export class AuthService {
   /**
    * Logout user - invalidate the token
    */
-  static async logout(accessToken, refreshToken = null) {
+  static async logout(accessToken, refreshToken = null, context = {}) {
     // Calculate token expiration (decode without verifying)
     const tokenParts = accessToken.split('.');
     if (tokenParts.length === 3) {
@@ -127,6 +398,18 @@ export class AuthService {
             new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
           );
         }
+
+        // End the session (also revokes its refresh token family)
+        if (payload.sid) {
+          await SessionService.revoke(payload.sid);
+        }
+
+        const userId = payload.sub || payload.id;
+        await AuditService.record(
+          'auth.logout',
+          { target: { type: 'user', id: userId }, metadata: { sessionId: payload.sid || null } },
+          { ...context, actorId: userId }
+        );
       } catch (_e) {
         // Ignore decode errors
       }
@@ -137,6 +420,7 @@ export class AuthService {
 
   /**
    * Refresh access token
+   * Rotates the refresh token; presenting an already-rotated token revokes the whole family
    */
   static async refreshToken(refreshToken) {
     // Check if token is blacklisted
@@ -145,21 +429,50 @@ export class AuthService {
       throw new UnauthorizedError('Token has been invalidated');
     }
 
+    let decoded;
     try {
-      const decoded = verifyRefreshToken(refreshToken);
-
-      const tokenPayload = {
-        id: decoded.sub || decoded.id,
-        email: decoded.email,
-        role: decoded.role,
-      };
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (_error) {
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
 
-      const tokens = generateTokens(tokenPayload);
+    const record = await tokenService.findRefreshToken(refreshToken);
 
-      return tokens;
-    } catch (_error) {
+    if (!record || record.revoked_at) {
       throw new UnauthorizedError('Invalid or expired refresh token');
     }
+
+    if (record.used_at || !(await tokenService.consumeRefreshToken(record.id))) {
+      // A rotated token was replayed - assume it was stolen and end the whole session
+      await SessionService.revoke(record.family_id);
+
+      logger.warn(
+        {
+          event: 'refresh_token_reuse',
+          userId: record.user_id,
+          familyId: record.family_id,
+        },
+        'Refresh token reuse detected, token family revoked'
+      );
+
+      throw new UnauthorizedError('Refresh token has already been used');
+    }
+
+    const session = await SessionService.findActive(record.family_id);
+
+    if (!session) {
+      throw new UnauthorizedError('Session has been revoked');
+    }
+
+    // Sign with the current role and email, not the claims of the old token
+    const user = await UserModel.findById(decoded.sub || decoded.id);
+
+    if (!user || user.status !== 'active') {
+      await SessionService.revoke(session.id);
+      throw new UnauthorizedError('Account is not active');
+    }
+
+    return this.issueTokens(user, session.id);
   }
 
   /**
@@ -219,29 +532,187 @@ export class AuthService {
   /**
    * Change user password
    */
-  static async changePassword(userId, currentPassword, newPassword) {
-    const isValid = await UserModel.verifyPassword(userId, currentPassword);
+  static async changePassword(userId, currentPassword, newPassword, context = {}) {
+    const user = await UserModel.findByIdWithSecrets(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const isValid = await UserModel.comparePassword(currentPassword, user.password_hash);
 
     if (!isValid) {
       throw new BadRequestError('Current password is incorrect');
     }
 
-    const user = await UserModel.findById(userId);
+    await PasswordPolicyService.assertAllowed(newPassword, user, 'newPassword');
 
     await UserModel.update(userId, {
       password: newPassword,
     });
+    await PasswordPolicyService.recordChange(userId, user.password_hash);
+
+    await AuditService.record(
+      'auth.password_changed',
+      { target: { type: 'user', id: userId } },
+      context
+    );
 
     // Send notification email
-    if (user) {
-      emailService
-        .sendPasswordChangedEmail(user.email, user.first_name)
-        .catch((err) => console.error('Failed to send password changed email:', err.message));
+    emailService
+      .sendPasswordChangedEmail(user.email, user.first_name)
+      .catch((err) => console.error('Failed to send password changed email:', err.message));
+
+    return true;
+  }
+
+  /**
+   * Start an email change
+   * Sends a confirmation link to the new address and a notice with a revert link to the old one;
+   * nothing changes until the new address is confirmed
+   */
+  static async requestEmailChange(userId, password, newEmail, context = {}) {
+    const user = await UserModel.findByIdWithSecrets(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!(await UserModel.comparePassword(password, user.password_hash))) {
+      throw new BadRequestError('Password is incorrect');
+    }
+
+    const email = newEmail.toLowerCase();
+
+    if (email === user.email) {
+      throw new BadRequestError('New email must be different from the current one');
     }
 
+    if (await UserModel.emailExists(email, userId)) {
+      throw new ConflictError('User with this email already exists');
+    }
+
+    const { token } = await tokenService.createEmailChangeToken(userId, user.email, email);
+    const { token: revertToken } = await tokenService.createEmailChangeRevertToken(
+      userId,
+      user.email,
+      email
+    );
+
+    emailService
+      .sendEmailChangeConfirmationEmail(email, user.first_name, token)
+      .catch((err) => console.error('Failed to send email change confirmation:', err.message));
+
+    emailService
+      .sendEmailChangeNoticeEmail(user.email, user.first_name, email, revertToken)
+      .catch((err) => console.error('Failed to send email change notice:', err.message));
+
+    await AuditService.record(
+      'auth.email_change_requested',
+      { target: { type: 'user', id: userId }, metadata: { email } },
+      context
+    );
+
     return true;
   }
 
+  /**
+   * Confirm an email change with the token sent to the new address
+   */
+  static async confirmEmailChange(token, context = {}) {
+    const tokenRecord = await tokenService.verifyEmailChangeToken(token);
+
+    if (!tokenRecord?.payload) {
+      throw new BadRequestError('Invalid or expired email change token');
+    }
+
+    const { previousEmail, email } = tokenRecord.payload;
+    const before = await UserModel.findById(tokenRecord.user_id);
+
+    if (!before) {
+      throw new NotFoundError('User not found');
+    }
+
+    // The account email changed some other way since the request
+    if (before.email !== previousEmail) {
+      throw new BadRequestError('Invalid or expired email change token');
+    }
+
+    const user = await this.updateEmail(before.id, email);
+
+    await AuditService.record(
+      'auth.email_changed',
+      { target: { type: 'user', id: user.id }, before, after: user },
+      { ...context, actorId: user.id }
+    );
+
+    return user;
+  }
+
+  /**
+   * Cancel (or undo) an email change with the link sent to the old address
+   * Undoing a confirmed change also signs out every device, since it was not the owner's doing
+   */
+  static async revertEmailChange(token, context = {}) {
+    const tokenRecord = await tokenService.verifyEmailChangeRevertToken(token);
+
+    if (!tokenRecord?.payload) {
+      throw new BadRequestError('Invalid or expired revert token');
+    }
+
+    const { previousEmail, email } = tokenRecord.payload;
+    const before = await UserModel.findById(tokenRecord.user_id);
+
+    if (!before) {
+      throw new NotFoundError('User not found');
+    }
+
+    await tokenService.invalidateUserTokens(before.id, 'email_change');
+
+    if (before.email !== email) {
+      // Not confirmed yet - cancelling the pending request is enough
+      await AuditService.record(
+        'auth.email_change_cancelled',
+        { target: { type: 'user', id: before.id }, metadata: { email } },
+        { ...context, actorId: before.id }
+      );
+
+      return before;
+    }
+
+    const user = await this.updateEmail(before.id, previousEmail);
+
+    await SessionService.revokeAll(user.id);
+
+    await AuditService.record(
+      'auth.email_change_reverted',
+      { target: { type: 'user', id: user.id }, before, after: user },
+      { ...context, actorId: user.id }
+    );
+
+    return user;
+  }
+
+  /**
+   * Set a user's email (the link that proved the change also proves the mailbox)
+   * Maps a lost race on the unique email constraint to a 409
+   */
+  static async updateEmail(userId, email) {
+    if (await UserModel.emailExists(email, userId)) {
+      throw new ConflictError('User with this email already exists');
+    }
+
+    try {
+      return await UserModel.update(userId, { email, email_verified_at: new Date() });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new ConflictError('User with this email already exists');
+      }
+
+      throw error;
+    }
+  }
+
   /**
    * Request password reset
    */
@@ -265,22 +736,40 @@ export class AuthService {
   /**
    * Reset password with token
    */
-  static async resetPassword(token, newPassword) {
-    const tokenRecord = await tokenService.verifyPasswordResetToken(token);
+  static async resetPassword(token, newPassword, context = {}) {
+    // Validate the new password before spending the token so the user can retry
+    const pending = await tokenService.findPasswordResetToken(token);
 
-    if (!tokenRecord) {
+    if (!pending) {
       throw new BadRequestError('Invalid or expired reset token');
     }
 
-    const user = await UserModel.findById(tokenRecord.user_id);
+    const user = await UserModel.findByIdWithSecrets(pending.user_id);
 
     if (!user) {
       throw new NotFoundError('User not found');
     }
 
+    await PasswordPolicyService.assertAllowed(newPassword, user);
+
+    if (!(await tokenService.verifyPasswordResetToken(token))) {
+      throw new BadRequestError('Invalid or expired reset token');
+    }
+
     await UserModel.update(user.id, {
       password: newPassword,
     });
+    await PasswordPolicyService.recordChange(user.id, user.password_hash);
+
+    // Sign out every device and lift any lockout (the reset proved mailbox ownership)
+    await SessionService.revokeAll(user.id);
+    await AccountLockoutService.unlock(user.id);
+
+    await AuditService.record(
+      'auth.password_reset',
+      { target: { type: 'user', id: user.id } },
+      { ...context, actorId: user.id }
+    );
 
     // Send notification
     emailService
@@ -300,7 +789,7 @@ export class AuthService {
       throw new NotFoundError('User not found');
     }
 
-    return user;
+    return ProfileService.withPreferences(user);
   }
 
   /**
@@ -310,9 +799,14 @@ export class AuthService {
     // Prevent updating sensitive fields
     const {
       password: _password,
+      email: _email,
       role: _role,
       status: _status,
       email_verified_at: _email_verified_at,
+      avatar: _avatar,
+      avatar_key: _avatar_key,
+      preferences: _preferences,
+      metadata: _metadata,
       ...safeData
     } = data;
 
@@ -322,7 +816,7 @@ export class AuthService {
       throw new NotFoundError('User not found');
     }
 
-    return user;
+    return ProfileService.withPreferences(user);
   }
 }
 
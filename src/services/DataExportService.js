@@ -0,0 +1,57 @@
+import { UserModel } from '../models/UserModel.js';
+import { SessionModel } from '../models/SessionModel.js';
+import { ApiKeyModel } from '../models/ApiKeyModel.js';
+import { UserIdentityModel } from '../models/UserIdentityModel.js';
+import { AuditLogModel } from '../models/AuditLogModel.js';
+import { FileModel } from '../models/FileModel.js';
+import { AuditService } from './AuditService.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Personal data sections of an export, keyed by section name
+ * Secrets (password and key hashes, 2FA secrets) are hidden by the models and never exported
+ */
+const sections = {
+  sessions: (userId) => SessionModel.findAllBy('user_id', userId),
+  apiKeys: (userId) => ApiKeyModel.findAllBy('user_id', userId),
+  linkedAccounts: (userId) => UserIdentityModel.findByUser(userId),
+  auditLogs: (userId) => AuditLogModel.findByUser(userId),
+  files: (userId) => FileModel.findAllBy('user_id', userId),
+};
+
+/**
+ * Data Export Service
+ * Everything stored about a user, for GDPR access / portability requests
+ */
+export class DataExportService {
+  /**
+   * Build the export of a user
+   * @param {string} userId - User ID
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   * @returns {Promise<object>} { exportedAt, profile, ...sections }
+   */
+  static async exportUser(userId, context = {}) {
+    const profile = await UserModel.findById(userId);
+
+    if (!profile) {
+      throw new NotFoundError('User not found');
+    }
+
+    const names = Object.keys(sections);
+    const results = await Promise.all(names.map((name) => sections[name](userId)));
+
+    await AuditService.record(
+      'user.data_exported',
+      { target: { type: 'user', id: userId }, metadata: { sections: names } },
+      context
+    );
+
+    return {
+      exportedAt: new Date().toISOString(),
+      profile,
+      ...Object.fromEntries(names.map((name, index) => [name, results[index]])),
+    };
+  }
+}
+
+export default DataExportService;
@@ -95,6 +95,92 @@ class EmailService {
     });
   }
 
+  /**
+   * Send magic link (passwordless login) email
+   */
+  async sendMagicLinkEmail(to, name, token) {
+    const url = `${env.APP_URL || 'http://localhost:3000'}/magic-link?token=${token}`;
+
+    return this.send({
+      to,
+      subject: `Your sign-in link - ${env.APP_NAME}`,
+      html: `
+        <h2>Sign In</h2>
+        <p>Hi ${name},</p>
+        <p>Click below to sign in to ${env.APP_NAME}:</p>
+        <p><a href="${url}" style="background:#2196F3;color:white;padding:12px 24px;text-decoration:none;border-radius:4px;">Sign In</a></p>
+        <p>Or copy: ${url}</p>
+        <p>This link expires in 15 minutes and can be used once. If you didn't request it, you can ignore this email.</p>
+      `,
+      text: `Sign in to ${env.APP_NAME}: ${url}`,
+    });
+  }
+
+  /**
+   * Send email change confirmation (to the new address)
+   */
+  async sendEmailChangeConfirmationEmail(to, name, token) {
+    const url = `${env.APP_URL || 'http://localhost:3000'}/confirm-email-change?token=${token}`;
+
+    return this.send({
+      to,
+      subject: `Confirm your new email address - ${env.APP_NAME}`,
+      html: `
+        <h2>Confirm Your New Email</h2>
+        <p>Hi ${name},</p>
+        <p>Click below to use this address for your ${env.APP_NAME} account:</p>
+        <p><a href="${url}" style="background:#4CAF50;color:white;padding:12px 24px;text-decoration:none;border-radius:4px;">Confirm Email</a></p>
+        <p>Or copy: ${url}</p>
+        <p>This link expires in 24 hours. If you didn't request this change, you can ignore this email.</p>
+      `,
+      text: `Confirm your new email address: ${url}`,
+    });
+  }
+
+  /**
+   * Send email change notice with a revert link (to the old address)
+   */
+  async sendEmailChangeNoticeEmail(to, name, newEmail, token) {
+    const url = `${env.APP_URL || 'http://localhost:3000'}/revert-email-change?token=${token}`;
+
+    return this.send({
+      to,
+      subject: `Email change requested - ${env.APP_NAME}`,
+      html: `
+        <h2>Email Change Requested</h2>
+        <p>Hi ${name},</p>
+        <p>A request was made to change your account email to <strong>${newEmail}</strong>.</p>
+        <p>If this wasn't you, click below to cancel the change (or undo it if it was already confirmed) and sign out all devices:</p>
+        <p><a href="${url}" style="background:#f44336;color:white;padding:12px 24px;text-decoration:none;border-radius:4px;">Keep My Current Email</a></p>
+        <p>Or copy: ${url}</p>
+        <p>This link expires in 7 days.</p>
+      `,
+      text: `A request was made to change your email to ${newEmail}. If this wasn't you, revert it: ${url}`,
+    });
+  }
+
+  /**
+   * Send invitation email
+   */
+  async sendInvitationEmail(to, inviterName, role, token) {
+    const url = `${env.APP_URL || 'http://localhost:3000'}/accept-invite?token=${token}`;
+    const invitedBy = inviterName ? `${inviterName} has invited you` : "You've been invited";
+
+    return this.send({
+      to,
+      subject: `You're invited to ${env.APP_NAME}`,
+      html: `
+        <h2>You're Invited</h2>
+        <p>Hi,</p>
+        <p>${invitedBy} to join ${env.APP_NAME} as <strong>${role}</strong>.</p>
+        <p><a href="${url}" style="background:#4CAF50;color:white;padding:12px 24px;text-decoration:none;border-radius:4px;">Accept Invitation</a></p>
+        <p>Or copy: ${url}</p>
+        <p>This link expires in 7 days and can be used once. If you weren't expecting it, you can ignore this email.</p>
+      `,
+      text: `${invitedBy} to join ${env.APP_NAME}. Accept: ${url}`,
+    });
+  }
+
   /**
    * Send welcome email
    */
@@ -127,6 +213,42 @@ class EmailService {
       text: `Your password was changed. If this wasn't you, contact support.`,
     });
   }
+
+  /**
+   * Send account deletion scheduled notice
+   */
+  async sendAccountDeletionScheduledEmail(to, name, scheduledAt) {
+    return this.send({
+      to,
+      subject: `Your account will be deleted - ${env.APP_NAME}`,
+      html: `
+        <h2>Account Deletion Scheduled</h2>
+        <p>Hi ${name},</p>
+        <p>Your ${env.APP_NAME} account and personal data will be deleted on ${scheduledAt.toLocaleString()}.</p>
+        <p>Changed your mind? Sign in before then and cancel the deletion from your account settings.</p>
+        <p>If this wasn't you, sign in, cancel the deletion and change your password.</p>
+      `,
+      text: `Your account will be deleted on ${scheduledAt.toLocaleString()}. Sign in before then to cancel.`,
+    });
+  }
+
+  /**
+   * Send account locked notification
+   */
+  async sendAccountLockedEmail(to, name, lockedUntil) {
+    return this.send({
+      to,
+      subject: `Account temporarily locked - ${env.APP_NAME}`,
+      html: `
+        <h2>Account Temporarily Locked</h2>
+        <p>Hi ${name},</p>
+        <p>We locked your account after several failed sign-in attempts.</p>
+        <p>You can try again after ${lockedUntil.toLocaleString()}.</p>
+        <p>If this wasn't you, we recommend resetting your password.</p>
+      `,
+      text: `Your account was locked after several failed sign-in attempts. Try again after ${lockedUntil.toLocaleString()}.`,
+    });
+  }
 }
 
 export const emailService = new EmailService();
@@ -0,0 +1,204 @@
+import { FileModel } from '../models/FileModel.js';
+import { uploadService } from './UploadService.js';
+import { AuditService } from './AuditService.js';
+import { logger } from '../config/logger.js';
+import { getUsedDrivers } from '../config/upload.js';
+import { NotFoundError } from '../utils/errors.js';
+
+// Stored files younger than this may still be waiting for their record
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Keys listed per category in the orphan report (the counts are always complete)
+const REPORT_SAMPLE_SIZE = 100;
+
+// Drivers whose records are checked one by one (Cloudinary's Admin API is rate limited)
+const CHECKED_DRIVERS = ['local', 's3'];
+
+/**
+ * File Service
+ * Records of uploaded files (written by UploadService)
+ */
+export class FileService {
+  /**
+   * File record with a usable URL (signed for private files)
+   */
+  static withUrl(file) {
+    return { ...file, url: uploadService.getFileUrl(file) };
+  }
+
+  /**
+   * List files; callers without files:read only see their own
+   * @param {object} options - Pagination, search and { user_id, group, visibility,
+   *   scan_status } filters
+   * @param {object} user - Requesting user (id, permissions)
+   */
+  static async list(options = {}, user) {
+    const { user_id: userId, group, visibility, scan_status: scanStatus, ...pagination } = options;
+    const canReadAll = user.permissions?.includes('files:read');
+
+    const result = await FileModel.findAll({
+      ...pagination,
+      filters: {
+        user_id: canReadAll ? userId : user.id,
+        group,
+        visibility,
+        scan_status: scanStatus,
+      },
+    });
+
+    return { ...result, data: result.data.map((file) => this.withUrl(file)) };
+  }
+
+  /**
+   * Get a file or throw, with the variants of images
+   */
+  static async getById(fileId) {
+    const file = await FileModel.findById(fileId);
+
+    if (!file) {
+      throw new NotFoundError('File not found');
+    }
+
+    const variants = await FileModel.getVariants(fileId);
+
+    return {
+      ...this.withUrl(file),
+      variants: Object.fromEntries(
+        variants.map(({ name, key, url, mimetype, width, height, size }) => [
+          name,
+          {
+            key,
+            url: uploadService.getFileUrl({ ...file, key, url, mimetype }),
+            mimetype,
+            width,
+            height,
+            size,
+          },
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Owner of a file (for requireOwnership)
+   */
+  static async getOwnerId(fileId) {
+    const file = await FileModel.findById(fileId);
+
+    if (!file) {
+      throw new NotFoundError('File not found');
+    }
+
+    return file.user_id;
+  }
+
+  /**
+   * Whether a user owns the local file (or image variant) stored under a key
+   */
+  static async isOwner(key, userId) {
+    const file =
+      (await FileModel.findByKey('local', key)) || (await FileModel.findByVariantKey('local', key));
+
+    return !!file && file.user_id === userId;
+  }
+
+  /**
+   * Delete a file from storage along with its record
+   */
+  static async delete(fileId, context = {}) {
+    const file = await FileModel.findById(fileId);
+
+    if (!file) {
+      throw new NotFoundError('File not found');
+    }
+
+    await uploadService.delete(file.key, file.group, { driver: file.driver });
+
+    await AuditService.record(
+      'file.deleted',
+      {
+        target: { type: 'file', id: fileId },
+        before: file,
+        metadata: { ownerId: file.user_id },
+      },
+      context
+    );
+
+    return true;
+  }
+
+  /**
+   * Delete every file a user owns
+   * Failures are logged and the file is left for the orphan report
+   * @returns {Promise<number>} Number of files deleted
+   */
+  static async deleteAllForUser(userId) {
+    const files = await FileModel.findAllBy('user_id', userId);
+    let deleted = 0;
+
+    for (const file of files) {
+      try {
+        await uploadService.delete(file.key, file.group, { driver: file.driver });
+        deleted++;
+      } catch (error) {
+        logger.warn({ err: error, fileId: file.id }, 'Failed to delete file');
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Compare every storage driver in use with the files table
+   * Reports only: files uploaded before the table existed have no record either
+   * @returns {Promise<object[]>} Per driver: { driver, unrecorded: { count, keys },
+   *   missing: { count, ids } }; `unrecorded` are stored files without a record, `missing`
+   *   are records whose file is gone (local and S3 only)
+   */
+  static async findOrphans() {
+    const reports = [];
+
+    for (const name of getUsedDrivers()) {
+      reports.push(await this.findDriverOrphans(name));
+    }
+
+    return reports;
+  }
+
+  /**
+   * Orphan report of one storage driver
+   */
+  static async findDriverOrphans(name) {
+    const driver = uploadService.getDriver(name);
+    const cutoff = new Date(Date.now() - ORPHAN_GRACE_MS);
+    const unrecorded = { count: 0, keys: [] };
+    const missing = { count: 0, ids: [] };
+
+    for await (const batch of driver.list()) {
+      const settled = batch.filter((file) => file.modifiedAt < cutoff).map((file) => file.key);
+      const known = await FileModel.findExistingKeys(name, settled);
+
+      for (const key of settled) {
+        if (known.has(key)) continue;
+
+        unrecorded.count++;
+        if (unrecorded.keys.length < REPORT_SAMPLE_SIZE) unrecorded.keys.push(key);
+      }
+    }
+
+    if (CHECKED_DRIVERS.includes(name)) {
+      for await (const batch of FileModel.iterate(name)) {
+        for (const file of batch) {
+          if (await driver.exists(file.key, { visibility: file.visibility })) continue;
+
+          missing.count++;
+          if (missing.ids.length < REPORT_SAMPLE_SIZE) missing.ids.push(file.id);
+        }
+      }
+    }
+
+    return { driver: name, unrecorded, missing };
+  }
+}
+
+export default FileService;
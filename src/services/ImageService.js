@@ -0,0 +1,137 @@
+import fs from 'fs';
+import sharp from 'sharp';
+import { BadRequestError } from '../utils/errors.js';
+
+// Input types sharp can read and write back in the same format
+const PROCESSABLE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif',
+};
+
+// Output formats of variants
+const VARIANT_FORMATS = {
+  webp: { mimetype: 'image/webp', extension: 'webp' },
+  avif: { mimetype: 'image/avif', extension: 'avif' },
+  jpeg: { mimetype: 'image/jpeg', extension: 'jpg' },
+  png: { mimetype: 'image/png', extension: 'png' },
+};
+
+// Re-encoding quality of originals (kept high: the original is what users uploaded)
+const ORIGINAL_QUALITY = 90;
+
+/**
+ * Image Service
+ * Processes uploads of groups with image settings (config/upload.js): checks their
+ * dimensions, strips metadata (EXIF, GPS) and renders resized variants
+ */
+export class ImageService {
+  /**
+   * Whether an upload of a group is processed
+   */
+  static shouldProcess(mimetype, config) {
+    return (
+      !!PROCESSABLE_TYPES[mimetype] && !!(config.maxWidth || config.maxHeight || config.variants)
+    );
+  }
+
+  /**
+   * Check the dimensions of an image and rewrite it without metadata, turned upright
+   * (EXIF orientation applied); the file is replaced in place
+   * @param {object} file - Multer file (path, mimetype); its size is updated
+   * @param {object} config - Upload group ({ maxWidth, maxHeight })
+   * @returns {Promise<object>} { width, height } of the stored image
+   */
+  static async prepare(file, config) {
+    let metadata;
+
+    try {
+      metadata = await sharp(file.path).metadata();
+    } catch {
+      throw new BadRequestError('File is not a valid image');
+    }
+
+    // Dimensions as displayed (EXIF orientation can swap them)
+    const { width, height } = metadata.autoOrient || metadata;
+
+    if (
+      (config.maxWidth && width > config.maxWidth) ||
+      (config.maxHeight && height > config.maxHeight)
+    ) {
+      throw new BadRequestError(
+        `Image too large. Max: ${config.maxWidth || '∞'}x${config.maxHeight || '∞'} pixels`
+      );
+    }
+
+    const format = PROCESSABLE_TYPES[file.mimetype];
+    const output = `${file.path}.stripped`;
+
+    try {
+      // sharp drops metadata unless asked to keep it
+      await sharp(file.path, { animated: true })
+        .rotate()
+        .toFormat(format, format === 'png' || format === 'gif' ? {} : { quality: ORIGINAL_QUALITY })
+        .toFile(output);
+      await fs.promises.rename(output, file.path);
+    } catch (error) {
+      await fs.promises.rm(output, { force: true });
+      throw error;
+    }
+
+    file.size = (await fs.promises.stat(file.path)).size;
+
+    return { width, height };
+  }
+
+  /**
+   * Render the variants of an image next to it
+   * @param {string} sourcePath - Prepared original
+   * @param {object} variants - { name: { width, height, fit ('inside' by default; 'cover'
+   *   crops to fill both dimensions), format ('webp' by default, 'avif', 'jpeg', 'png'),
+   *   quality } }
+   * @returns {Promise<object[]>} { name, path, mimetype, extension, width, height }; images
+   *   are never enlarged
+   */
+  static async createVariants(sourcePath, variants = {}) {
+    const created = [];
+
+    try {
+      for (const [name, options] of Object.entries(variants)) {
+        const format = VARIANT_FORMATS[options.format || 'webp'];
+
+        if (!format) {
+          throw new Error(`Unknown image format '${options.format}' for variant '${name}'`);
+        }
+
+        const output = `${sourcePath}.${name}.${format.extension}`;
+        const info = await sharp(sourcePath)
+          .resize({
+            width: options.width,
+            height: options.height,
+            fit: options.fit || 'inside',
+            withoutEnlargement: true,
+          })
+          .toFormat(options.format || 'webp', options.quality ? { quality: options.quality } : {})
+          .toFile(output);
+
+        created.push({
+          name,
+          path: output,
+          mimetype: format.mimetype,
+          extension: format.extension,
+          width: info.width,
+          height: info.height,
+        });
+      }
+    } catch (error) {
+      await Promise.all(created.map((variant) => fs.promises.rm(variant.path, { force: true })));
+      throw error;
+    }
+
+    return created;
+  }
+}
+
+export default ImageService;
@@ -0,0 +1,97 @@
+import jwt from 'jsonwebtoken';
+import { UserModel } from '../models/UserModel.js';
+import { generateImpersonationToken } from '../middlewares/auth.js';
+import { tokenService } from './TokenService.js';
+import { SessionService } from './SessionService.js';
+import { AuditService } from './AuditService.js';
+import { logger } from '../config/logger.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Impersonation Service
+ * Lets support staff sign in as a user to reproduce an issue. Each impersonation is a
+ * session of the target user (visible in their device list) with a short-lived access
+ * token that names the admin in its `act` claim.
+ */
+export class ImpersonationService {
+  /**
+   * Start impersonating a user
+   * @param {string} userId - User to act as
+   * @param {object} impersonator - Admin starting the impersonation (id, email)
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   * @returns {Promise<object>} { accessToken, expiresAt, user }
+   */
+  static async start(userId, impersonator, context = {}) {
+    if (String(userId) === String(impersonator.id)) {
+      throw new BadRequestError('You cannot impersonate yourself');
+    }
+
+    const user = await UserModel.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.role === 'super_admin') {
+      throw new ForbiddenError('Super admins cannot be impersonated');
+    }
+
+    if (user.status !== 'active') {
+      throw new BadRequestError(`Cannot impersonate a ${user.status} user`);
+    }
+
+    const session = await SessionService.create(user.id, {
+      ...context,
+      deviceName: `Impersonation by ${impersonator.email}`,
+    });
+
+    const accessToken = generateImpersonationToken({
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      sid: session.id,
+      act: { sub: String(impersonator.id), email: impersonator.email },
+    });
+
+    const expiresAt = new Date(jwt.decode(accessToken).exp * 1000);
+
+    await AuditService.record(
+      'impersonation.started',
+      { target: { type: 'user', id: user.id }, metadata: { sessionId: session.id, expiresAt } },
+      context
+    );
+
+    logger.warn({ userId: user.id, impersonatorId: impersonator.id }, 'Impersonation started');
+
+    return { accessToken, expiresAt, user };
+  }
+
+  /**
+   * End an impersonation: invalidate its token and session
+   * @param {string} accessToken - Impersonation token being ended
+   * @param {object} user - Impersonated user (req.user)
+   * @param {object} impersonator - Admin behind the token (req.impersonator)
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   */
+  static async end(accessToken, user, impersonator, context = {}) {
+    const { exp } = jwt.decode(accessToken);
+
+    await tokenService.blacklistToken(accessToken, new Date(exp * 1000));
+
+    if (user.sessionId) {
+      await SessionService.revoke(user.sessionId);
+    }
+
+    await AuditService.record(
+      'impersonation.ended',
+      { target: { type: 'user', id: user.id }, metadata: { sessionId: user.sessionId } },
+      { ...context, actorId: impersonator.id, impersonatorId: null }
+    );
+
+    logger.info({ userId: user.id, impersonatorId: impersonator.id }, 'Impersonation ended');
+
+    return true;
+  }
+}
+
+export default ImpersonationService;
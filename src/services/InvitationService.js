@@ -0,0 +1,253 @@
+import { InvitationModel } from '../models/InvitationModel.js';
+import { UserModel } from '../models/UserModel.js';
+import { tokenService } from './TokenService.js';
+import { emailService } from './EmailService.js';
+import { RoleService } from './RoleService.js';
+import { AuditService } from './AuditService.js';
+import { PasswordPolicyService } from './PasswordPolicyService.js';
+import { DEFAULT_ROLE } from '../config/permissions.js';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  isUniqueViolation,
+} from '../utils/errors.js';
+
+// How long an invite link stays valid
+const INVITATION_TTL_DAYS = 7;
+
+/**
+ * Invitation Service
+ * Admins invite people by email; the invitee sets their own password and gets the
+ * role chosen by the inviter
+ */
+export class InvitationService {
+  /**
+   * List invitations
+   * @param {object} options - Pagination/sort plus search and status (pending, expired, accepted, revoked)
+   */
+  static async list(options = {}) {
+    const { status, ...pagination } = options;
+    const now = new Date();
+
+    const filters = {
+      pending: { status: 'pending', expires_at: { op: 'gt', val: now } },
+      expired: { status: 'pending', expires_at: { op: 'lte', val: now } },
+      accepted: { status: 'accepted' },
+      revoked: { status: 'revoked' },
+    };
+
+    return InvitationModel.findAll({ ...pagination, filters: filters[status] });
+  }
+
+  /**
+   * Get an invitation or throw
+   */
+  static async getById(invitationId) {
+    const invitation = await InvitationModel.findById(invitationId);
+
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Invite someone and email them a link
+   * @param {object} data - { email, role, first_name, last_name }
+   * @param {object} inviter - User sending the invite (id, email, permissions)
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   */
+  static async create(data, inviter, context = {}) {
+    const email = data.email.toLowerCase();
+    const role = data.role || DEFAULT_ROLE;
+
+    await RoleService.assertCanAssignRole(role, inviter);
+
+    if (await UserModel.emailExists(email)) {
+      throw new ConflictError('User with this email already exists');
+    }
+
+    if (await InvitationModel.findPendingByEmail(email)) {
+      throw new ConflictError(
+        'A pending invitation already exists for this email; resend it instead'
+      );
+    }
+
+    const { record, token } = this.prepare({ ...data, email, role }, inviter);
+    const invitation = await InvitationModel.create(record);
+
+    this.sendEmail(invitation, token, inviter);
+
+    await AuditService.record(
+      'invitation.created',
+      { target: { type: 'invitation', id: invitation.id }, metadata: { email, role } },
+      context
+    );
+
+    return invitation;
+  }
+
+  /**
+   * Build a pending invitation row and its link token (not saved)
+   * Callers check the email and role first; used directly for batched inserts
+   * @param {object} data - { email, role, first_name, last_name }
+   * @param {object} inviter - User sending the invite (id)
+   * @returns {object} { record, token }
+   */
+  static prepare(data, inviter) {
+    const { token, tokenHash, expiresAt } = tokenService.createInvitationToken(INVITATION_TTL_DAYS);
+
+    return {
+      token,
+      record: {
+        email: data.email.toLowerCase(),
+        role: data.role || DEFAULT_ROLE,
+        first_name: data.first_name || null,
+        last_name: data.last_name || null,
+        status: 'pending',
+        token_hash: tokenHash,
+        invited_by: inviter?.id || null,
+        expires_at: expiresAt,
+      },
+    };
+  }
+
+  /**
+   * Send a pending invitation again with a fresh link (the previous link stops working)
+   */
+  static async resend(invitationId, inviter, context = {}) {
+    const invitation = await this.getById(invitationId);
+
+    if (invitation.status !== 'pending') {
+      throw new BadRequestError(`Invitation has already been ${invitation.status}`);
+    }
+
+    const { token, tokenHash, expiresAt } = tokenService.createInvitationToken(INVITATION_TTL_DAYS);
+
+    const updated = await InvitationModel.update(invitationId, {
+      token_hash: tokenHash,
+      expires_at: expiresAt,
+    });
+
+    this.sendEmail(updated, token, inviter);
+
+    await AuditService.record(
+      'invitation.resent',
+      { target: { type: 'invitation', id: invitationId }, metadata: { email: invitation.email } },
+      context
+    );
+
+    return updated;
+  }
+
+  /**
+   * Revoke a pending invitation
+   */
+  static async revoke(invitationId, context = {}) {
+    const invitation = await this.getById(invitationId);
+
+    if (invitation.status !== 'pending') {
+      throw new BadRequestError(`Invitation has already been ${invitation.status}`);
+    }
+
+    const updated = await InvitationModel.update(invitationId, {
+      status: 'revoked',
+      revoked_at: new Date(),
+    });
+
+    await AuditService.record(
+      'invitation.revoked',
+      { target: { type: 'invitation', id: invitationId }, metadata: { email: invitation.email } },
+      context
+    );
+
+    return updated;
+  }
+
+  /**
+   * Accept an invitation: create the account with the invited email and role
+   * The unique email constraint guarantees a link can only ever create one account
+   * @param {object} data - { token, password, first_name, last_name }
+   * @returns {Promise<object>} The new user
+   */
+  static async accept(data, context = {}) {
+    const invitation = await InvitationModel.findByTokenHash(tokenService.hashToken(data.token));
+
+    if (
+      !invitation ||
+      invitation.status !== 'pending' ||
+      new Date(invitation.expires_at).getTime() <= Date.now()
+    ) {
+      throw new BadRequestError('Invalid or expired invitation');
+    }
+
+    const first_name = data.first_name || invitation.first_name;
+    const last_name = data.last_name || invitation.last_name;
+
+    if (!first_name || !last_name) {
+      throw new BadRequestError('First and last name are required');
+    }
+
+    if (await UserModel.emailExists(invitation.email)) {
+      throw new ConflictError('User with this email already exists');
+    }
+
+    await PasswordPolicyService.assertAllowed(data.password, {
+      email: invitation.email,
+      first_name,
+      last_name,
+    });
+
+    let user;
+    try {
+      user = await UserModel.create({
+        email: invitation.email,
+        password: data.password,
+        first_name,
+        last_name,
+        role: invitation.role,
+        status: 'active',
+        // The invite link was delivered to this address
+        email_verified_at: new Date(),
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        throw new BadRequestError('Invalid or expired invitation');
+      }
+
+      throw error;
+    }
+
+    await InvitationModel.update(invitation.id, {
+      status: 'accepted',
+      accepted_at: new Date(),
+      accepted_user_id: user.id,
+    });
+
+    await AuditService.record(
+      'invitation.accepted',
+      {
+        target: { type: 'invitation', id: invitation.id },
+        metadata: { userId: user.id, role: invitation.role },
+      },
+      { ...context, actorId: user.id }
+    );
+
+    return user;
+  }
+
+  /**
+   * Email an invite link (non-blocking)
+   */
+  static sendEmail(invitation, token, inviter) {
+    const inviterName = inviter?.first_name || inviter?.email || null;
+
+    emailService
+      .sendInvitationEmail(invitation.email, inviterName, invitation.role, token)
+      .catch((err) => console.error('Failed to send invitation email:', err.message));
+  }
+}
+
+export default InvitationService;
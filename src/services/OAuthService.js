@@ -0,0 +1,438 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { UserModel } from '../models/UserModel.js';
+import { UserIdentityModel } from '../models/UserIdentityModel.js';
+import { OAuthStateModel } from '../models/OAuthStateModel.js';
+import { tokenService } from './TokenService.js';
+import { AuditService } from './AuditService.js';
+import {
+  getOAuthProvider,
+  getEnabledOAuthProviders,
+  getOAuthCallbackUrl,
+} from '../config/oauth.js';
+import { DEFAULT_ROLE } from '../config/permissions.js';
+import { createPkcePair } from '../utils/pkce.js';
+import { logger } from '../config/logger.js';
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+} from '../utils/errors.js';
+
+// How long a user has to complete the provider's consent screen
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Discovery documents rarely change; refetch hourly
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const discoveryCache = new Map();
+
+/**
+ * Fetch JSON from a provider, turning any failure into a 401 for the client
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(10000),
+    });
+  } catch (error) {
+    logger.error({ err: error, url }, 'OAuth provider request failed');
+    throw new UnauthorizedError('Could not reach the identity provider');
+  }
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body || body.error) {
+    logger.warn(
+      { url, status: response.status, error: body?.error },
+      'OAuth provider returned an error'
+    );
+    throw new UnauthorizedError('Authorization with the identity provider failed');
+  }
+
+  return body;
+};
+
+/**
+ * OAuth / OpenID Connect Service
+ * Authorization code flow with PKCE; identities are linked to users in user_identities
+ */
+export class OAuthService {
+  /**
+   * List enabled providers
+   */
+  static listProviders() {
+    return getEnabledOAuthProviders();
+  }
+
+  /**
+   * Get an enabled provider or throw
+   */
+  static getProvider(name) {
+    const provider = getOAuthProvider(name);
+
+    if (!provider) {
+      throw new NotFoundError(`OAuth provider '${name}' is not available`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Resolve the endpoints of a provider (OIDC discovery, cached)
+   * @returns {Promise<object>} { authorizationUrl, tokenUrl, userinfoUrl, issuer }
+   */
+  static async getEndpoints(provider) {
+    if (provider.type === 'github') {
+      return {
+        authorizationUrl: provider.authorizationUrl,
+        tokenUrl: provider.tokenUrl,
+        userinfoUrl: `${provider.apiUrl}/user`,
+        issuer: null,
+      };
+    }
+
+    const cached = discoveryCache.get(provider.issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.endpoints;
+    }
+
+    const issuer = provider.issuer.replace(/\/$/, '');
+    const document = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    const endpoints = {
+      authorizationUrl: document.authorization_endpoint,
+      tokenUrl: document.token_endpoint,
+      userinfoUrl: document.userinfo_endpoint || null,
+      issuer: document.issuer || issuer,
+    };
+
+    discoveryCache.set(provider.issuer, {
+      endpoints,
+      expiresAt: Date.now() + DISCOVERY_TTL_MS,
+    });
+
+    return endpoints;
+  }
+
+  /**
+   * Start an authorization request
+   * @param {string} providerName - Provider key (google, github, oidc)
+   * @param {string|null} userId - Set when a logged-in user links an identity
+   * @returns {Promise<object>} { authorizationUrl, stateToken } where the stateToken must be
+   *   sent back with the callback, so only the client that started the flow can finish it
+   */
+  static async createAuthorizationUrl(providerName, userId = null) {
+    const provider = this.getProvider(providerName);
+    const endpoints = await this.getEndpoints(provider);
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const nonce = provider.type === 'oidc' ? crypto.randomBytes(16).toString('base64url') : null;
+    const pkce = createPkcePair();
+    const stateToken = crypto.randomBytes(32).toString('hex');
+
+    await OAuthStateModel.create({
+      state_hash: tokenService.hashToken(state),
+      provider: providerName,
+      code_verifier: pkce.verifier,
+      nonce,
+      user_id: userId,
+      binding_hash: tokenService.hashToken(stateToken),
+      expires_at: new Date(Date.now() + STATE_TTL_MS),
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: getOAuthCallbackUrl(),
+      scope: provider.scopes.join(' '),
+      state,
+      code_challenge: pkce.challenge,
+      code_challenge_method: pkce.method,
+    });
+
+    if (nonce) {
+      params.set('nonce', nonce);
+    }
+
+    return {
+      authorizationUrl: `${endpoints.authorizationUrl}?${params.toString()}`,
+      stateToken,
+    };
+  }
+
+  /**
+   * Complete an authorization request: check the state, exchange the code and load the profile
+   * @param {object} callback - { code, state, stateToken }
+   * @returns {Promise<object>} { profile, linkUserId }
+   */
+  static async handleCallback(providerName, { code, state, stateToken }) {
+    const provider = this.getProvider(providerName);
+
+    const pending = await OAuthStateModel.consume(tokenService.hashToken(state));
+
+    if (
+      !pending ||
+      pending.provider !== providerName ||
+      new Date(pending.expires_at).getTime() < Date.now()
+    ) {
+      throw new UnauthorizedError('Invalid or expired OAuth state');
+    }
+
+    // A state only completes with the secret of the client that started the flow, so a
+    // callback URL started by someone else cannot sign a victim in or link their account
+    const presented = Buffer.from(tokenService.hashToken(stateToken || ''));
+
+    if (
+      !pending.binding_hash ||
+      !crypto.timingSafeEqual(presented, Buffer.from(pending.binding_hash))
+    ) {
+      throw new UnauthorizedError('Invalid or expired OAuth state');
+    }
+
+    const endpoints = await this.getEndpoints(provider);
+
+    const tokens = await fetchJson(endpoints.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: getOAuthCallbackUrl(),
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret || '',
+        code_verifier: pending.code_verifier,
+      }),
+    });
+
+    const profile =
+      provider.type === 'github'
+        ? await this.getGithubProfile(provider, tokens)
+        : await this.getOidcProfile(provider, endpoints, tokens, pending.nonce);
+
+    return { profile, linkUserId: pending.user_id || null };
+  }
+
+  /**
+   * Build a profile from an OIDC token response
+   * The ID token comes straight from the token endpoint over TLS, so its claims are
+   * validated (issuer, audience, expiry, nonce) without checking the signature
+   * (OpenID Connect Core 3.1.3.7)
+   */
+  static async getOidcProfile(provider, endpoints, tokens, nonce) {
+    const claims = tokens.id_token ? jwt.decode(tokens.id_token) : null;
+
+    if (!claims) {
+      throw new UnauthorizedError('Identity provider did not return an ID token');
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (
+      (endpoints.issuer && claims.iss !== endpoints.issuer) ||
+      !audiences.includes(provider.clientId) ||
+      !claims.exp ||
+      claims.exp * 1000 < Date.now() ||
+      (nonce && claims.nonce !== nonce)
+    ) {
+      throw new UnauthorizedError('Invalid ID token');
+    }
+
+    // Some providers only put profile claims in the userinfo response
+    let userinfo = {};
+    if (endpoints.userinfoUrl && tokens.access_token && (!claims.email || !claims.given_name)) {
+      userinfo = await fetchJson(endpoints.userinfoUrl, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+
+      if (userinfo.sub && userinfo.sub !== claims.sub) {
+        throw new UnauthorizedError('Invalid userinfo response');
+      }
+    }
+
+    const merged = { ...userinfo, ...claims };
+
+    return {
+      subject: String(claims.sub),
+      email: merged.email ? merged.email.toLowerCase() : null,
+      emailVerified: merged.email_verified === true || merged.email_verified === 'true',
+      firstName: merged.given_name || merged.name?.split(' ')[0] || null,
+      lastName: merged.family_name || merged.name?.split(' ').slice(1).join(' ') || null,
+    };
+  }
+
+  /**
+   * Build a profile from the GitHub REST API (GitHub does not speak OIDC)
+   */
+  static async getGithubProfile(provider, tokens) {
+    const headers = { Authorization: `Bearer ${tokens.access_token}` };
+
+    const user = await fetchJson(`${provider.apiUrl}/user`, { headers });
+    const emails = await fetchJson(`${provider.apiUrl}/user/emails`, { headers }).catch(() => []);
+
+    const primary = Array.isArray(emails) ? emails.find((e) => e.primary && e.verified) : null;
+    const [firstName, ...rest] = (user.name || user.login || '').split(' ');
+
+    return {
+      subject: String(user.id),
+      email: (primary?.email || user.email || '').toLowerCase() || null,
+      emailVerified: !!primary,
+      firstName: firstName || null,
+      lastName: rest.join(' ') || null,
+    };
+  }
+
+  /**
+   * Find the user for an external profile, linking or creating an account when needed
+   * An existing account is only linked automatically if the provider verified the email
+   * @returns {Promise<object>} { user, created }
+   */
+  static async findOrCreateUser(providerName, profile, context = {}) {
+    const identity = await UserIdentityModel.findBySubject(providerName, profile.subject);
+
+    if (identity) {
+      const user = await UserModel.findById(identity.user_id);
+
+      if (!user) {
+        throw new UnauthorizedError('Account not found');
+      }
+
+      await UserIdentityModel.update(identity.id, {
+        email: profile.email,
+        last_login_at: new Date(),
+      });
+
+      return { user, created: false };
+    }
+
+    if (!profile.email) {
+      throw new BadRequestError('The identity provider did not share an email address');
+    }
+
+    const existing = await UserModel.findByEmail(profile.email);
+
+    if (existing) {
+      if (!profile.emailVerified) {
+        throw new ConflictError(
+          'An account with this email already exists. Sign in and link this provider from your account'
+        );
+      }
+
+      await this.linkIdentity(existing.id, providerName, profile, {
+        ...context,
+        actorId: existing.id,
+      });
+
+      return { user: existing, created: false };
+    }
+
+    const user = await UserModel.create({
+      email: profile.email,
+      // Unusable random password; the user can set one through "forgot password"
+      password: crypto.randomBytes(32).toString('hex'),
+      first_name: profile.firstName || profile.email.split('@')[0],
+      last_name: profile.lastName || '',
+      role: DEFAULT_ROLE,
+      status: 'active',
+      email_verified_at: profile.emailVerified ? new Date() : null,
+    });
+
+    await UserIdentityModel.create({
+      user_id: user.id,
+      provider: providerName,
+      subject: profile.subject,
+      email: profile.email,
+      last_login_at: new Date(),
+    });
+
+    await AuditService.record(
+      'auth.registered',
+      { target: { type: 'user', id: user.id }, metadata: { provider: providerName } },
+      { ...context, actorId: user.id }
+    );
+
+    return { user, created: true };
+  }
+
+  /**
+   * Link an external identity to a user
+   */
+  static async linkIdentity(userId, providerName, profile, context = {}) {
+    const existing = await UserIdentityModel.findBySubject(providerName, profile.subject);
+
+    if (existing) {
+      if (existing.user_id === userId) {
+        return existing;
+      }
+
+      throw new ConflictError('This account is already linked to another user');
+    }
+
+    if (await UserIdentityModel.findFirst({ user_id: userId, provider: providerName })) {
+      throw new ConflictError(`A ${providerName} account is already linked`);
+    }
+
+    const identity = await UserIdentityModel.create({
+      user_id: userId,
+      provider: providerName,
+      subject: profile.subject,
+      email: profile.email,
+    });
+
+    await AuditService.record(
+      'auth.identity_linked',
+      {
+        target: { type: 'user', id: userId },
+        metadata: { provider: providerName, identityId: identity.id },
+      },
+      context
+    );
+
+    return identity;
+  }
+
+  /**
+   * List identities linked to a user
+   */
+  static async listIdentities(userId) {
+    return UserIdentityModel.findByUser(userId);
+  }
+
+  /**
+   * Unlink an identity (the user keeps signing in with their password or other providers)
+   */
+  static async unlinkIdentity(userId, identityId, context = {}) {
+    const identity = await UserIdentityModel.findById(identityId);
+
+    if (!identity || identity.user_id !== userId) {
+      throw new NotFoundError('Linked account not found');
+    }
+
+    await UserIdentityModel.delete(identityId);
+
+    await AuditService.record(
+      'auth.identity_unlinked',
+      {
+        target: { type: 'user', id: userId },
+        metadata: { provider: identity.provider, identityId },
+      },
+      context
+    );
+
+    return true;
+  }
+
+  /**
+   * Delete expired authorization requests
+   */
+  static async cleanup() {
+    const deletedStates = await OAuthStateModel.deleteExpired();
+
+    return { deletedStates };
+  }
+}
+
+export default OAuthService;
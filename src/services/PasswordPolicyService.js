@@ -0,0 +1,88 @@
+import { PasswordHistoryModel } from '../models/PasswordHistoryModel.js';
+import { passwordPolicy } from '../config/passwordPolicy.js';
+import { passwordHasher } from '../utils/passwordHasher.js';
+import { checkPasswordPolicy, describePasswordPolicy } from '../utils/passwordPolicy.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Password Policy Service
+ * Enforces the configured password rules and prevents reuse of recent passwords
+ */
+export class PasswordPolicyService {
+  /**
+   * Requirements of the active policy
+   */
+  static getRequirements() {
+    return describePasswordPolicy(passwordPolicy);
+  }
+
+  /**
+   * Throw a ValidationError if a password is not allowed for a user
+   * @param {string} password - Candidate password
+   * @param {object} user - Existing user (with password_hash, for the reuse check) or the
+   *   email/first_name/last_name of the account being created
+   * @param {string} field - Request field reported in the error details
+   */
+  static async assertAllowed(password, user = {}, field = 'password') {
+    const violations = checkPasswordPolicy(
+      password,
+      passwordPolicy,
+      { email: user.email, firstName: user.first_name, lastName: user.last_name },
+      field
+    );
+
+    // Only pay for the hash comparisons once the cheap checks pass
+    if (violations.length === 0 && user.id && (await this.isReused(user, password))) {
+      violations.push({
+        field,
+        message: `Password must not match any of your last ${passwordPolicy.historySize} passwords`,
+        code: 'reused',
+      });
+    }
+
+    if (violations.length > 0) {
+      throw new ValidationError('Password does not meet the requirements', violations);
+    }
+  }
+
+  /**
+   * Whether a password matches the user's current or recent passwords
+   */
+  static async isReused(user, password) {
+    if (passwordPolicy.historySize <= 0) {
+      return false;
+    }
+
+    // The current password counts as one of the last N
+    const history =
+      passwordPolicy.historySize > 1
+        ? await PasswordHistoryModel.findRecentByUser(user.id, passwordPolicy.historySize - 1)
+        : [];
+
+    const hashes = [user.password_hash, ...history.map((entry) => entry.password_hash)];
+
+    for (const hash of hashes.filter(Boolean)) {
+      if (await passwordHasher.verify(password, hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Remember a replaced password hash and drop entries beyond the history size
+   * @param {string} userId - User ID
+   * @param {string} previousHash - Hash that was just replaced
+   */
+  static async recordChange(userId, previousHash) {
+    if (passwordPolicy.historySize <= 1 || !previousHash) {
+      return;
+    }
+
+    await PasswordHistoryModel.create({ user_id: userId, password_hash: previousHash });
+    await PasswordHistoryModel.trim(userId, passwordPolicy.historySize - 1);
+  }
+}
+
+export default PasswordPolicyService;
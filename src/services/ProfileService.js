@@ -0,0 +1,143 @@
+import { UserModel } from '../models/UserModel.js';
+import { uploadService } from './UploadService.js';
+import { AuditService } from './AuditService.js';
+import { logger } from '../config/logger.js';
+import { DEFAULT_PREFERENCES } from '../config/userProfile.js';
+import { mergePreferences, mergeMetadata } from '../utils/userProfile.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+
+// Upload group of profile pictures
+const AVATAR_GROUP = 'avatars';
+
+/**
+ * Profile Service
+ * Avatar, preferences and custom metadata of a user
+ */
+export class ProfileService {
+  /**
+   * User with preference defaults applied
+   */
+  static withPreferences(user) {
+    return {
+      ...user,
+      preferences: mergePreferences(DEFAULT_PREFERENCES, user.preferences),
+    };
+  }
+
+  /**
+   * Replace the user's avatar with an uploaded image and remove the previous file
+   * @param {string} userId - User ID
+   * @param {object} file - Multer file from the `avatars` upload group
+   */
+  static async updateAvatar(userId, file) {
+    if (!file) {
+      throw new BadRequestError('An image file is required (field "file")');
+    }
+
+    const user = await UserModel.findById(userId);
+
+    if (!user) {
+      uploadService.cleanup(file.path);
+      throw new NotFoundError('User not found');
+    }
+
+    const result = await uploadService.upload(file, AVATAR_GROUP, { ownerId: userId });
+
+    const updated = await UserModel.update(userId, {
+      avatar: result.url,
+      avatar_key: result.key,
+    });
+
+    await this.deleteAvatarFile(user.avatar_key);
+
+    return this.withPreferences(updated);
+  }
+
+  /**
+   * Remove the user's avatar
+   */
+  static async removeAvatar(userId) {
+    const user = await UserModel.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!user.avatar) {
+      return this.withPreferences(user);
+    }
+
+    const updated = await UserModel.update(userId, { avatar: null, avatar_key: null });
+
+    await this.deleteAvatarFile(user.avatar_key);
+
+    return this.withPreferences(updated);
+  }
+
+  /**
+   * Delete a stored avatar file
+   * Failures are logged: a leftover file must not fail the profile update
+   */
+  static async deleteAvatarFile(avatarKey) {
+    if (!avatarKey) {
+      return;
+    }
+
+    try {
+      await uploadService.delete(avatarKey, AVATAR_GROUP);
+    } catch (error) {
+      logger.warn({ err: error, avatarKey }, 'Failed to delete previous avatar');
+    }
+  }
+
+  /**
+   * Update preferences (notification settings merge key by key)
+   * @returns {Promise<object>} Preferences with defaults applied
+   */
+  static async updatePreferences(userId, changes) {
+    const user = await UserModel.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    // Store only what the user chose; defaults are applied when read
+    const stored = mergePreferences({}, user.preferences, changes);
+    await UserModel.update(userId, { preferences: JSON.stringify(stored) });
+
+    return mergePreferences(DEFAULT_PREFERENCES, stored);
+  }
+
+  /**
+   * Update custom metadata (already validated against USER_METADATA_FIELDS)
+   * @param {string} userId - User ID
+   * @param {object} changes - Field values; null clears a field
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   * @returns {Promise<object|null>} Metadata after the update
+   */
+  static async updateMetadata(userId, changes, context = {}) {
+    const user = await UserModel.findById(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const metadata = mergeMetadata(user.metadata, changes);
+
+    await UserModel.update(userId, { metadata: metadata ? JSON.stringify(metadata) : null });
+
+    await AuditService.record(
+      'user.metadata_updated',
+      {
+        target: { type: 'user', id: userId },
+        before: { metadata: user.metadata || null },
+        after: { metadata },
+      },
+      context
+    );
+
+    return metadata;
+  }
+}
+
+export default ProfileService;
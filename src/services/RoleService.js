@@ -0,0 +1,282 @@
+import { RoleModel } from '../models/RoleModel.js';
+import { PermissionModel } from '../models/PermissionModel.js';
+import { UserModel } from '../models/UserModel.js';
+import { AuditService } from './AuditService.js';
+import { logger } from '../config/logger.js';
+import { DEFAULT_ROLE } from '../config/permissions.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+// Role name -> { permissions, expiresAt }
+// Per-process cache; the TTL bounds staleness when several instances run
+const permissionCache = new Map();
+const PERMISSION_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Role & Permission Service (RBAC)
+ */
+export class RoleService {
+  // ============ PERMISSION LOOKUP ============
+
+  /**
+   * Get permission names for a role (cached)
+   */
+  static async getPermissionsForRole(roleName) {
+    if (!roleName) {
+      return [];
+    }
+
+    const cached = permissionCache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    const permissions = await RoleModel.getPermissionNames(roleName);
+    permissionCache.set(roleName, {
+      permissions,
+      expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS,
+    });
+
+    return permissions;
+  }
+
+  /**
+   * Drop cached permissions (call after any role/permission change)
+   */
+  static clearPermissionCache() {
+    permissionCache.clear();
+  }
+
+  /**
+   * Ensure a role exists (used when assigning roles to users)
+   */
+  static async assertRoleExists(roleName) {
+    const role = await RoleModel.findByName(roleName);
+
+    if (!role) {
+      throw new BadRequestError(`Role '${roleName}' does not exist`);
+    }
+
+    return role;
+  }
+
+  /**
+   * Ensure a user may give a role to someone: any role other than the default needs
+   * users:assign_role, and no role may grant permissions the assigner lacks
+   * @param {string} roleName - Role to assign
+   * @param {object} assigner - Requesting user ({ permissions })
+   */
+  static async assertCanAssignRole(roleName, assigner) {
+    const role = await RoleService.assertRoleExists(roleName);
+    const assignerPermissions = assigner?.permissions || [];
+
+    if (roleName !== DEFAULT_ROLE && !assignerPermissions.includes('users:assign_role')) {
+      throw new ForbiddenError(`Assigning role '${roleName}' requires users:assign_role`);
+    }
+
+    const rolePermissions = await RoleService.getPermissionsForRole(roleName);
+    const missing = rolePermissions.filter((name) => !assignerPermissions.includes(name));
+
+    if (missing.length > 0) {
+      throw new ForbiddenError(`Cannot assign role '${roleName}': it grants permissions you lack`);
+    }
+
+    return role;
+  }
+
+  // ============ ROLES ============
+
+  /**
+   * List roles with pagination and search
+   */
+  static async listRoles(options = {}) {
+    return RoleModel.findAll(options);
+  }
+
+  /**
+   * Get role with its permissions
+   */
+  static async getRole(roleId) {
+    const role = await RoleModel.findById(roleId);
+
+    if (!role) {
+      throw new NotFoundError('Role not found');
+    }
+
+    const permissions = await RoleModel.getPermissions(roleId);
+
+    return { ...role, permissions };
+  }
+
+  /**
+   * Create a custom role
+   */
+  static async createRole(data, context = {}) {
+    const { name, description, permissions = [] } = data;
+
+    if (await RoleModel.findByName(name)) {
+      throw new ConflictError('Role with this name already exists');
+    }
+
+    const role = await RoleModel.create({ name, description, is_system: false });
+
+    if (permissions.length > 0) {
+      await this.setRolePermissions(role.id, permissions, context);
+    }
+
+    logger.info({ role: name }, 'Role created');
+
+    await AuditService.record(
+      'role.created',
+      { target: { type: 'role', id: role.id }, after: role },
+      context
+    );
+
+    return this.getRole(role.id);
+  }
+
+  /**
+   * Update role details (the name is immutable because users reference it)
+   */
+  static async updateRole(roleId, data, context = {}) {
+    const { description, permissions } = data;
+
+    const role = await RoleModel.findById(roleId);
+
+    if (!role) {
+      throw new NotFoundError('Role not found');
+    }
+
+    if (description !== undefined) {
+      const updated = await RoleModel.update(roleId, { description });
+
+      await AuditService.record(
+        'role.updated',
+        { target: { type: 'role', id: roleId }, before: role, after: updated },
+        context
+      );
+    }
+
+    if (permissions) {
+      await this.setRolePermissions(roleId, permissions, context);
+    }
+
+    return this.getRole(roleId);
+  }
+
+  /**
+   * Delete a custom role that no user holds
+   */
+  static async deleteRole(roleId, context = {}) {
+    const role = await RoleModel.findById(roleId);
+
+    if (!role) {
+      throw new NotFoundError('Role not found');
+    }
+
+    if (role.is_system) {
+      throw new ForbiddenError('Built-in roles cannot be deleted');
+    }
+
+    const holders = await UserModel.count({ role: role.name });
+
+    if (holders > 0) {
+      throw new ConflictError(`Role is assigned to ${holders} user(s)`);
+    }
+
+    await RoleModel.delete(roleId);
+    this.clearPermissionCache();
+
+    logger.info({ role: role.name }, 'Role deleted');
+
+    await AuditService.record(
+      'role.deleted',
+      { target: { type: 'role', id: roleId }, before: role },
+      context
+    );
+
+    return true;
+  }
+
+  /**
+   * Replace the permissions of a role
+   * @param {string} roleId - Role ID
+   * @param {string[]} permissionNames - Permission names
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   */
+  static async setRolePermissions(roleId, permissionNames, context = {}) {
+    const role = await RoleModel.findById(roleId);
+
+    if (!role) {
+      throw new NotFoundError('Role not found');
+    }
+
+    const uniqueNames = [...new Set(permissionNames)];
+    const permissions = await PermissionModel.findByNames(uniqueNames);
+
+    if (permissions.length !== uniqueNames.length) {
+      const known = permissions.map((p) => p.name);
+      const unknown = uniqueNames.filter((name) => !known.includes(name));
+
+      throw new BadRequestError(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+
+    const previous = await RoleModel.getPermissionNames(role.name);
+
+    await RoleModel.setPermissions(
+      roleId,
+      permissions.map((p) => p.id)
+    );
+    this.clearPermissionCache();
+
+    logger.info({ role: role.name, permissions: uniqueNames }, 'Role permissions updated');
+
+    await AuditService.record(
+      'role.permissions_updated',
+      {
+        target: { type: 'role', id: roleId },
+        before: { permissions: [...previous].sort() },
+        after: { permissions: [...uniqueNames].sort() },
+      },
+      context
+    );
+
+    return this.getRole(roleId);
+  }
+
+  // ============ PERMISSIONS ============
+
+  /**
+   * List permissions
+   */
+  static async listPermissions(options = {}) {
+    return PermissionModel.findAll({ sort_by: 'name', sort_order: 'asc', ...options });
+  }
+
+  /**
+   * Create a permission
+   */
+  static async createPermission(data) {
+    if (await PermissionModel.findBy('name', data.name)) {
+      throw new ConflictError('Permission with this name already exists');
+    }
+
+    return PermissionModel.create(data);
+  }
+
+  /**
+   * Delete a permission (removes it from every role)
+   */
+  static async deletePermission(permissionId) {
+    const deleted = await PermissionModel.delete(permissionId);
+
+    if (!deleted) {
+      throw new NotFoundError('Permission not found');
+    }
+
+    this.clearPermissionCache();
+
+    return true;
+  }
+}
+
+export default RoleService;
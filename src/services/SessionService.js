@@ -0,0 +1,166 @@
+import { SessionModel } from '../models/SessionModel.js';
+import { tokenService } from './TokenService.js';
+import { logger } from '../config/logger.js';
+import { NotFoundError, BadRequestError } from '../utils/errors.js';
+
+// Only write last_seen_at once per interval to avoid a DB write on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Revoked sessions are kept this long for the "recent devices" history
+const REVOKED_RETENTION_DAYS = 30;
+
+/**
+ * Session Service
+ * Server-side registry of login sessions (devices)
+ */
+export class SessionService {
+  /**
+   * Start a session for a login
+   * @param {string} userId - User ID
+   * @param {object} context - Request context (deviceName, userAgent, ip)
+   */
+  static async create(userId, context = {}) {
+    const now = new Date();
+
+    return SessionModel.create({
+      user_id: userId,
+      device_name: context.deviceName || null,
+      user_agent: context.userAgent ? context.userAgent.slice(0, 512) : null,
+      ip_address: context.ip || null,
+      last_seen_at: now,
+    });
+  }
+
+  /**
+   * Check whether a session exists and has not been revoked
+   * @returns {Promise<object|null>} Session if active
+   */
+  static async findActive(sessionId) {
+    const session = await SessionModel.findById(sessionId);
+
+    if (!session || session.revoked_at) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Record activity on a session (throttled)
+   */
+  static async touch(session) {
+    const lastSeen = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+
+    if (Date.now() - lastSeen < TOUCH_INTERVAL_MS) {
+      return;
+    }
+
+    await SessionModel.update(session.id, { last_seen_at: new Date() });
+  }
+
+  /**
+   * List active sessions of a user, flagging the one making the request
+   */
+  static async listForUser(userId, currentSessionId = null) {
+    const sessions = await SessionModel.findActiveByUser(userId);
+
+    return sessions.map((session) => ({
+      id: session.id,
+      device_name: session.device_name,
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      created_at: session.created_at,
+      last_seen_at: session.last_seen_at,
+      current: session.id === currentSessionId,
+    }));
+  }
+
+  /**
+   * Revoke a session and its refresh token family
+   */
+  static async revoke(sessionId) {
+    await SessionModel.update(sessionId, { revoked_at: new Date() });
+    await tokenService.revokeTokenFamily(sessionId);
+
+    logger.info({ sessionId }, 'Session revoked');
+  }
+
+  /**
+   * Revoke one of the user's own sessions
+   */
+  static async revokeForUser(userId, sessionId) {
+    const session = await SessionModel.findFirst({ id: sessionId, user_id: userId });
+
+    if (!session || session.revoked_at) {
+      throw new NotFoundError('Session not found');
+    }
+
+    await this.revoke(sessionId);
+
+    return true;
+  }
+
+  /**
+   * Revoke every session of the user except the current one
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  static async revokeOthers(userId, currentSessionId) {
+    if (!currentSessionId) {
+      throw new BadRequestError('Current session could not be determined');
+    }
+
+    const revokedIds = await SessionModel.revokeByUser(userId, currentSessionId);
+
+    for (const sessionId of revokedIds) {
+      await tokenService.revokeTokenFamily(sessionId);
+    }
+
+    logger.info({ userId, count: revokedIds.length }, 'Other sessions revoked');
+
+    return revokedIds.length;
+  }
+
+  /**
+   * Revoke every session of the user
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  static async revokeAll(userId) {
+    const revokedIds = await SessionModel.revokeByUser(userId);
+    await tokenService.revokeUserRefreshTokens(userId);
+
+    logger.info({ userId, count: revokedIds.length }, 'All sessions revoked');
+
+    return revokedIds.length;
+  }
+
+  /**
+   * Revoke every session of several users (bulk admin actions)
+   * @param {object} trx - Optional knex transaction to revoke within
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  static async revokeAllForUsers(userIds, trx = null) {
+    const count = await SessionModel.revokeByUsers(userIds, trx);
+    await tokenService.revokeUsersRefreshTokens(userIds, trx);
+
+    logger.info({ users: userIds.length, count }, 'All sessions of users revoked');
+
+    return count;
+  }
+
+  /**
+   * Delete sessions revoked more than the retention period ago
+   * Call this from a cron job
+   */
+  static async cleanup() {
+    const cutoff = new Date(Date.now() - REVOKED_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const deleted = await SessionModel.query()
+      .whereNotNull('revoked_at')
+      .where('revoked_at', '<', cutoff)
+      .del();
+
+    return { deletedSessions: deleted };
+  }
+}
+
+export default SessionService;
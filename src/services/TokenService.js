@@ -29,9 +29,10 @@ class TokenService {
    * @param {string} type - Token type (verification, reset, etc.)
    * @param {string} userId - User ID
    * @param {number} expiresInMinutes - Expiration time in minutes
+   * @param {object} extra - Additional columns (e.g. binding_hash)
    * @returns {Promise<object>} Token data
    */
-  async createToken(type, userId, expiresInMinutes = 60) {
+  async createToken(type, userId, expiresInMinutes = 60, extra = {}) {
     const token = this.generateToken();
     const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
 
@@ -42,6 +43,7 @@ class TokenService {
       token,
       expires_at: expiresAt,
       created_at: new Date(),
+      ...extra,
     });
 
     logger.debug({ type, userId }, 'Token created');
@@ -53,18 +55,45 @@ class TokenService {
   }
 
   /**
-   * Verify and consume a token
+   * Find a usable (unexpired, unused) token without consuming it
    * @param {string} type - Token type
    * @param {string} token - Token string
    * @returns {Promise<object|null>} Token data if valid
    */
-  async verifyToken(type, token) {
+  async findValidToken(type, token) {
     const record = await db(this.tableName)
       .where({ type, token })
       .where('expires_at', '>', new Date())
       .whereNull('used_at')
       .first();
 
+    return record ? this.parsePayload(record) : null;
+  }
+
+  /**
+   * Parse the payload column (MySQL returns JSON as a string)
+   */
+  parsePayload(record) {
+    if (typeof record.payload === 'string') {
+      try {
+        return { ...record, payload: JSON.parse(record.payload) };
+      } catch (_e) {
+        return { ...record, payload: null };
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Verify and consume a token
+   * @param {string} type - Token type
+   * @param {string} token - Token string
+   * @returns {Promise<object|null>} Token data if valid
+   */
+  async verifyToken(type, token) {
+    const record = await this.findValidToken(type, token);
+
     if (!record) {
       return null;
     }
@@ -92,6 +121,105 @@ class TokenService {
     logger.debug({ userId, type }, 'User tokens invalidated');
   }
 
+  // ============ REFRESH TOKEN FAMILIES ============
+
+  /**
+   * Persist an issued refresh token as a member of a token family
+   * Only the token hash is stored
+   * @param {string} userId - User ID
+   * @param {string} refreshToken - Refresh JWT
+   * @param {string} familyId - Token family ID (shared by all rotations of one login)
+   * @param {Date} expiresAt - Refresh token expiration
+   */
+  async storeRefreshToken(userId, refreshToken, familyId, expiresAt) {
+    await db(this.tableName).insert({
+      id: crypto.randomUUID(),
+      user_id: userId,
+      type: 'refresh',
+      token: this.hashToken(refreshToken),
+      family_id: familyId,
+      expires_at: expiresAt,
+      created_at: new Date(),
+    });
+
+    logger.debug({ userId, familyId }, 'Refresh token stored');
+  }
+
+  /**
+   * Find a stored refresh token (used, revoked or expired records included)
+   * @param {string} refreshToken - Refresh JWT
+   * @returns {Promise<object|null>} Token record
+   */
+  async findRefreshToken(refreshToken) {
+    const record = await db(this.tableName)
+      .where({ type: 'refresh', token: this.hashToken(refreshToken) })
+      .first();
+
+    return record || null;
+  }
+
+  /**
+   * Mark a refresh token as rotated
+   * Returns false if it was already rotated (lost a race with a concurrent refresh)
+   * @param {string} id - Token record ID
+   * @returns {Promise<boolean>} True if this call consumed the token
+   */
+  async consumeRefreshToken(id) {
+    const updated = await db(this.tableName)
+      .where({ id })
+      .whereNull('used_at')
+      .whereNull('revoked_at')
+      .update({ used_at: new Date() });
+
+    return updated > 0;
+  }
+
+  /**
+   * Revoke every refresh token in a family
+   * @param {string} familyId - Token family ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeTokenFamily(familyId) {
+    const revoked = await db(this.tableName)
+      .where({ type: 'refresh', family_id: familyId })
+      .whereNull('revoked_at')
+      .update({ revoked_at: new Date() });
+
+    logger.debug({ familyId, revoked }, 'Refresh token family revoked');
+
+    return revoked;
+  }
+
+  /**
+   * Revoke all refresh token families of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeUserRefreshTokens(userId) {
+    const revoked = await db(this.tableName)
+      .where({ type: 'refresh', user_id: userId })
+      .whereNull('revoked_at')
+      .update({ revoked_at: new Date() });
+
+    logger.debug({ userId, revoked }, 'User refresh tokens revoked');
+
+    return revoked;
+  }
+
+  /**
+   * Revoke all refresh token families of several users
+   * @param {string[]} userIds - User IDs
+   * @param {object} trx - Optional knex transaction to update within
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  async revokeUsersRefreshTokens(userIds, trx = null) {
+    return (trx || db)(this.tableName)
+      .where({ type: 'refresh' })
+      .whereIn('user_id', userIds)
+      .whereNull('revoked_at')
+      .update({ revoked_at: new Date() });
+  }
+
   // ============ JWT BLACKLIST ============
 
   /**
@@ -197,6 +325,117 @@ class TokenService {
   async verifyPasswordResetToken(token) {
     return this.verifyToken('password_reset', token);
   }
+
+  /**
+   * Find a password reset token without consuming it
+   * Lets the new password be validated before the token is spent
+   */
+  async findPasswordResetToken(token) {
+    return this.findValidToken('password_reset', token);
+  }
+
+  /**
+   * Create email change confirmation token (sent to the new address)
+   * @param {string} userId - User ID
+   * @param {string} previousEmail - Current address
+   * @param {string} email - Requested new address
+   */
+  async createEmailChangeToken(userId, previousEmail, email) {
+    // Only the latest request can be confirmed
+    await this.invalidateUserTokens(userId, 'email_change');
+
+    return this.createToken('email_change', userId, 24 * 60, {
+      payload: JSON.stringify({ previousEmail, email }),
+    });
+  }
+
+  /**
+   * Verify and consume an email change confirmation token
+   */
+  async verifyEmailChangeToken(token) {
+    return this.verifyToken('email_change', token);
+  }
+
+  /**
+   * Create email change revert token (sent to the old address)
+   * Outlives the confirmation token so a confirmed change can still be undone
+   */
+  async createEmailChangeRevertToken(userId, previousEmail, email) {
+    return this.createToken('email_change_revert', userId, 7 * 24 * 60, {
+      payload: JSON.stringify({ previousEmail, email }),
+    });
+  }
+
+  /**
+   * Verify and consume an email change revert token
+   */
+  async verifyEmailChangeRevertToken(token) {
+    return this.verifyToken('email_change_revert', token);
+  }
+
+  /**
+   * Generate an invitation token
+   * Invitations are stored in their own table (the invitee has no user yet), so this
+   * only produces the token and the hash to store
+   * @param {number} expiresInDays - Validity in days
+   * @returns {object} { token, tokenHash, expiresAt }
+   */
+  createInvitationToken(expiresInDays = 7) {
+    const token = this.generateToken();
+
+    return {
+      token,
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  /**
+   * Create magic link (passwordless login) token
+   * @param {string} userId - User ID
+   * @param {string|null} deviceToken - Secret held by the requesting device, if the link is bound to it
+   */
+  async createMagicLinkToken(userId, deviceToken = null) {
+    // Only the latest link works
+    await this.invalidateUserTokens(userId, 'magic_link');
+
+    return this.createToken('magic_link', userId, 15, {
+      binding_hash: deviceToken ? this.hashToken(deviceToken) : null,
+    });
+  }
+
+  /**
+   * Verify and consume a magic link token
+   * A device-bound link is only accepted (and consumed) together with the device's secret
+   * @returns {Promise<object|null>} Token data if valid
+   */
+  async verifyMagicLinkToken(token, deviceToken = null) {
+    const record = await db(this.tableName)
+      .where({ type: 'magic_link', token })
+      .where('expires_at', '>', new Date())
+      .whereNull('used_at')
+      .first();
+
+    if (!record) {
+      return null;
+    }
+
+    if (record.binding_hash) {
+      const presented = Buffer.from(this.hashToken(deviceToken || ''));
+
+      if (!crypto.timingSafeEqual(presented, Buffer.from(record.binding_hash))) {
+        return null;
+      }
+    }
+
+    // Conditional update so two concurrent requests cannot both consume the link
+    const consumed = await db(this.tableName)
+      .where({ id: record.id })
+      .whereNull('used_at')
+      .update({ used_at: new Date() });
+
+    return consumed ? record : null;
+  }
 }
 
 // Export singleton
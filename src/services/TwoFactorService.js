@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import { UserModel } from '../models/UserModel.js';
+import { RecoveryCodeModel } from '../models/RecoveryCodeModel.js';
+import { passwordHasher } from '../utils/passwordHasher.js';
+import { generateSecret, verifyTotp, buildOtpAuthUrl } from '../utils/totp.js';
+import { env } from '../config/env.js';
+import { logger } from '../config/logger.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalize a recovery code as typed by a user (case, dashes and spaces ignored)
+ */
+const normalizeRecoveryCode = (code) =>
+  String(code || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Two-Factor Authentication Service
+ * Opt-in TOTP (RFC 6238) with single-use recovery codes
+ */
+export class TwoFactorService {
+  /**
+   * Start enrollment: generate a secret for the authenticator app
+   * 2FA stays disabled until the first code is confirmed
+   */
+  static async enroll(userId) {
+    const user = await UserModel.findByIdWithSecrets(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.two_factor_enabled_at) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+
+    await UserModel.update(userId, {
+      two_factor_secret: secret,
+      two_factor_last_step: null,
+    });
+
+    return {
+      secret,
+      otpauthUrl: buildOtpAuthUrl({ secret, accountName: user.email, issuer: env.APP_NAME }),
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @returns {Promise<object>} Recovery codes (shown once)
+   */
+  static async confirm(userId, code) {
+    const user = await UserModel.findByIdWithSecrets(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.two_factor_enabled_at) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.two_factor_secret) {
+      throw new BadRequestError('Two-factor enrollment has not been started');
+    }
+
+    const step = verifyTotp(user.two_factor_secret, code);
+
+    if (step === null) {
+      throw new BadRequestError('Invalid verification code');
+    }
+
+    await UserModel.update(userId, {
+      two_factor_enabled_at: new Date(),
+      two_factor_last_step: step,
+    });
+
+    const recoveryCodes = await this.regenerateRecoveryCodes(userId);
+
+    logger.info({ userId }, 'Two-factor authentication enabled');
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Disable 2FA (requires the password and a current code or recovery code)
+   */
+  static async disable(userId, password, code) {
+    const user = await UserModel.findByIdWithSecrets(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (!user.two_factor_enabled_at) {
+      throw new BadRequestError('Two-factor authentication is not enabled');
+    }
+
+    const isValidPassword = await UserModel.comparePassword(password, user.password_hash);
+
+    if (!isValidPassword) {
+      throw new BadRequestError('Password is incorrect');
+    }
+
+    const isValidCode = await this.verifyCode(user, code);
+
+    if (!isValidCode) {
+      throw new BadRequestError('Invalid verification code');
+    }
+
+    await UserModel.update(userId, {
+      two_factor_secret: null,
+      two_factor_enabled_at: null,
+      two_factor_last_step: null,
+    });
+    await RecoveryCodeModel.deleteByUser(userId);
+
+    logger.info({ userId }, 'Two-factor authentication disabled');
+
+    return true;
+  }
+
+  /**
+   * Verify a TOTP code or, failing that, a recovery code for a user
+   * @param {object} user - User record including two-factor secret
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<boolean>} True if the code was accepted (and consumed)
+   */
+  static async verifyCode(user, code) {
+    if (await this.verifyTotpCode(user, code)) {
+      return true;
+    }
+
+    return this.useRecoveryCode(user.id, code);
+  }
+
+  /**
+   * Verify a TOTP code, rejecting replays of an already-used time step
+   */
+  static async verifyTotpCode(user, code) {
+    if (!user.two_factor_secret) {
+      return false;
+    }
+
+    const step = verifyTotp(user.two_factor_secret, code);
+
+    if (step === null) {
+      return false;
+    }
+
+    // No row updated: this step (or a later one) was already used - a replay
+    return UserModel.advanceTwoFactorStep(user.id, step);
+  }
+
+  /**
+   * Consume a recovery code
+   */
+  static async useRecoveryCode(userId, code) {
+    const normalized = normalizeRecoveryCode(code);
+
+    if (!normalized) {
+      return false;
+    }
+
+    const candidates = await RecoveryCodeModel.findUnusedByUser(userId);
+
+    for (const candidate of candidates) {
+      if (await passwordHasher.verify(normalized, candidate.code_hash)) {
+        // Another request redeemed it between the lookup and now
+        if (!(await RecoveryCodeModel.markUsed(candidate.id))) {
+          return false;
+        }
+
+        logger.info({ userId }, 'Two-factor recovery code used');
+
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Replace all recovery codes of a user
+   * @returns {Promise<string[]>} Plain-text codes (only ever returned here)
+   */
+  static async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    const records = await Promise.all(
+      codes.map(async (code) => ({
+        user_id: userId,
+        code_hash: await passwordHasher.hash(normalizeRecoveryCode(code)),
+      }))
+    );
+
+    await RecoveryCodeModel.deleteByUser(userId);
+    await RecoveryCodeModel.createMany(records);
+
+    return codes;
+  }
+}
+
+export default TwoFactorService;
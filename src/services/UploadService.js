@@ -1,32 +1,47 @@
-import cloudinary from 'cloudinary';
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { StatusCodes } from 'http-status-codes';
 import { env } from '../config/env.js';
-import { getGroupConfig, detectFileType } from '../config/upload.js';
+import { logger } from '../config/logger.js';
+import { FileModel } from '../models/FileModel.js';
+import {
+  getGroupConfig,
+  getGroupDriver,
+  isPrivateGroup,
+  detectFileType,
+} from '../config/upload.js';
+import { getStorageDriver } from './storage/index.js';
+import { getScanner } from './scanner/index.js';
+import { ImageService } from './ImageService.js';
+import { isContentAllowed, readFileHead } from '../utils/fileSignature.js';
+import { ApiError, BadRequestError } from '../utils/errors.js';
+
+// Characters allowed in a stored file name (generated by generateFilename)
+const SAFE_FILENAME = /^[\w-]+(\.[\w]+)?$/;
+
+const visibilityOf = (group) => (isPrivateGroup(group) ? 'private' : 'public');
 
 /**
  * Upload Service
- * Handles file uploads to local storage or Cloudinary
+ * Validates uploads against their group (declared type, content and size), scans them for
+ * malware (see services/scanner), processes images (see ImageService) and stores them with
+ * the group's storage driver (local, Cloudinary or S3-compatible, see services/storage)
  */
 class UploadService {
-  constructor() {
-    this.isCloudinary = env.UPLOAD_STRATEGY === 'cloudinary';
-    this.baseDir = path.join(process.cwd(), env.UPLOAD_LOCAL_PATH || 'uploads');
-
-    if (this.isCloudinary) {
-      cloudinary.v2.config({
-        cloud_name: env.CLOUDINARY_CLOUD_NAME,
-        api_key: env.CLOUDINARY_API_KEY,
-        api_secret: env.CLOUDINARY_API_SECRET,
-      });
-    }
-
-    this.ensureDir(this.baseDir);
+  /**
+   * Storage driver by name
+   */
+  getDriver(name) {
+    return getStorageDriver(name);
   }
 
-  ensureDir(dir) {
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  /**
+   * Storage driver of an upload group
+   */
+  driverFor(group) {
+    return getStorageDriver(getGroupDriver(group));
   }
 
   generateFilename(originalName) {
@@ -43,20 +58,94 @@ class UploadService {
   }
 
   /**
-   * Upload a file
+   * SHA-256 of a file, hex
+   */
+  async checksum(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+  }
+
+  /**
+   * Scan a file for malware; infected files are moved to quarantine and rejected
+   * @returns {Promise<string>} scan_status: 'clean', or 'unscanned' when scanning is
+   *   disabled or the file is above the scanner's size limit
+   */
+  async scan(file, group, ownerId) {
+    const scanner = getScanner();
+
+    if (!scanner || file.size > scanner.maxSize) {
+      return 'unscanned';
+    }
+
+    let verdict;
+
+    try {
+      verdict = await scanner.scan(file.path);
+    } catch (error) {
+      logger.error({ err: error, scanner: scanner.name }, 'Malware scan failed');
+      throw new ApiError(
+        StatusCodes.SERVICE_UNAVAILABLE,
+        'File could not be scanned, please try again later'
+      );
+    }
+
+    if (verdict.infected) {
+      await this.quarantine(file, { group, ownerId, signature: verdict.signature });
+      throw new BadRequestError('File rejected by the malware scan');
+    }
+
+    return 'clean';
+  }
+
+  /**
+   * Move an infected file out of reach (UPLOAD_QUARANTINE_PATH), next to a JSON file with
+   * its details; quarantined files are never served and must be reviewed by hand
+   */
+  async quarantine(file, details) {
+    const dir = path.join(process.cwd(), env.UPLOAD_QUARANTINE_PATH);
+    // No extension, so the file cannot be opened by accident
+    const target = path.join(dir, path.parse(this.generateFilename(file.originalname)).name);
+
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    try {
+      await fs.promises.rename(file.path, target);
+    } catch (error) {
+      // Temp folder on another device
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(file.path, target);
+      await fs.promises.unlink(file.path);
+    }
+
+    const record = {
+      ...details,
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      quarantinedAt: new Date().toISOString(),
+    };
+    await fs.promises.writeFile(`${target}.json`, JSON.stringify(record, null, 2));
+
+    logger.warn({ ...record, path: target }, 'Quarantined infected upload');
+  }
+
+  /**
+   * Upload a file and record it in the files table
    * @param {object} file - Multer file object
-   * @param {string} group - Upload group (creates folder: uploads/group/)
-   * @param {object} options - Optional settings
-   * @returns {Promise<object>} Upload result
+   * @param {string} group - Upload group (key prefix: group/filename)
+   * @param {object} options - { ownerId, checksum (SHA-256 hex, when already computed) } plus
+   *   provider options (passed to Cloudinary)
+   * @returns {Promise<object>} Upload result, with the file record `id`, `checksum` and, for
+   *   processed images, `width`, `height` and `variants` ({ name: { key, url, width, ... } })
    *
    * @example
-   * const result = await uploadService.upload(req.file, 'products');
+   * const result = await uploadService.upload(req.file, 'products', { ownerId: req.user.id });
    */
   async upload(file, group = 'general', options = {}) {
     if (!file) throw new Error('No file provided');
 
     const config = getGroupConfig(group);
-    const _fileType = detectFileType(file.mimetype);
 
     // Validate type
     if (config.types && !config.types.includes(file.mimetype)) {
@@ -70,17 +159,119 @@ class UploadService {
       throw new Error(`File too large. Max: ${(config.maxSize / 1024 / 1024).toFixed(1)}MB`);
     }
 
+    const { ownerId = null, checksum: knownChecksum, ...providerOptions } = options;
+    const driver = this.driverFor(group);
+    const visibility = visibilityOf(group);
+    const rendered = [];
+
     try {
-      if (this.isCloudinary) {
-        return await this.uploadToCloudinary(file, group, options);
+      // Validate content: the declared type must match the file's bytes
+      if (!isContentAllowed(file.mimetype, await readFileHead(file.path))) {
+        throw new BadRequestError('File content does not match its type');
       }
-      return await this.uploadToLocal(file, group);
+
+      const scanStatus = await this.scan(file, group, ownerId);
+
+      // Processed images are re-encoded, so a checksum computed beforehand no longer applies
+      const image = ImageService.shouldProcess(file.mimetype, config)
+        ? await ImageService.prepare(file, config)
+        : null;
+      const checksum = (!image && knownChecksum) || (await this.checksum(file.path));
+
+      if (image && config.variants && !driver.transformsImages) {
+        rendered.push(...(await ImageService.createVariants(file.path, config.variants)));
+      }
+
+      const stored = await driver.put(
+        file.path,
+        `${group}/${this.generateFilename(file.originalname)}`,
+        { visibility, mimetype: file.mimetype, checksum, providerOptions }
+      );
+      this.cleanup(file.path);
+
+      const variants = await this.storeVariants(driver, stored.key, rendered, visibility);
+
+      const result = {
+        success: true,
+        // Private files get a signed URL that expires; request a new one with getSignedUrl
+        url:
+          visibility === 'private'
+            ? driver.getSignedUrl(stored.key, {
+                visibility,
+                mimetype: file.mimetype,
+                originalName: file.originalname,
+              })
+            : stored.url,
+        key: stored.key,
+        filename: path.basename(stored.key),
+        originalName: file.originalname,
+        size: stored.size,
+        mimetype: file.mimetype,
+        type: detectFileType(file.mimetype),
+        ...(image && { width: image.width, height: image.height }),
+        variants: Object.fromEntries(
+          variants.map(({ name, ...variant }) => [
+            name,
+            {
+              ...variant,
+              url:
+                visibility === 'private'
+                  ? driver.getSignedUrl(variant.key, { visibility, mimetype: variant.mimetype })
+                  : variant.url,
+            },
+          ])
+        ),
+        group,
+        visibility,
+        storage: driver.name,
+        scanStatus,
+      };
+
+      return await this.saveRecord(result, checksum, ownerId, variants);
     } catch (error) {
       this.cleanup(file.path);
+      rendered.forEach((variant) => this.cleanup(variant.path));
       throw error;
     }
   }
 
+  /**
+   * Store rendered image variants next to their original ("group/<name>_<variant>.<ext>");
+   * if one fails, the original and the stored variants are removed
+   * @returns {Promise<object[]>} { name, key, url, mimetype, width, height, size }
+   */
+  async storeVariants(driver, originalKey, rendered, visibility) {
+    const { dir, name: stem } = path.posix.parse(originalKey);
+    const stored = [];
+
+    try {
+      for (const variant of rendered) {
+        const result = await driver.put(
+          variant.path,
+          `${dir}/${stem}_${variant.name}.${variant.extension}`,
+          { visibility, mimetype: variant.mimetype }
+        );
+
+        stored.push({
+          name: variant.name,
+          key: result.key,
+          url: result.url,
+          mimetype: variant.mimetype,
+          width: variant.width,
+          height: variant.height,
+          size: result.size,
+        });
+      }
+    } catch (error) {
+      for (const { key } of [...stored, { key: originalKey }]) {
+        await driver.delete(key, { visibility }).catch(() => {});
+      }
+      throw error;
+    }
+
+    return stored;
+  }
+
   /**
    * Upload multiple files
    */
@@ -88,71 +279,153 @@ class UploadService {
     return Promise.all(files.map((f) => this.upload(f, group, options)));
   }
 
-  async uploadToLocal(file, group) {
-    const groupDir = path.join(this.baseDir, group);
-    this.ensureDir(groupDir);
+  /**
+   * Record a stored file and its variants; the files are removed again if the record
+   * cannot be written
+   */
+  async saveRecord(result, checksum, ownerId, variants = []) {
+    try {
+      const record = await FileModel.create({
+        user_id: ownerId,
+        group: result.group,
+        driver: result.storage,
+        key: result.key,
+        url: result.visibility === 'public' ? result.url : null,
+        original_name: result.originalName?.slice(0, 255),
+        size: result.size,
+        mimetype: result.mimetype,
+        checksum,
+        visibility: result.visibility,
+        scan_status: result.scanStatus,
+      });
 
-    const filename = this.generateFilename(file.originalname);
-    const filePath = path.join(groupDir, filename);
+      await FileModel.saveVariants(
+        record.id,
+        variants.map((variant) => ({
+          ...variant,
+          url: result.visibility === 'public' ? variant.url : null,
+        }))
+      );
 
-    fs.renameSync(file.path, filePath);
+      return { ...result, id: record.id, checksum };
+    } catch (error) {
+      const driver = getStorageDriver(result.storage);
 
-    return {
-      success: true,
-      url: `/${env.UPLOAD_LOCAL_PATH || 'uploads'}/${group}/${filename}`,
-      filename,
-      originalName: file.originalname,
-      size: file.size,
-      mimetype: file.mimetype,
-      type: detectFileType(file.mimetype),
-      group,
-      storage: 'local',
-    };
+      for (const variant of variants) {
+        await driver.delete(variant.key, { visibility: result.visibility }).catch(() => {});
+      }
+      await this.delete(result.key, result.group, { driver: result.storage }).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Get a temporary URL for a private file
+   * @param {string} key - File key from the upload result
+   * @param {object} options - { expiresIn (seconds), group and driver (default: from the
+   *   key's group), mimetype and originalName (Cloudinary) }
+   * @returns {string} URL valid until it expires (relative to the API host for local files)
+   */
+  getSignedUrl(key, options = {}) {
+    const group = options.group || key.split('/')[0];
+    const driver = getStorageDriver(options.driver || getGroupDriver(group));
+
+    return driver.getSignedUrl(key, { visibility: visibilityOf(group), ...options });
   }
 
-  async uploadToCloudinary(file, group, options = {}) {
-    const folder = `${env.CLOUDINARY_FOLDER || 'uploads'}/${group}`;
+  /**
+   * URL of a file record: the stored URL of public files, a fresh signed URL of private ones
+   */
+  getFileUrl(file, options = {}) {
+    if (file.visibility !== 'private') {
+      return file.url;
+    }
 
-    const result = await cloudinary.v2.uploader.upload(file.path, {
-      folder,
-      resource_type: 'auto',
+    return getStorageDriver(file.driver).getSignedUrl(file.key, {
+      visibility: file.visibility,
+      mimetype: file.mimetype,
+      originalName: file.original_name,
       ...options,
     });
+  }
 
-    this.cleanup(file.path);
-
-    return {
-      success: true,
-      url: result.secure_url,
-      publicId: result.public_id,
-      filename: result.public_id.split('/').pop(),
-      originalName: file.originalname,
-      size: result.bytes,
+  /**
+   * Read a stored file
+   * @param {object} file - File record
+   * @param {object} options - { range: { start, end } (inclusive) }
+   * @returns {Promise<import('stream').Readable>}
+   */
+  getStream(file, options = {}) {
+    return getStorageDriver(file.driver).getStream(file.key, {
+      visibility: file.visibility,
       mimetype: file.mimetype,
-      type: detectFileType(file.mimetype),
-      group,
-      storage: 'cloudinary',
-    };
+      originalName: file.original_name,
+      ...options,
+    });
+  }
+
+  /**
+   * Check the expiry and signature of a signed local URL
+   */
+  verifySignedUrl(key, expires, signature) {
+    return getStorageDriver('local').verifySignedUrl(key, expires, signature);
+  }
+
+  /**
+   * Absolute path of a private local file, or null if the group is not private or the
+   * name is not one this service could have generated (blocks path traversal)
+   */
+  resolvePrivatePath(group, filename) {
+    if (!isPrivateGroup(group) || !SAFE_FILENAME.test(filename)) {
+      return null;
+    }
+
+    const filePath = getStorageDriver('local').resolve(`${group}/${filename}`, 'private');
+
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Key ("group/filename") of a local file from a public URL path, a key, or a file name
+   * within the group
+   */
+  toLocalKey(identifier, group = null) {
+    const publicPrefix = `/${env.UPLOAD_LOCAL_PATH || 'uploads'}/`;
+
+    if (identifier.startsWith(publicPrefix)) {
+      return identifier.slice(publicPrefix.length);
+    }
+
+    return group && !identifier.includes('/') ? `${group}/${identifier}` : identifier;
   }
 
   /**
-   * Delete a file
+   * Delete a file along with its image variants and its record
+   * @param {string} identifier - Key, public URL path or file name within the group (local)
+   * @param {string} group - Upload group
+   * @param {object} options - { driver } when it differs from the group's current driver
    */
-  async delete(identifier, group = null) {
-    if (this.isCloudinary) {
-      const result = await cloudinary.v2.uploader.destroy(identifier);
-      return { success: result.result === 'ok' };
+  async delete(identifier, group = null, options = {}) {
+    const driverName = options.driver || getGroupDriver(group);
+    const key = driverName === 'local' ? this.toLocalKey(identifier, group) : identifier;
+    const record = await FileModel.findByKey(driverName, key);
+    const driver = getStorageDriver(driverName);
+    const visibility = record?.visibility || visibilityOf(group);
+
+    if (record) {
+      for (const variant of await FileModel.getVariants(record.id)) {
+        await driver.delete(variant.key, { visibility, mimetype: variant.mimetype });
+      }
     }
 
-    const filePath = identifier.startsWith('/')
-      ? path.join(process.cwd(), identifier.slice(1))
-      : path.join(this.baseDir, group || '', identifier);
+    const deleted = await driver.delete(key, { visibility, mimetype: record?.mimetype });
 
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      return { success: true };
+    // Variant records go with it (ON DELETE CASCADE)
+    if (record) {
+      await FileModel.delete(record.id);
     }
-    return { success: false, message: 'File not found' };
+
+    return deleted ? { success: true } : { success: false, message: 'File not found' };
   }
 }
 
@@ -161,6 +434,7 @@ export const uploadService = new UploadService();
 
 export const upload = (file, group, opts) => uploadService.upload(file, group, opts);
 export const uploadMany = (files, group, opts) => uploadService.uploadMany(files, group, opts);
-export const deleteFile = (id, group) => uploadService.delete(id, group);
+export const deleteFile = (id, group, opts) => uploadService.delete(id, group, opts);
+export const getSignedUrl = (key, opts) => uploadService.getSignedUrl(key, opts);
 
 export default uploadService;
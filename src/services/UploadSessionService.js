@@ -0,0 +1,355 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { StatusCodes } from 'http-status-codes';
+import { env } from '../config/env.js';
+import { logger } from '../config/logger.js';
+import { getGroupConfig } from '../config/upload.js';
+import { UploadSessionModel } from '../models/UploadSessionModel.js';
+import { uploadService } from './UploadService.js';
+import { AuditService } from './AuditService.js';
+import { ApiError, BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Chunks are kept on local disk until the file is assembled (share it between instances)
+const CHUNK_DIR = path.join(process.cwd(), 'temp', 'uploads');
+
+const sessionDir = (sessionId) => path.join(CHUNK_DIR, sessionId);
+const chunkPath = (sessionId, index) => path.join(sessionDir(sessionId), `${index}.part`);
+
+const nextExpiry = () => new Date(Date.now() + env.UPLOAD_SESSION_TTL_HOURS * HOUR_MS);
+
+/**
+ * Size of a chunk: every chunk is chunk_size bytes except the last one
+ */
+const expectedChunkSize = (session, index) =>
+  index === session.total_chunks - 1
+    ? Number(session.size) - index * session.chunk_size
+    : session.chunk_size;
+
+/**
+ * Pass data through while hashing it and enforcing a maximum length
+ */
+const meter = (maxBytes) => {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        return callback(new BadRequestError(`Chunk is larger than ${maxBytes} bytes`));
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  return { stream, result: () => ({ bytes, checksum: hash.digest('hex') }) };
+};
+
+/**
+ * Upload Session Service
+ * Resumable uploads: create a session, send chunks (in any order, re-sending any that
+ * failed), then complete it to assemble the file and store it through UploadService
+ */
+export class UploadSessionService {
+  /**
+   * Session as returned to the client
+   */
+  static toView(session, chunks) {
+    const received = chunks.map((chunk) => chunk.index);
+    const receivedSet = new Set(received);
+
+    return {
+      id: session.id,
+      group: session.group,
+      filename: session.original_name,
+      mimetype: session.mimetype,
+      size: Number(session.size),
+      chunkSize: session.chunk_size,
+      totalChunks: session.total_chunks,
+      receivedChunks: received,
+      missingChunks: Array.from({ length: session.total_chunks }, (_, index) => index).filter(
+        (index) => !receivedSet.has(index)
+      ),
+      status: session.status,
+      fileId: session.file_id,
+      expiresAt: session.expires_at,
+    };
+  }
+
+  /**
+   * Get a live session of a user or throw
+   */
+  static async findForUser(sessionId, userId) {
+    const session = await UploadSessionModel.findById(sessionId);
+
+    if (!session || session.user_id !== userId || new Date(session.expires_at) < new Date()) {
+      throw new NotFoundError('Upload session not found or expired');
+    }
+
+    return session;
+  }
+
+  /**
+   * Start a resumable upload
+   * @param {object} data - { group, filename, mimetype, size, checksum (optional, SHA-256
+   *   of the whole file) }
+   * @param {object} user - Uploading user
+   */
+  static async create(data, user) {
+    const config = getGroupConfig(data.group);
+
+    if (!config.resumable) {
+      throw new BadRequestError(`Upload group '${data.group}' does not accept resumable uploads`);
+    }
+
+    if (config.types && !config.types.includes(data.mimetype)) {
+      throw new BadRequestError('File type not allowed');
+    }
+
+    if (data.size > config.maxSize) {
+      throw new BadRequestError(
+        `File too large. Max: ${(config.maxSize / 1024 / 1024).toFixed(1)}MB`
+      );
+    }
+
+    const session = await UploadSessionModel.create({
+      user_id: user.id,
+      group: data.group,
+      original_name: data.filename,
+      mimetype: data.mimetype,
+      size: data.size,
+      chunk_size: env.UPLOAD_CHUNK_SIZE,
+      total_chunks: Math.max(1, Math.ceil(data.size / env.UPLOAD_CHUNK_SIZE)),
+      checksum: data.checksum || null,
+      status: 'pending',
+      expires_at: nextExpiry(),
+    });
+
+    return this.toView(session, []);
+  }
+
+  /**
+   * Status of a session: which chunks arrived and which are still missing
+   */
+  static async getStatus(sessionId, user) {
+    const session = await this.findForUser(sessionId, user.id);
+
+    return this.toView(session, await UploadSessionModel.getChunks(sessionId));
+  }
+
+  /**
+   * Store one chunk
+   * @param {number} index - Chunk index (0-based)
+   * @param {import('stream').Readable} body - Raw chunk bytes
+   * @param {string} checksum - SHA-256 (hex) of the chunk, as computed by the client
+   * @param {number} contentLength - Declared length, checked before reading the body
+   */
+  static async receiveChunk(sessionId, index, body, checksum, contentLength, user) {
+    const session = await this.findForUser(sessionId, user.id);
+
+    if (session.status !== 'pending') {
+      throw new ConflictError(`Upload is already ${session.status}`);
+    }
+
+    if (index >= session.total_chunks) {
+      throw new BadRequestError(`Chunk index must be below ${session.total_chunks}`);
+    }
+
+    const expected = expectedChunkSize(session, index);
+
+    if (contentLength !== undefined && contentLength !== expected) {
+      throw new ApiError(StatusCodes.REQUEST_TOO_LONG, `Chunk ${index} must be ${expected} bytes`);
+    }
+
+    await fs.promises.mkdir(sessionDir(sessionId), { recursive: true });
+
+    const target = chunkPath(sessionId, index);
+    const partial = `${target}.${crypto.randomBytes(4).toString('hex')}`;
+    const { stream, result } = meter(expected);
+    let digest;
+
+    try {
+      await pipeline(body, stream, fs.createWriteStream(partial));
+
+      const { bytes, checksum: actual } = result();
+
+      if (bytes !== expected) {
+        throw new BadRequestError(`Chunk ${index} must be ${expected} bytes, got ${bytes}`);
+      }
+
+      if (actual !== checksum.toLowerCase()) {
+        throw new BadRequestError(`Checksum mismatch for chunk ${index}`);
+      }
+
+      await fs.promises.rename(partial, target);
+      digest = actual;
+    } catch (error) {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    }
+
+    // Activity keeps the session alive
+    const expiresAt = nextExpiry();
+    await UploadSessionModel.saveChunk(sessionId, { index, size: expected, checksum: digest });
+    await UploadSessionModel.update(sessionId, { expires_at: expiresAt });
+
+    return this.toView(
+      { ...session, expires_at: expiresAt },
+      await UploadSessionModel.getChunks(sessionId)
+    );
+  }
+
+  /**
+   * Assemble the chunks and store the file with the group's rules
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   * @returns {Promise<object>} { session, file } with the UploadService result
+   */
+  static async complete(sessionId, user, context = {}) {
+    const session = await this.findForUser(sessionId, user.id);
+    const chunks = await UploadSessionModel.getChunks(sessionId);
+
+    if (session.status === 'completed') {
+      throw new ConflictError('Upload is already completed');
+    }
+
+    if (chunks.length !== session.total_chunks) {
+      throw new ApiError(StatusCodes.CONFLICT, 'Upload is missing chunks', {
+        missingChunks: this.toView(session, chunks).missingChunks,
+      });
+    }
+
+    // Only one request may assemble the file
+    if (!(await UploadSessionModel.transition(sessionId, 'pending', { status: 'assembling' }))) {
+      throw new ConflictError('Upload is already being completed');
+    }
+
+    const assembled = path.join(
+      sessionDir(sessionId),
+      `assembled${path.extname(session.original_name)}`
+    );
+    let file;
+
+    try {
+      const checksum = await this.assemble(session, assembled);
+
+      if (session.checksum && checksum !== session.checksum.toLowerCase()) {
+        throw new BadRequestError('Checksum mismatch for the assembled file');
+      }
+
+      file = await uploadService.upload(
+        {
+          path: assembled,
+          originalname: session.original_name,
+          mimetype: session.mimetype,
+          size: Number(session.size),
+        },
+        session.group,
+        { ownerId: user.id, checksum }
+      );
+    } catch (error) {
+      await fs.promises.rm(assembled, { force: true });
+      await UploadSessionModel.transition(sessionId, 'assembling', { status: 'pending' });
+      throw error;
+    }
+
+    const completed = await UploadSessionModel.update(sessionId, {
+      status: 'completed',
+      file_id: file.id,
+      completed_at: new Date(),
+      // Kept a while so a client that lost the response can look up the file
+      expires_at: nextExpiry(),
+    });
+
+    await this.removeChunks(sessionId);
+
+    await AuditService.record(
+      'file.uploaded',
+      {
+        target: { type: 'file', id: file.id },
+        metadata: { group: session.group, size: file.size, resumable: true },
+      },
+      context
+    );
+
+    return { session: this.toView(completed, []), file };
+  }
+
+  /**
+   * Concatenate the chunks in order
+   * @returns {Promise<string>} SHA-256 (hex) of the assembled file
+   */
+  static async assemble(session, target) {
+    const hash = crypto.createHash('sha256');
+    const output = fs.createWriteStream(target);
+
+    try {
+      for (let index = 0; index < session.total_chunks; index++) {
+        for await (const data of fs.createReadStream(chunkPath(session.id, index))) {
+          hash.update(data);
+          if (!output.write(data)) {
+            await new Promise((resolve) => output.once('drain', resolve));
+          }
+        }
+      }
+    } finally {
+      await new Promise((resolve, reject) =>
+        output.end((error) => (error ? reject(error) : resolve()))
+      );
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * Abandon an upload and delete its chunks
+   */
+  static async cancel(sessionId, user) {
+    const session = await this.findForUser(sessionId, user.id);
+
+    if (session.status === 'assembling') {
+      throw new ConflictError('Upload is being completed');
+    }
+
+    await this.removeChunks(sessionId);
+    await UploadSessionModel.delete(sessionId);
+
+    return true;
+  }
+
+  /**
+   * Delete the chunk files and records of a session
+   */
+  static async removeChunks(sessionId) {
+    await fs.promises.rm(sessionDir(sessionId), { recursive: true, force: true });
+    await UploadSessionModel.deleteChunks(sessionId);
+  }
+
+  /**
+   * Delete expired sessions along with their chunks
+   * @returns {Promise<object>} { deletedSessions }
+   */
+  static async cleanupExpired(limit = 100) {
+    const expired = await UploadSessionModel.findExpired(new Date(), limit);
+    let deletedSessions = 0;
+
+    for (const session of expired) {
+      try {
+        await this.removeChunks(session.id);
+        await UploadSessionModel.delete(session.id);
+        deletedSessions++;
+      } catch (error) {
+        logger.error({ err: error, sessionId: session.id }, 'Failed to delete upload session');
+      }
+    }
+
+    return { deletedSessions };
+  }
+}
+
+export default UploadSessionService;
@@ -0,0 +1,240 @@
+import { db } from '../config/database.js';
+import { UserModel } from '../models/UserModel.js';
+import { InvitationModel } from '../models/InvitationModel.js';
+import { AuditService } from './AuditService.js';
+import { InvitationService } from './InvitationService.js';
+import { RoleService } from './RoleService.js';
+import { PasswordPolicyService } from './PasswordPolicyService.js';
+import { userSchemas } from '../validators/schemas.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  ValidationError,
+  isUniqueViolation,
+} from '../utils/errors.js';
+
+// Rows per import; every row with a password costs a hash
+const IMPORT_MAX_ROWS = 1000;
+
+// Rows per INSERT statement
+const INSERT_BATCH_SIZE = 200;
+
+// Columns read from the file; anything else is ignored
+const COLUMNS = ['email', 'password', 'first_name', 'last_name', 'role', 'status'];
+
+// Rows imported as invitations have no password (and no status until they accept)
+const invitationRowSchema = userSchemas.create.omit({ password: true, status: true });
+
+/**
+ * User Import Service
+ * Creates users (or invitations) from a CSV file with a row-level error report
+ */
+export class UserImportService {
+  /**
+   * Import users from CSV
+   * Invalid rows are reported and skipped; valid rows are inserted in one transaction.
+   * With dryRun nothing is written.
+   * @param {string} csv - File content with a header line (email, first_name, last_name,
+   *   and optionally password, role, status)
+   * @param {object} options - { dryRun, invite } where invite turns rows without a
+   *   password into emailed invitations
+   * @param {object} importer - Admin running the import (id, email, first_name, permissions)
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   * @returns {Promise<object>} { dryRun, total, valid, invalid, created, invited, errors }
+   */
+  static async import(csv, options = {}, importer = null, context = {}) {
+    const { dryRun = false, invite = false } = options;
+    const records = parseCsvRecords(csv);
+
+    if (records.length === 0) {
+      throw new BadRequestError('The file has no rows to import');
+    }
+
+    if (records.length > IMPORT_MAX_ROWS) {
+      throw new BadRequestError(`Import at most ${IMPORT_MAX_ROWS} rows per file`);
+    }
+
+    if (!('email' in records[0].values)) {
+      throw new BadRequestError('The file must have a header line with an email column');
+    }
+
+    const { users, invitations, errors } = await this.validate(records, invite, importer);
+    const invalid = new Set(errors.map((error) => error.row)).size;
+
+    const report = {
+      dryRun,
+      total: records.length,
+      valid: users.length + invitations.length,
+      invalid,
+      created: 0,
+      invited: 0,
+      errors,
+    };
+
+    if (dryRun || report.valid === 0) {
+      return report;
+    }
+
+    const { created, invited } = await this.insert(users, invitations, importer);
+
+    await AuditService.recordMany(
+      'user.created',
+      created.map((user) => ({
+        target: { type: 'user', id: user.id },
+        after: user,
+        metadata: { import: true },
+      })),
+      context
+    );
+
+    await AuditService.recordMany(
+      'invitation.created',
+      invited.map(({ invitation }) => ({
+        target: { type: 'invitation', id: invitation.id },
+        metadata: { email: invitation.email, role: invitation.role, import: true },
+      })),
+      context
+    );
+
+    for (const { invitation, token } of invited) {
+      InvitationService.sendEmail(invitation, token, importer);
+    }
+
+    return { ...report, created: users.length, invited: invitations.length };
+  }
+
+  /**
+   * Validate every row (roles must be assignable by the importer, as in POST /users)
+   * @returns {Promise<object>} { users, invitations, errors } where errors are { row, field, message }
+   */
+  static async validate(records, invite, importer) {
+    const emails = records.map(({ values }) => (values.email || '').toLowerCase());
+    const existing = await UserModel.findExistingEmails(emails);
+    const pending = invite ? await InvitationModel.findPendingEmails(emails) : new Set();
+
+    // Role name -> error message, or null when the importer may assign it
+    const roles = new Map();
+    const roleError = async (name) => {
+      if (!roles.has(name)) {
+        try {
+          await RoleService.assertCanAssignRole(name, importer);
+          roles.set(name, null);
+        } catch (error) {
+          if (!(error instanceof BadRequestError || error instanceof ForbiddenError)) throw error;
+          roles.set(name, error.message);
+        }
+      }
+      return roles.get(name);
+    };
+
+    const seen = new Map();
+    const users = [];
+    const invitations = [];
+    const errors = [];
+
+    for (const { row, values } of records) {
+      // Empty cells count as missing so schema defaults apply
+      const data = Object.fromEntries(
+        COLUMNS.filter((column) => values[column]).map((column) => [column, values[column]])
+      );
+
+      const asInvitation = invite && !data.password;
+      const parsed = (asInvitation ? invitationRowSchema : userSchemas.create).safeParse(data);
+
+      if (!parsed.success) {
+        for (const issue of parsed.error.issues) {
+          errors.push({ row, field: issue.path.join('.'), message: issue.message });
+        }
+        continue;
+      }
+
+      const item = { ...parsed.data, email: parsed.data.email.toLowerCase() };
+      const rowErrors = [];
+
+      if (seen.has(item.email)) {
+        rowErrors.push({ field: 'email', message: `Same email as row ${seen.get(item.email)}` });
+      } else if (existing.has(item.email)) {
+        rowErrors.push({ field: 'email', message: 'User with this email already exists' });
+      } else if (asInvitation && pending.has(item.email)) {
+        rowErrors.push({ field: 'email', message: 'A pending invitation already exists' });
+      }
+
+      const roleMessage = await roleError(item.role);
+      if (roleMessage) {
+        rowErrors.push({ field: 'role', message: roleMessage });
+      }
+
+      if (!asInvitation && rowErrors.length === 0) {
+        try {
+          await PasswordPolicyService.assertAllowed(item.password, item);
+        } catch (error) {
+          if (!(error instanceof ValidationError)) throw error;
+          rowErrors.push(...error.errors.map(({ field, message }) => ({ field, message })));
+        }
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors.map((error) => ({ row, ...error })));
+        continue;
+      }
+
+      seen.set(item.email, row);
+      (asInvitation ? invitations : users).push(item);
+    }
+
+    return { users, invitations, errors };
+  }
+
+  /**
+   * Insert validated users and invitations in batches within one transaction
+   * @returns {Promise<object>} { created, invited: [{ invitation, token }] }
+   */
+  static async insert(users, invitations, importer) {
+    const userRecords = [];
+    for (const { password, ...user } of users) {
+      userRecords.push({
+        ...user,
+        password_hash: await UserModel.hashPassword(password),
+        email_verified_at: null,
+      });
+    }
+
+    const prepared = invitations.map((data) => InvitationService.prepare(data, importer));
+    const tokens = new Map(prepared.map(({ record, token }) => [record.email, token]));
+
+    const created = [];
+    const invited = [];
+
+    try {
+      await db.transaction(async (trx) => {
+        for (let i = 0; i < userRecords.length; i += INSERT_BATCH_SIZE) {
+          created.push(
+            ...(await UserModel.createMany(userRecords.slice(i, i + INSERT_BATCH_SIZE), trx))
+          );
+        }
+
+        for (let i = 0; i < prepared.length; i += INSERT_BATCH_SIZE) {
+          const batch = prepared.slice(i, i + INSERT_BATCH_SIZE).map(({ record }) => record);
+          const rows = await InvitationModel.createMany(batch, trx);
+
+          invited.push(
+            ...rows.map((invitation) => ({ invitation, token: tokens.get(invitation.email) }))
+          );
+        }
+      });
+    } catch (error) {
+      // Another request took one of the emails after validation
+      if (isUniqueViolation(error)) {
+        throw new ConflictError('Some emails were registered during the import; run it again');
+      }
+
+      throw error;
+    }
+
+    return { created, invited };
+  }
+}
+
+export default UserImportService;
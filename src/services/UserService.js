@@ -1,5 +1,89 @@
+import { db } from '../config/database.js';
 import { UserModel } from '../models/UserModel.js';
-import { NotFoundError, ConflictError, ForbiddenError } from '../utils/errors.js';
+import { AccountLockoutService } from './AccountLockoutService.js';
+import { RoleService } from './RoleService.js';
+import { SessionService } from './SessionService.js';
+import { AuditService } from './AuditService.js';
+import { PasswordPolicyService } from './PasswordPolicyService.js';
+import { DEFAULT_ROLE } from '../config/permissions.js';
+import {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+  isUniqueViolation,
+} from '../utils/errors.js';
+
+// Most users a single bulk request may touch
+const BULK_LIMIT = 5000;
+
+// Rows per UPDATE statement inside the bulk transaction
+const BULK_CHUNK_SIZE = 500;
+
+/**
+ * Bulk actions: required permission, audit action and the columns they set
+ * Audit actions match the single-user endpoints so the trail reads the same
+ */
+const BULK_ACTIONS = {
+  activate: {
+    permission: 'users:update',
+    audit: 'user.activated',
+    changes: () => ({ status: 'active' }),
+  },
+  deactivate: {
+    permission: 'users:update',
+    audit: 'user.deactivated',
+    changes: () => ({ status: 'inactive' }),
+    revokesSessions: true,
+  },
+  suspend: {
+    permission: 'users:update',
+    audit: 'user.suspended',
+    changes: () => ({ status: 'suspended' }),
+    revokesSessions: true,
+  },
+  set_role: {
+    permission: 'users:assign_role',
+    audit: 'user.role_changed',
+    changes: ({ role }) => ({ role }),
+    revokesSessions: true,
+  },
+  delete: {
+    permission: 'users:delete',
+    audit: 'user.deleted',
+    changes: () => ({ deleted_at: new Date() }),
+    revokesSessions: true,
+  },
+  restore: {
+    permission: 'users:restore',
+    audit: 'user.restored',
+    changes: () => ({ deleted_at: null }),
+  },
+};
+
+/**
+ * Why a user is left alone by a bulk action, or null if it applies
+ */
+const getBulkSkipReason = (user, action, changes, actorId) => {
+  if (user.anonymized_at) return 'anonymized';
+  if (String(user.id) === String(actorId)) return 'own_account';
+  if (action === 'restore') return user.deleted_at ? null : 'not_deleted';
+  if (user.deleted_at) return 'deleted';
+  if (action === 'delete') return null;
+
+  const unchanged = Object.entries(changes).every(([key, value]) => user[key] === value);
+  return unchanged ? 'unchanged' : null;
+};
+
+/**
+ * Date range filter for applyFilters (either bound optional)
+ */
+const toDateRange = (from, to) => {
+  if (from && to) return { op: 'between', val: [from, to] };
+  if (from) return { op: 'gte', val: from };
+  if (to) return { op: 'lte', val: to };
+  return undefined;
+};
 
 /**
  * User Management Service
@@ -27,8 +111,11 @@ export class UserService {
 
   /**
    * Create a new user
+   * @param {object} data - User data
+   * @param {object} requestingUser - User creating the account ({ permissions })
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
    */
-  static async create(data) {
+  static async create(data, requestingUser, context = {}) {
     const { email } = data;
 
     // Check if user already exists
@@ -37,92 +124,328 @@ export class UserService {
       throw new ConflictError('User with this email already exists');
     }
 
-    return UserModel.create({
+    await RoleService.assertCanAssignRole(data.role || DEFAULT_ROLE, requestingUser);
+
+    await PasswordPolicyService.assertAllowed(data.password, data);
+
+    const user = await UserModel.create({
       ...data,
       email: email.toLowerCase(),
       status: data.status || 'active',
     });
+
+    await AuditService.record(
+      'user.created',
+      { target: { type: 'user', id: user.id }, after: user },
+      context
+    );
+
+    return user;
   }
 
   /**
    * Update user
    */
-  static async update(userId, data) {
+  static async update(userId, data, context = {}) {
+    const user = await this.updateAndAudit(userId, data, 'user.updated', context);
+
+    if (data.status && data.status !== 'active') {
+      await SessionService.revokeAll(userId);
+    }
+
+    return user;
+  }
+
+  /**
+   * Apply an update and record it in the audit log under the given action
+   */
+  static async updateAndAudit(userId, data, action, context = {}) {
     // Check if email is being changed
     if (data.email) {
-      const existingUser = await UserModel.findByEmail(data.email);
-      if (existingUser && existingUser.id !== userId) {
+      if (await UserModel.emailExists(data.email, userId)) {
         throw new ConflictError('User with this email already exists');
       }
       data.email = data.email.toLowerCase();
     }
 
-    const user = await UserModel.update(userId, data);
+    if (data.role) {
+      await RoleService.assertRoleExists(data.role);
+    }
+
+    const before = await UserModel.findById(userId);
+
+    if (!before) {
+      throw new NotFoundError('User not found');
+    }
+
+    const secrets = data.password ? await UserModel.findByIdWithSecrets(userId) : null;
+
+    if (secrets) {
+      await PasswordPolicyService.assertAllowed(data.password, { ...secrets, ...data });
+    }
+
+    let user;
+    try {
+      user = await UserModel.update(userId, data);
+    } catch (error) {
+      // Another request took the email between the check and the update
+      if (isUniqueViolation(error)) {
+        throw new ConflictError('User with this email already exists');
+      }
+
+      throw error;
+    }
 
     if (!user) {
       throw new NotFoundError('User not found');
     }
 
+    if (secrets) {
+      await PasswordPolicyService.recordChange(userId, secrets.password_hash);
+    }
+
+    await AuditService.record(
+      action,
+      { target: { type: 'user', id: userId }, before, after: user },
+      context
+    );
+
     return user;
   }
 
   /**
    * Delete user (soft delete)
    */
-  static async delete(requestingUser, userId) {
+  static async delete(requestingUser, userId, context = {}) {
     // Prevent self-deletion
     if (requestingUser && requestingUser.id === userId) {
       throw new ForbiddenError('Cannot delete your own account');
     }
 
-    const deleted = await UserModel.delete(userId);
+    const before = await UserModel.findById(userId);
+    const deleted = before ? await UserModel.delete(userId) : false;
 
     if (!deleted) {
       throw new NotFoundError('User not found');
     }
 
+    await SessionService.revokeAll(userId);
+
+    await AuditService.record(
+      'user.deleted',
+      { target: { type: 'user', id: userId }, before },
+      context
+    );
+
     return true;
   }
 
   /**
    * Restore deleted user
    */
-  static async restore(userId) {
-    const user = await UserModel.restore(userId);
+  static async restore(userId, context = {}) {
+    const existing = await UserModel.findByIdWithTrashed(userId);
+
+    if (existing?.anonymized_at) {
+      throw new ConflictError('Anonymized users cannot be restored');
+    }
+
+    const user = existing ? await UserModel.restore(userId) : null;
 
     if (!user) {
       throw new NotFoundError('User not found');
     }
 
+    await AuditService.record(
+      'user.restored',
+      { target: { type: 'user', id: userId }, after: user },
+      context
+    );
+
     return user;
   }
 
   /**
-   * Update user role
+   * Update user role (signs the user out so new tokens carry the new role)
+   * @param {object} requestingUser - Admin changing the role (id, permissions)
    */
-  static async updateRole(userId, role) {
-    return this.update(userId, { role });
+  static async updateRole(requestingUser, userId, role, context = {}) {
+    // Prevent self-promotion
+    if (requestingUser.id === userId) {
+      throw new ForbiddenError('Cannot change your own role');
+    }
+
+    await RoleService.assertCanAssignRole(role, requestingUser);
+
+    const user = await this.updateAndAudit(userId, { role }, 'user.role_changed', context);
+    await SessionService.revokeAll(userId);
+
+    return user;
   }
 
   /**
    * Activate user
    */
-  static async activate(userId) {
-    return this.update(userId, { status: 'active' });
+  static async activate(userId, context = {}) {
+    return this.updateAndAudit(userId, { status: 'active' }, 'user.activated', context);
+  }
+
+  /**
+   * Deactivate user (and sign them out everywhere)
+   */
+  static async deactivate(userId, context = {}) {
+    const user = await this.updateAndAudit(
+      userId,
+      { status: 'inactive' },
+      'user.deactivated',
+      context
+    );
+    await SessionService.revokeAll(userId);
+
+    return user;
   }
 
   /**
-   * Deactivate user
+   * Suspend user (and sign them out everywhere)
    */
-  static async deactivate(userId) {
-    return this.update(userId, { status: 'inactive' });
+  static async suspend(userId, context = {}) {
+    const user = await this.updateAndAudit(
+      userId,
+      { status: 'suspended' },
+      'user.suspended',
+      context
+    );
+    await SessionService.revokeAll(userId);
+
+    return user;
   }
 
   /**
-   * Suspend user
+   * Apply a status change, role change, delete or restore to many users at once
+   * All updates run in one transaction. With dryRun nothing is written and the report
+   * previews which users would be affected.
+   * @param {object} data - { action, role, ids } or { action, role, filter: { search, status,
+   *   role, created_after, created_before } }, plus dry_run
+   * @param {object} requestingUser - Admin running the action (id, permissions)
+   * @param {object} context - Request context (actorId, requestId, ip, userAgent)
+   * @returns {Promise<object>} { action, dryRun, matched, affected, skipped, results }
    */
-  static async suspend(userId) {
-    return this.update(userId, { status: 'suspended' });
+  static async bulk(data, requestingUser, context = {}) {
+    const { action, ids, filter = {}, dry_run: dryRun = false } = data;
+    const definition = BULK_ACTIONS[action];
+
+    if (!requestingUser.permissions?.includes(definition.permission)) {
+      throw new ForbiddenError('Insufficient permissions');
+    }
+
+    if (action === 'set_role') {
+      await RoleService.assertCanAssignRole(data.role, requestingUser);
+    }
+
+    const selection = ids
+      ? { ids }
+      : {
+          search: filter.search,
+          trashed: action === 'restore',
+          filters: {
+            status: filter.status,
+            role: filter.role,
+            created_at: toDateRange(filter.created_after, filter.created_before),
+          },
+        };
+
+    // One extra row tells an oversized filter apart from one that fits exactly
+    const users = await UserModel.findForBulk(selection, BULK_LIMIT + 1);
+
+    if (users.length > BULK_LIMIT) {
+      throw new BadRequestError(
+        `The filter matches more than ${BULK_LIMIT} users; narrow it or run it in batches`
+      );
+    }
+
+    const changes = definition.changes(data);
+    const results = [];
+    const affected = [];
+
+    for (const user of users) {
+      const reason = getBulkSkipReason(user, action, changes, requestingUser.id);
+
+      if (reason) {
+        results.push({ id: user.id, email: user.email, outcome: 'skipped', reason });
+      } else {
+        results.push({
+          id: user.id,
+          email: user.email,
+          outcome: dryRun ? 'would_update' : 'updated',
+        });
+        affected.push(user);
+      }
+    }
+
+    if (ids) {
+      const found = new Set(users.map((user) => String(user.id)));
+      for (const id of ids.filter((id) => !found.has(String(id)))) {
+        results.push({ id, email: null, outcome: 'skipped', reason: 'not_found' });
+      }
+    }
+
+    if (!dryRun && affected.length > 0) {
+      const now = new Date();
+
+      await db.transaction(async (trx) => {
+        for (let i = 0; i < affected.length; i += BULK_CHUNK_SIZE) {
+          const chunkIds = affected.slice(i, i + BULK_CHUNK_SIZE).map((user) => user.id);
+
+          await trx('users')
+            .whereIn('id', chunkIds)
+            .update({ ...changes, updated_at: now });
+
+          if (definition.revokesSessions) {
+            await SessionService.revokeAllForUsers(chunkIds, trx);
+          }
+        }
+      });
+
+      await AuditService.recordMany(
+        definition.audit,
+        affected.map((user) => ({
+          target: { type: 'user', id: user.id },
+          before: user,
+          after: { ...user, ...changes },
+          metadata: { bulk: true },
+        })),
+        context
+      );
+    }
+
+    return {
+      action,
+      dryRun,
+      matched: users.length,
+      affected: affected.length,
+      skipped: results.length - affected.length,
+      results,
+    };
+  }
+
+  /**
+   * Unlock an account locked after failed logins
+   */
+  static async unlock(userId, context = {}) {
+    const before = await UserModel.findById(userId);
+    const user = before ? await AccountLockoutService.unlock(userId) : null;
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    await AuditService.record(
+      'user.unlocked',
+      { target: { type: 'user', id: userId }, before, after: user },
+      context
+    );
+
+    return user;
   }
 }
 
@@ -1,2 +1,20 @@
 export * from './AuthService.js';
 export * from './UserService.js';
+export * from './SessionService.js';
+export * from './TwoFactorService.js';
+export * from './AccountLockoutService.js';
+export * from './RoleService.js';
+export * from './AuditService.js';
+export * from './ApiKeyService.js';
+export * from './OAuthService.js';
+export * from './PasswordPolicyService.js';
+export * from './DataExportService.js';
+export * from './AccountDeletionService.js';
+export * from './InvitationService.js';
+export * from './ImpersonationService.js';
+export * from './UserExportService.js';
+export * from './UserImportService.js';
+export * from './ProfileService.js';
+export * from './FileService.js';
+export * from './UploadSessionService.js';
+export * from './ImageService.js';
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import net from 'net';
+import { once } from 'events';
+
+// Bytes sent per INSTREAM chunk
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * ClamAV Scanner
+ * Streams files to a clamd daemon (TCP or Unix socket) with the INSTREAM command
+ * clamd rejects streams above its StreamMaxLength (25MB by default); keep maxSize at or
+ * below it
+ */
+export class ClamAVScanner {
+  /**
+   * @param {object} options - { host, port, socket (Unix socket path, instead of host/port),
+   *   timeout (ms), maxSize (bytes) }
+   */
+  constructor(options) {
+    this.name = 'clamav';
+    this.options = options;
+    this.maxSize = options.maxSize;
+  }
+
+  connect() {
+    const { socket, host, port, timeout } = this.options;
+
+    return new Promise((resolve, reject) => {
+      const connection = net.connect(socket ? { path: socket } : { host, port });
+
+      connection.setTimeout(timeout, () =>
+        connection.destroy(new Error('ClamAV did not answer in time'))
+      );
+      connection.once('connect', () => resolve(connection));
+      connection.once('error', reject);
+    });
+  }
+
+  /**
+   * Read clamd's reply until it closes the connection
+   */
+  readReply(connection) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+
+      connection.on('data', (data) => chunks.push(data));
+      connection.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      connection.on('error', reject);
+    });
+  }
+
+  /**
+   * @returns {Promise<object>} { infected, signature (name of the detected malware) }
+   * @throws When clamd is unreachable or reports an error
+   */
+  async scan(filePath) {
+    const connection = await this.connect();
+
+    try {
+      const reply = this.readReply(connection);
+
+      connection.write('zINSTREAM\0');
+
+      for await (const chunk of fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE })) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+
+        if (!connection.write(Buffer.concat([length, chunk]))) {
+          await once(connection, 'drain');
+        }
+      }
+
+      // A zero-length chunk ends the stream
+      connection.end(Buffer.alloc(4));
+
+      return ClamAVScanner.parseReply(await reply);
+    } finally {
+      connection.destroy();
+    }
+  }
+
+  /**
+   * Parse "stream: OK" or "stream: <signature> FOUND"
+   */
+  static parseReply(reply) {
+    const result = reply.replace(/\0/g, '').trim();
+    const found = result.match(/^stream: (.+) FOUND$/);
+
+    if (found) {
+      return { infected: true, signature: found[1] };
+    }
+
+    if (result === 'stream: OK') {
+      return { infected: false, signature: null };
+    }
+
+    throw new Error(`ClamAV scan failed: ${result || 'no reply'}`);
+  }
+}
+
+export default ClamAVScanner;
@@ -0,0 +1,46 @@
+import { env } from '../../config/env.js';
+import { ClamAVScanner } from './ClamAVScanner.js';
+
+/**
+ * Malware scanners
+ * Every scanner implements:
+ *   scan(filePath) → { infected, signature }; throws when the file could not be scanned
+ *   maxSize: largest file it accepts in bytes (larger files are stored unscanned)
+ */
+const factories = {
+  none: () => null,
+
+  clamav: () =>
+    new ClamAVScanner({
+      host: env.CLAMAV_HOST,
+      port: env.CLAMAV_PORT,
+      socket: env.CLAMAV_SOCKET,
+      timeout: env.CLAMAV_TIMEOUT_MS,
+      maxSize: env.UPLOAD_SCAN_MAX_SIZE,
+    }),
+};
+
+let scanner;
+
+/**
+ * Get the configured scanner (UPLOAD_SCANNER), or null when scanning is disabled
+ */
+export const getScanner = () => {
+  if (scanner === undefined) {
+    scanner = factories[env.UPLOAD_SCANNER]();
+  }
+
+  return scanner;
+};
+
+/**
+ * Replace the configured scanner, e.g. with another engine or a fake in tests
+ * @param {object|null} replacement - Scanner, or null to disable scanning
+ */
+export const setScanner = (replacement) => {
+  scanner = replacement;
+};
+
+export { ClamAVScanner };
+
+export default getScanner;
@@ -0,0 +1,142 @@
+import cloudinary from 'cloudinary';
+import path from 'path';
+import { Readable } from 'stream';
+
+// Cloudinary stores PDFs as images; other non-media files are raw assets
+const resourceTypeOf = (mimetype = '') => {
+  if (mimetype.startsWith('image/') || mimetype === 'application/pdf') return 'image';
+  if (mimetype.startsWith('video/') || mimetype.startsWith('audio/')) return 'video';
+  return 'raw';
+};
+
+// Private files are "authenticated" assets, only delivered through signed URLs
+const deliveryType = (visibility) => (visibility === 'private' ? 'authenticated' : 'upload');
+
+/**
+ * Cloudinary Storage Driver
+ * Cloudinary picks the public ID, so the stored key is the public ID rather than the
+ * key passed to put() (its folder is kept)
+ */
+export class CloudinaryStorageDriver {
+  /**
+   * @param {object} options - { cloudName, apiKey, apiSecret, folder, signedUrlTtl }
+   */
+  constructor(options) {
+    this.name = 'cloudinary';
+    this.options = options;
+    // Images are resized on delivery (URL transformations), so no variants are stored
+    this.transformsImages = true;
+
+    cloudinary.v2.config({
+      cloud_name: options.cloudName,
+      api_key: options.apiKey,
+      api_secret: options.apiSecret,
+    });
+  }
+
+  /**
+   * @param {object} options - { visibility, providerOptions (Cloudinary upload options) }
+   */
+  async put(sourcePath, key, options = {}) {
+    const result = await cloudinary.v2.uploader.upload(sourcePath, {
+      folder: `${this.options.folder}/${path.dirname(key)}`,
+      resource_type: 'auto',
+      type: deliveryType(options.visibility),
+      ...options.providerOptions,
+    });
+
+    return {
+      key: result.public_id,
+      url: options.visibility === 'private' ? null : result.secure_url,
+      size: result.bytes,
+    };
+  }
+
+  /**
+   * @param {object} options - { visibility, mimetype, originalName, range: { start, end } }
+   */
+  async getStream(key, options = {}) {
+    const { range } = options;
+    const response = await fetch(this.getSignedUrl(key, options), {
+      headers: range ? { Range: `bytes=${range.start}-${range.end ?? ''}` } : {},
+    });
+
+    if (!response.ok) {
+      throw new Error(`Cloudinary download of ${key} failed with status ${response.status}`);
+    }
+
+    return Readable.fromWeb(response.body);
+  }
+
+  async delete(key, options = {}) {
+    const result = await cloudinary.v2.uploader.destroy(key, {
+      type: deliveryType(options.visibility),
+      resource_type: resourceTypeOf(options.mimetype),
+    });
+
+    return result.result === 'ok';
+  }
+
+  async exists(key, options = {}) {
+    try {
+      await cloudinary.v2.api.resource(key, {
+        type: deliveryType(options.visibility),
+        resource_type: resourceTypeOf(options.mimetype),
+      });
+      return true;
+    } catch (error) {
+      if (error.error?.http_code === 404) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Expiring download URL (any visibility)
+   * @param {object} options - { expiresIn, visibility, mimetype, originalName }
+   */
+  getSignedUrl(key, options = {}) {
+    const expires =
+      Math.floor(Date.now() / 1000) + (options.expiresIn || this.options.signedUrlTtl);
+
+    return cloudinary.v2.utils.private_download_url(
+      key,
+      path.extname(options.originalName || '').slice(1) || undefined,
+      {
+        type: deliveryType(options.visibility),
+        resource_type: resourceTypeOf(options.mimetype),
+        expires_at: expires,
+      }
+    );
+  }
+
+  /**
+   * List stored files in batches
+   * @yields {object[]} { key, modifiedAt }
+   */
+  async *list(batchSize = 500) {
+    const lists = ['upload', 'authenticated'].flatMap((type) =>
+      ['image', 'video', 'raw'].map((resourceType) => ({ type, resourceType }))
+    );
+
+    for (const { type, resourceType } of lists) {
+      let cursor;
+      do {
+        const page = await cloudinary.v2.api.resources({
+          type,
+          resource_type: resourceType,
+          prefix: `${this.options.folder}/`,
+          max_results: Math.min(batchSize, 500),
+          next_cursor: cursor,
+        });
+
+        yield page.resources.map((resource) => ({
+          key: resource.public_id,
+          modifiedAt: new Date(resource.created_at),
+        }));
+        cursor = page.next_cursor;
+      } while (cursor);
+    }
+  }
+}
+
+export default CloudinaryStorageDriver;
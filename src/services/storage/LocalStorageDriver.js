@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import { signKey, verifyKeySignature } from '../../utils/signedUrl.js';
+
+/**
+ * Local Storage Driver
+ * Public files live in a folder served statically; private files in a separate folder
+ * that is only served by GET /files/private/... with a signed URL or authorization
+ */
+export class LocalStorageDriver {
+  /**
+   * @param {object} options - { publicDir, privateDir, publicPath (URL prefix of public
+   *   files), privatePath (URL prefix of the private file route), signingSecret, signedUrlTtl }
+   */
+  constructor(options) {
+    this.name = 'local';
+    this.options = options;
+  }
+
+  /**
+   * Absolute path of a key; keys may not leave their folder
+   */
+  resolve(key, visibility = 'public') {
+    const root = visibility === 'private' ? this.options.privateDir : this.options.publicDir;
+    const filePath = path.join(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid file key');
+    }
+
+    return filePath;
+  }
+
+  async put(sourcePath, key, options = {}) {
+    const filePath = this.resolve(key, options.visibility);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await fs.promises.rename(sourcePath, filePath);
+    } catch (error) {
+      // Temp folder on another device
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(sourcePath, filePath);
+      await fs.promises.unlink(sourcePath);
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+
+    return {
+      key,
+      url: options.visibility === 'private' ? null : `${this.options.publicPath}/${key}`,
+      size,
+    };
+  }
+
+  /**
+   * @param {object} options - { visibility, range: { start, end } (inclusive) }
+   */
+  async getStream(key, options = {}) {
+    const filePath = this.resolve(key, options.visibility);
+    await fs.promises.access(filePath);
+
+    return fs.createReadStream(filePath, options.range);
+  }
+
+  async delete(key, options = {}) {
+    const filePath = this.resolve(key, options.visibility);
+
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async exists(key, options = {}) {
+    return fs.existsSync(this.resolve(key, options.visibility));
+  }
+
+  /**
+   * Signed URL of the private file route (public files just get their URL)
+   */
+  getSignedUrl(key, options = {}) {
+    if (options.visibility !== 'private') {
+      return `${this.options.publicPath}/${key}`;
+    }
+
+    const expires =
+      Math.floor(Date.now() / 1000) + (options.expiresIn || this.options.signedUrlTtl);
+    const signature = signKey(key, expires, this.options.signingSecret);
+
+    return `${this.options.privatePath}/${key}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check the expiry and signature of a signed URL
+   */
+  verifySignedUrl(key, expires, signature) {
+    return verifyKeySignature(key, expires, signature, this.options.signingSecret);
+  }
+
+  /**
+   * List stored files in batches
+   * @yields {object[]} { key, modifiedAt }
+   */
+  async *list(batchSize = 500) {
+    for (const root of [this.options.publicDir, this.options.privateDir]) {
+      if (!fs.existsSync(root)) continue;
+
+      for (const group of await fs.promises.readdir(root, { withFileTypes: true })) {
+        if (!group.isDirectory()) continue;
+
+        const names = await fs.promises.readdir(path.join(root, group.name));
+        for (let i = 0; i < names.length; i += batchSize) {
+          const batch = [];
+
+          for (const name of names.slice(i, i + batchSize)) {
+            const stat = await fs.promises.stat(path.join(root, group.name, name));
+            if (stat.isFile()) {
+              batch.push({ key: `${group.name}/${name}`, modifiedAt: stat.mtime });
+            }
+          }
+
+          yield batch;
+        }
+      }
+    }
+  }
+}
+
+export default LocalStorageDriver;
@@ -0,0 +1,215 @@
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import {
+  signRequest,
+  presignUrl,
+  encodeKey,
+  uriEncode,
+  UNSIGNED_PAYLOAD,
+} from '../../utils/awsSigV4.js';
+
+// Presigned URLs are valid for at most 7 days
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+const readBody = async (response) => {
+  const chunks = [];
+  for await (const chunk of response) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const decodeXml = (value) =>
+  value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+/**
+ * S3 Storage Driver
+ * Any S3-compatible object storage: AWS S3, MinIO, Cloudflare R2, Backblaze B2...
+ * Every object is private in the bucket; public groups link to S3_PUBLIC_URL, which the
+ * bucket policy (or a CDN) must allow anonymous reads on
+ */
+export class S3StorageDriver {
+  /**
+   * @param {object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey,
+   *   forcePathStyle, publicUrl, signedUrlTtl }
+   */
+  constructor(options) {
+    this.name = 's3';
+    this.options = options;
+    this.credentials = {
+      region: options.region,
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+    };
+
+    const endpoint = new URL(options.endpoint || `https://s3.${options.region}.amazonaws.com`);
+    // Path style (endpoint/bucket/key) for MinIO; virtual-hosted (bucket.endpoint/key) for AWS
+    this.bucketUrl = options.forcePathStyle
+      ? `${endpoint.origin}/${uriEncode(options.bucket)}`
+      : `${endpoint.protocol}//${options.bucket}.${endpoint.host}`;
+  }
+
+  objectUrl(key) {
+    return new URL(`${this.bucketUrl}/${encodeKey(key)}`);
+  }
+
+  publicUrl(key) {
+    const base = this.options.publicUrl || this.bucketUrl;
+    return `${base.replace(/\/$/, '')}/${encodeKey(key)}`;
+  }
+
+  /**
+   * Send a signed request
+   * @param {object} options - { headers, body (stream), payloadHash }
+   * @returns {Promise<http.IncomingMessage>} Response (body not consumed)
+   */
+  request(method, url, options = {}) {
+    const headers = signRequest(
+      { method, url, headers: options.headers, payloadHash: options.payloadHash },
+      this.credentials
+    );
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, { method, headers }, resolve);
+      req.on('error', reject);
+
+      if (options.body) {
+        options.body.on('error', reject);
+        options.body.pipe(req);
+      } else {
+        req.end();
+      }
+    });
+  }
+
+  /**
+   * Error of a failed response, with the S3 error code
+   */
+  async failure(response, action, key) {
+    const code = xmlValue(await readBody(response), 'Code');
+    return new Error(`S3 ${action} of ${key} failed: ${response.statusCode} ${code || ''}`.trim());
+  }
+
+  /**
+   * @param {object} options - { visibility, mimetype, checksum (SHA-256 hex of the file,
+   *   sent as the payload hash so S3 verifies the upload) }
+   */
+  async put(sourcePath, key, options = {}) {
+    const { size } = await fs.promises.stat(sourcePath);
+
+    const response = await this.request('PUT', this.objectUrl(key), {
+      headers: {
+        'content-type': options.mimetype || 'application/octet-stream',
+        'content-length': size,
+      },
+      body: fs.createReadStream(sourcePath),
+      payloadHash: options.checksum || UNSIGNED_PAYLOAD,
+    });
+
+    if (response.statusCode !== 200) {
+      throw await this.failure(response, 'upload', key);
+    }
+
+    response.resume();
+    await fs.promises.unlink(sourcePath);
+
+    return { key, url: options.visibility === 'private' ? null : this.publicUrl(key), size };
+  }
+
+  /**
+   * @param {object} options - { range: { start, end } (inclusive) }
+   */
+  async getStream(key, options = {}) {
+    const { range } = options;
+    const response = await this.request('GET', this.objectUrl(key), {
+      headers: range ? { range: `bytes=${range.start}-${range.end ?? ''}` } : {},
+    });
+
+    if (response.statusCode !== 200 && response.statusCode !== 206) {
+      throw await this.failure(response, 'download', key);
+    }
+
+    return response;
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', this.objectUrl(key));
+
+    if (response.statusCode !== 204 && response.statusCode !== 200) {
+      throw await this.failure(response, 'delete', key);
+    }
+
+    response.resume();
+    return true;
+  }
+
+  async exists(key) {
+    const response = await this.request('HEAD', this.objectUrl(key));
+    response.resume();
+
+    if (response.statusCode === 404) return false;
+    if (response.statusCode !== 200) {
+      throw new Error(`S3 lookup of ${key} failed: ${response.statusCode}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Presigned GET URL of a private object (public objects get their public URL)
+   * @param {object} options - { expiresIn, visibility }
+   */
+  getSignedUrl(key, options = {}) {
+    if (options.visibility !== 'private') {
+      return this.publicUrl(key);
+    }
+
+    const expiresIn = Math.min(options.expiresIn || this.options.signedUrlTtl, MAX_PRESIGN_SECONDS);
+
+    return presignUrl({ method: 'GET', url: this.objectUrl(key) }, this.credentials, expiresIn);
+  }
+
+  /**
+   * List stored objects in batches (ListObjectsV2)
+   * @yields {object[]} { key, modifiedAt }
+   */
+  async *list(batchSize = 1000) {
+    let token = null;
+
+    do {
+      const url = new URL(`${this.bucketUrl}/`);
+      url.searchParams.set('list-type', '2');
+      url.searchParams.set('max-keys', String(Math.min(batchSize, 1000)));
+      if (token) url.searchParams.set('continuation-token', token);
+
+      const response = await this.request('GET', url);
+
+      if (response.statusCode !== 200) {
+        throw await this.failure(response, 'listing', this.options.bucket);
+      }
+
+      const xml = await readBody(response);
+      const objects = xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || [];
+
+      yield objects.map((object) => ({
+        key: xmlValue(object, 'Key'),
+        modifiedAt: new Date(xmlValue(object, 'LastModified')),
+      }));
+
+      token =
+        xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+    } while (token);
+  }
+}
+
+export default S3StorageDriver;
@@ -0,0 +1,72 @@
+import path from 'path';
+import { env } from '../../config/env.js';
+import { LocalStorageDriver } from './LocalStorageDriver.js';
+import { CloudinaryStorageDriver } from './CloudinaryStorageDriver.js';
+import { S3StorageDriver } from './S3StorageDriver.js';
+
+/**
+ * Storage drivers
+ * Every driver implements:
+ *   put(sourcePath, key, { visibility, mimetype, checksum, providerOptions })
+ *     → { key, url (null if private), size }; moves the file out of sourcePath
+ *   getStream(key, { visibility, mimetype, originalName, range }) → Readable
+ *   delete(key, { visibility, mimetype }) → boolean
+ *   exists(key, { visibility, mimetype }) → boolean
+ *   getSignedUrl(key, { visibility, expiresIn, mimetype, originalName }) → string
+ *   list() → async iterator of [{ key, modifiedAt }] batches
+ * Keys are "group/filename"; drivers that pick their own key (Cloudinary) return it from put()
+ * Drivers that resize images themselves set `transformsImages` (no variants are stored)
+ */
+const factories = {
+  local: () =>
+    new LocalStorageDriver({
+      publicDir: path.join(process.cwd(), env.UPLOAD_LOCAL_PATH || 'uploads'),
+      privateDir: path.join(process.cwd(), env.UPLOAD_PRIVATE_PATH),
+      publicPath: `/${env.UPLOAD_LOCAL_PATH || 'uploads'}`,
+      privatePath: `/api/${env.API_VERSION}/files/private`,
+      signingSecret: env.UPLOAD_SIGNING_SECRET || env.JWT_SECRET,
+      signedUrlTtl: env.UPLOAD_SIGNED_URL_TTL,
+    }),
+
+  cloudinary: () =>
+    new CloudinaryStorageDriver({
+      cloudName: env.CLOUDINARY_CLOUD_NAME,
+      apiKey: env.CLOUDINARY_API_KEY,
+      apiSecret: env.CLOUDINARY_API_SECRET,
+      folder: env.CLOUDINARY_FOLDER || 'uploads',
+      signedUrlTtl: env.UPLOAD_SIGNED_URL_TTL,
+    }),
+
+  s3: () =>
+    new S3StorageDriver({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION,
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: env.S3_PUBLIC_URL,
+      signedUrlTtl: env.UPLOAD_SIGNED_URL_TTL,
+    }),
+};
+
+const drivers = new Map();
+
+/**
+ * Get a storage driver by name (created on first use)
+ */
+export const getStorageDriver = (name) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!drivers.has(name)) {
+    drivers.set(name, factories[name]());
+  }
+
+  return drivers.get(name);
+};
+
+export { LocalStorageDriver, CloudinaryStorageDriver, S3StorageDriver };
+
+export default getStorageDriver;
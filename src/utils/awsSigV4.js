@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+
+/**
+ * AWS Signature Version 4 for S3-compatible object storage (AWS S3, MinIO, R2...)
+ * https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-authenticating-requests.html
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+// Payload hash of requests whose body is not signed (streamed uploads, presigned URLs)
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * RFC 3986 encoding (encodeURIComponent leaves !'()* alone)
+ */
+export const uriEncode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+/**
+ * Encode an object key for a URL path, keeping the slashes
+ */
+export const encodeKey = (key) => key.split('/').map(uriEncode).join('/');
+
+/**
+ * 20130524T000000Z
+ */
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const canonicalQuery = (searchParams) =>
+  [...searchParams]
+    .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : a < b ? -1 : 1))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+/**
+ * Signature of a canonical request
+ * @param {object} params - { method, url (URL with an already encoded pathname), headers
+ *   (lowercase names, values to sign), payloadHash, region, service, secretAccessKey,
+ *   amzDate }
+ */
+const sign = ({ method, url, headers, payloadHash, region, service, secretAccessKey, amzDate }) => {
+  const names = Object.keys(headers).sort();
+  const scope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery(url.searchParams),
+    names.map((name) => `${name}:${String(headers[name]).trim()}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  let key = hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8));
+  for (const part of [region, service, 'aws4_request']) {
+    key = hmac(key, part);
+  }
+
+  return {
+    scope,
+    signedHeaders: names.join(';'),
+    signature: crypto.createHmac('sha256', key).update(stringToSign).digest('hex'),
+  };
+};
+
+/**
+ * Headers that authenticate a request
+ * @param {object} request - { method, url, headers, payloadHash }
+ * @param {object} credentials - { region, service, accessKeyId, secretAccessKey }
+ * @param {Date} date - Signing time
+ * @returns {object} Request headers plus host, x-amz-date, x-amz-content-sha256 and
+ *   authorization
+ */
+export const signRequest = (request, credentials, date = new Date()) => {
+  const { method, url, payloadHash = UNSIGNED_PAYLOAD } = request;
+  const amzDate = toAmzDate(date);
+
+  const headers = {
+    ...Object.fromEntries(
+      Object.entries(request.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    ),
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash,
+  };
+
+  const { scope, signedHeaders, signature } = sign({
+    method,
+    url,
+    headers,
+    payloadHash,
+    amzDate,
+    service: 's3',
+    ...credentials,
+  });
+
+  return {
+    ...headers,
+    authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+/**
+ * Presigned URL: anyone holding it can perform the request until it expires
+ * @param {object} request - { method, url }
+ * @param {object} credentials - { region, service, accessKeyId, secretAccessKey }
+ * @param {number} expiresIn - Seconds (at most 7 days)
+ * @param {Date} date - Signing time
+ * @returns {string} URL
+ */
+export const presignUrl = (request, credentials, expiresIn, date = new Date()) => {
+  const url = new URL(request.url);
+  const amzDate = toAmzDate(date);
+  const service = credentials.service || 's3';
+  const scope = `${amzDate.slice(0, 8)}/${credentials.region}/${service}/aws4_request`;
+
+  url.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+  url.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${scope}`);
+  url.searchParams.set('X-Amz-Date', amzDate);
+  url.searchParams.set('X-Amz-Expires', String(expiresIn));
+  url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const { signature } = sign({
+    method: request.method,
+    url,
+    headers: { host: url.host },
+    payloadHash: UNSIGNED_PAYLOAD,
+    amzDate,
+    service,
+    ...credentials,
+  });
+
+  return `${url.origin}${url.pathname}?${canonicalQuery(url.searchParams)}&X-Amz-Signature=${signature}`;
+};
+
+export default { signRequest, presignUrl, uriEncode, encodeKey, UNSIGNED_PAYLOAD };
@@ -0,0 +1,98 @@
+/**
+ * CSV helpers (RFC 4180)
+ */
+
+// Leading characters that make spreadsheets evaluate a cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format one value as a CSV field
+ * Dates become ISO strings; text that would run as a spreadsheet formula is prefixed
+ * with a quote so exports cannot inject formulas
+ */
+export const formatCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a list of values as a CSV line (with trailing CRLF)
+ */
+export const toCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields with commas, escaped quotes and line breaks; skips blank lines
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows, each with its fields
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Byte order mark from Excel
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV with a header line into objects keyed by (trimmed, lowercased) column name
+ * @returns {object[]} { row, values } per record; row counts the header as 1, like a spreadsheet
+ */
+export const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+
+  return rows.map((fields, index) => ({
+    row: index + 2,
+    values: Object.fromEntries(columns.map((column, i) => [column, fields[i]?.trim() ?? ''])),
+  }));
+};
+
+export default { formatCsvValue, toCsvRow, parseCsv, parseCsvRecords };
@@ -87,6 +87,12 @@ export class InternalError extends ApiError {
   }
 }
 
+/**
+ * Whether a database error is a unique constraint violation (PostgreSQL or MySQL)
+ */
+export const isUniqueViolation = (error) =>
+  error?.code === '23505' || error?.code === 'ER_DUP_ENTRY';
+
 export default {
   ApiError,
   BadRequestError,
@@ -0,0 +1,173 @@
+import fs from 'fs';
+
+/**
+ * File type detection from content (magic bytes)
+ * The client-supplied MIME type is only a claim; these checks make sure the bytes agree
+ */
+
+// Bytes read from the start of a file for detection
+export const SNIFF_BYTES = 512;
+
+const startsWith = (head, bytes, offset = 0) =>
+  head.length >= offset + bytes.length && bytes.every((byte, i) => head[offset + i] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Brands of the ISO base media "ftyp" box that are not MP4 video
+const FTYP_BRANDS = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  'qt  ': 'video/quicktime',
+  'M4A ': 'audio/mp4',
+};
+
+// Checked in order; the first match wins
+const SIGNATURES = [
+  { type: 'image/jpeg', match: (head) => startsWith(head, [0xff, 0xd8, 0xff]) },
+  {
+    type: 'image/png',
+    match: (head) => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    type: 'image/gif',
+    match: (head) => startsWith(head, ascii('GIF87a')) || startsWith(head, ascii('GIF89a')),
+  },
+  {
+    type: 'image/webp',
+    match: (head) => startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WEBP'), 8),
+  },
+  { type: 'application/pdf', match: (head) => startsWith(head, ascii('%PDF-')) },
+  {
+    type: 'application/zip',
+    match: (head) =>
+      startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06]),
+  },
+  // OLE compound file: .doc, .xls, .ppt
+  {
+    type: 'application/x-cfb',
+    match: (head) => startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  },
+  {
+    type: 'video/mpeg',
+    match: (head) =>
+      startsWith(head, [0x00, 0x00, 0x01, 0xba]) || startsWith(head, [0x00, 0x00, 0x01, 0xb3]),
+  },
+  { type: 'video/webm', match: (head) => startsWith(head, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { type: 'audio/mpeg', match: (head) => startsWith(head, ascii('ID3')) },
+  { type: 'application/gzip', match: (head) => startsWith(head, [0x1f, 0x8b]) },
+  { type: 'application/x-msdownload', match: (head) => startsWith(head, ascii('MZ')) },
+  { type: 'application/x-executable', match: (head) => startsWith(head, [0x7f, ...ascii('ELF')]) },
+  {
+    type: 'application/x-mach-binary',
+    match: (head) =>
+      [
+        [0xfe, 0xed, 0xfa, 0xce],
+        [0xfe, 0xed, 0xfa, 0xcf],
+        [0xce, 0xfa, 0xed, 0xfe],
+        [0xcf, 0xfa, 0xed, 0xfe],
+      ].some((magic) => startsWith(head, magic)),
+  },
+];
+
+// Declared types whose content is detected as another (container) type
+const COMPATIBLE_TYPES = {
+  'application/msword': ['application/x-cfb'],
+  'application/vnd.ms-excel': ['application/x-cfb'],
+  'application/vnd.ms-powerpoint': ['application/x-cfb'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['application/zip'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['application/zip'],
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['application/zip'],
+  'application/x-zip-compressed': ['application/zip'],
+  'application/x-gzip': ['application/gzip'],
+  'image/jpg': ['image/jpeg'],
+  'video/x-matroska': ['video/webm'],
+  'audio/mp3': ['audio/mpeg'],
+};
+
+// Declared types that are plain text (browsers send application/vnd.ms-excel for CSV files)
+const TEXT_TYPES = new Set([
+  'application/csv',
+  'application/json',
+  'application/xml',
+  'application/vnd.ms-excel',
+]);
+
+const EXECUTABLE_TYPES = new Set([
+  'application/x-msdownload',
+  'application/x-executable',
+  'application/x-mach-binary',
+]);
+
+// Declared types with a known signature: their content must match it
+const SIGNED_TYPES = new Set([
+  ...SIGNATURES.map((signature) => signature.type),
+  ...Object.values(FTYP_BRANDS),
+  'video/mp4',
+  ...Object.keys(COMPATIBLE_TYPES).filter((type) => !TEXT_TYPES.has(type)),
+]);
+
+/**
+ * Detect the type of a file from its first bytes
+ * @param {Buffer} head - Start of the file (SNIFF_BYTES is enough)
+ * @returns {string|null} MIME type, or null when no known signature matches
+ */
+export const detectMimeType = (head) => {
+  // ISO base media (MP4, MOV, AVIF, HEIC): size, "ftyp", major brand
+  if (startsWith(head, ascii('ftyp'), 4) && head.length >= 12) {
+    const brand = head.subarray(8, 12).toString('latin1');
+    return FTYP_BRANDS[brand] || 'video/mp4';
+  }
+
+  return SIGNATURES.find((signature) => signature.match(head))?.type || null;
+};
+
+/**
+ * Whether the start of a file looks like text (no NUL bytes, UTF-16 with a byte order mark)
+ */
+export const looksLikeText = (head) =>
+  startsWith(head, [0xff, 0xfe]) || startsWith(head, [0xfe, 0xff]) || !head.includes(0);
+
+/**
+ * Whether a file's content agrees with its declared MIME type
+ * - types with a known signature must match it (an .exe renamed to .png is rejected)
+ * - text types must not be binary
+ * - other types are accepted unless the content is an executable
+ * @param {string} declared - MIME type claimed by the client
+ * @param {Buffer} head - Start of the file
+ * @returns {boolean}
+ */
+export const isContentAllowed = (declared, head) => {
+  const detected = detectMimeType(head);
+
+  if (detected && (detected === declared || COMPATIBLE_TYPES[declared]?.includes(detected))) {
+    return true;
+  }
+
+  if (declared.startsWith('text/') || TEXT_TYPES.has(declared)) {
+    return !detected && looksLikeText(head);
+  }
+
+  if (SIGNED_TYPES.has(declared)) {
+    return false;
+  }
+
+  return !EXECUTABLE_TYPES.has(detected);
+};
+
+/**
+ * Read the first bytes of a file
+ * @returns {Promise<Buffer>}
+ */
+export const readFileHead = async (filePath, length = SNIFF_BYTES) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
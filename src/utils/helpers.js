@@ -104,6 +104,23 @@ export const parseBoolean = (value) => {
   return Boolean(value);
 };
 
+/**
+ * Parse a duration like '15m', '7d' or a number of seconds (jsonwebtoken's expiresIn format)
+ * @returns {number} Milliseconds
+ */
+export const parseDuration = (value) => {
+  if (typeof value === 'number') return value * 1000;
+
+  const match = /^(\d+)\s*(ms|s|m|h|d|w)?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+  // Like jsonwebtoken (ms), a unitless string is milliseconds
+  return parseInt(match[1]) * units[(match[2] || 'ms').toLowerCase()];
+};
+
 /**
  * Parse pagination parameters
  */
@@ -180,6 +197,7 @@ export default {
   deepMerge,
   slugify,
   parseBoolean,
+  parseDuration,
   parsePagination,
   parseSort,
   maskSensitiveData,
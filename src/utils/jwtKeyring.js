@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * JWT signing keyring (RS256 / ES256)
+ * Keys are PEM files named `<kid>.pem`. Kids start with a UTC timestamp, so the
+ * newest key sorts last; it signs new tokens unless another kid is pinned.
+ * Every key in the ring verifies tokens and is published in the JWKS. Pending keys
+ * (`<kid>.pending.pem`) are published ahead of time but never picked for signing.
+ */
+
+export const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+// File suffix of keys published but not yet signing
+export const PENDING_KEY_SUFFIX = '.pending.pem';
+
+/**
+ * Signing algorithm for a private or public key
+ * @returns {string|null} 'RS256', 'ES256' or null if unsupported
+ */
+export const getKeyAlgorithm = (key) => {
+  if (key.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  return null;
+};
+
+/**
+ * Create a kid that sorts by creation time (e.g. 20261019T090000Z-1a2b3c)
+ */
+export const createKid = (date = new Date()) => {
+  const timestamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+  return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+};
+
+/**
+ * Creation time encoded in a kid (null for kids not created by createKid)
+ */
+export const getKidDate = (kid) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z/.exec(kid);
+
+  return match
+    ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]))
+    : null;
+};
+
+/**
+ * Generate a private key in PKCS#8 PEM format
+ */
+export const generatePrivateKeyPem = (algorithm) => {
+  const options = { privateKeyEncoding: { type: 'pkcs8', format: 'pem' } };
+  const publicKeyEncoding = { type: 'spki', format: 'pem' };
+
+  if (algorithm === 'RS256') {
+    return crypto.generateKeyPairSync('rsa', { modulusLength: 2048, publicKeyEncoding, ...options })
+      .privateKey;
+  }
+
+  if (algorithm === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', publicKeyEncoding, ...options })
+      .privateKey;
+  }
+
+  throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+};
+
+export class JwtKeyring {
+  /**
+   * @param {Array<{kid: string, pem: string, pending: boolean}>} entries - Private keys
+   * @param {string|null} activeKid - Kid used for signing (defaults to the newest key
+   *   that is not pending)
+   */
+  constructor(entries = [], activeKid = null) {
+    this.keys = new Map();
+
+    const sorted = [...entries].sort((a, b) => a.kid.localeCompare(b.kid));
+
+    for (const { kid, pem, pending = false } of sorted) {
+      const privateKey = crypto.createPrivateKey(pem);
+      const alg = getKeyAlgorithm(privateKey);
+
+      if (!alg) {
+        throw new Error(`JWT key '${kid}' must be an RSA or P-256 EC key`);
+      }
+
+      this.keys.set(kid, {
+        kid,
+        alg,
+        pending,
+        privateKey,
+        publicKey: crypto.createPublicKey(privateKey),
+      });
+    }
+
+    const signable = [...this.keys.values()].filter((key) => !key.pending);
+    this.activeKid = activeKid || signable.pop()?.kid || null;
+
+    if (this.activeKid && !this.keys.has(this.activeKid)) {
+      throw new Error(`Active JWT key '${this.activeKid}' was not found in the keyring`);
+    }
+  }
+
+  /**
+   * Load every `<kid>.pem` and `<kid>.pending.pem` in a directory
+   */
+  static fromDirectory(dir, activeKid = null) {
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((f) => f.endsWith('.pem')) : [];
+
+    const entries = files.map((file) => {
+      const pending = file.endsWith(PENDING_KEY_SUFFIX);
+
+      return {
+        kid: path.basename(file, pending ? PENDING_KEY_SUFFIX : '.pem'),
+        pem: fs.readFileSync(path.join(dir, file), 'utf8'),
+        pending,
+      };
+    });
+
+    return new JwtKeyring(entries, activeKid);
+  }
+
+  get size() {
+    return this.keys.size;
+  }
+
+  /**
+   * Key used to sign new tokens
+   */
+  getSigningKey() {
+    return this.activeKid ? this.keys.get(this.activeKid) : null;
+  }
+
+  /**
+   * Key for a token's `kid` header (null if unknown or already removed)
+   */
+  getVerificationKey(kid) {
+    return (kid && this.keys.get(kid)) || null;
+  }
+
+  /**
+   * Public keys as a JSON Web Key Set
+   */
+  toJwks() {
+    return {
+      keys: [...this.keys.values()].map(({ kid, alg, publicKey }) => ({
+        ...publicKey.export({ format: 'jwk' }),
+        kid,
+        alg,
+        use: 'sig',
+      })),
+    };
+  }
+}
+
+export default JwtKeyring;
@@ -12,6 +12,9 @@ export const HashAlgorithms = {
   ARGON2: 'argon2', // Note: requires argon2 package to be installed
 };
 
+// Parameters used by the argon2 package when no options are given
+const ARGON2_DEFAULTS = { type: 'argon2id', memoryCost: 65536, timeCost: 3, parallelism: 4 };
+
 /**
  * Password Hasher Service
  * Supports multiple hashing algorithms configurable via environment
@@ -99,6 +102,99 @@ class PasswordHasher {
     return this.algorithm;
   }
 
+  /**
+   * Algorithm and cost parameters encoded in a hash
+   * @param {string} hash - Hashed password
+   * @returns {object} { algorithm, params } - algorithm is 'unknown' for unrecognised formats
+   */
+  getHashInfo(hash) {
+    const parts = (hash || '').split('$');
+
+    const bcryptMatch = /^\$2[aby]\$(\d{2})\$/.exec(hash || '');
+    if (bcryptMatch) {
+      return { algorithm: HashAlgorithms.BCRYPT, params: { rounds: Number(bcryptMatch[1]) } };
+    }
+
+    // $scrypt$salt$hash
+    if (parts[1] === 'scrypt' && parts.length === 4) {
+      return {
+        algorithm: HashAlgorithms.SCRYPT,
+        params: { keyLength: parts[3].length / 2, saltLength: parts[2].length / 2 },
+      };
+    }
+
+    // $pbkdf2$iterations$salt$hash
+    if (parts[1] === 'pbkdf2' && parts.length === 5) {
+      return {
+        algorithm: HashAlgorithms.PBKDF2,
+        params: {
+          iterations: Number(parts[2]),
+          keyLength: parts[4].length / 2,
+          saltLength: parts[3].length / 2,
+        },
+      };
+    }
+
+    // $argon2id$v=19$m=65536,t=3,p=4$salt$hash
+    if (parts[1]?.startsWith('argon2') && parts.length === 6) {
+      const options = Object.fromEntries(parts[3].split(',').map((pair) => pair.split('=')));
+
+      return {
+        algorithm: HashAlgorithms.ARGON2,
+        params: {
+          type: parts[1],
+          memoryCost: Number(options.m),
+          timeCost: Number(options.t),
+          parallelism: Number(options.p),
+        },
+      };
+    }
+
+    return { algorithm: 'unknown', params: {} };
+  }
+
+  /**
+   * Cost parameters new hashes are created with
+   */
+  getCurrentParams() {
+    switch (this.algorithm.toLowerCase()) {
+      case HashAlgorithms.BCRYPT:
+        return { rounds: this.rounds };
+
+      case HashAlgorithms.SCRYPT:
+        return { keyLength: this.keyLength, saltLength: this.saltLength };
+
+      case HashAlgorithms.PBKDF2:
+        return {
+          iterations: this.rounds * 1000,
+          keyLength: this.keyLength,
+          saltLength: this.saltLength,
+        };
+
+      case HashAlgorithms.ARGON2:
+        return { ...ARGON2_DEFAULTS };
+
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Whether a hash was made with a different algorithm or cost than the current config
+   * Call after a successful verify and store a fresh hash of the password if true
+   * @param {string} hash - Hashed password
+   * @returns {boolean}
+   */
+  needsRehash(hash) {
+    const { algorithm, params } = this.getHashInfo(hash);
+
+    if (algorithm !== this.algorithm.toLowerCase()) {
+      return true;
+    }
+
+    return Object.entries(this.getCurrentParams()).some(([key, value]) => params[key] !== value);
+  }
+
   // ==================== BCRYPT ====================
 
   /**
@@ -146,7 +242,8 @@ class PasswordHasher {
         const salt = parts[2];
         const originalHash = parts[3];
 
-        crypto.scrypt(password, salt, this.keyLength, (err, derivedKey) => {
+        // Use the stored key length so hashes survive HASH_KEY_LENGTH changes
+        crypto.scrypt(password, salt, originalHash.length / 2, (err, derivedKey) => {
           if (err) reject(err);
           resolve(derivedKey.toString('hex') === originalHash);
         });
@@ -189,7 +286,9 @@ class PasswordHasher {
         const salt = parts[3];
         const originalHash = parts[4];
 
-        crypto.pbkdf2(password, salt, iterations, this.keyLength, 'sha512', (err, derivedKey) => {
+        const keyLength = originalHash.length / 2;
+
+        crypto.pbkdf2(password, salt, iterations, keyLength, 'sha512', (err, derivedKey) => {
           if (err) reject(err);
           resolve(derivedKey.toString('hex') === originalHash);
         });
@@ -0,0 +1,109 @@
+/**
+ * Password policy checks
+ * Pure functions: the policy (including the blocklist) is passed in, so they can be
+ * used without loading the environment.
+ */
+
+// Shortest email local part / name that is worth checking for
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+
+/**
+ * Lowercase a password and strip the digits/symbols people add around a common word
+ * ("Summer2024!" -> "summer")
+ */
+export const getBaseWord = (password) =>
+  password
+    .toLowerCase()
+    .replace(/^[^a-z]+/, '')
+    .replace(/[^a-z]+$/, '');
+
+/**
+ * Parse a blocklist file (one password per line, # comments allowed)
+ * @returns {Set<string>} Lowercased passwords
+ */
+export const parseBlocklist = (content) =>
+  new Set(
+    content
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter((line) => line && !line.startsWith('#'))
+  );
+
+/**
+ * Personal values a password should not contain (email local part and its pieces, names)
+ */
+const getPersonalTokens = ({ email, firstName, lastName } = {}) => {
+  const local = email ? email.split('@')[0].toLowerCase() : '';
+
+  const tokens = [local, ...local.split(/[^a-z0-9]+/), firstName, lastName]
+    .filter(Boolean)
+    .map((token) => String(token).toLowerCase())
+    .filter((token) => token.length >= MIN_PERSONAL_TOKEN_LENGTH);
+
+  return [...new Set(tokens)];
+};
+
+/**
+ * Check a password against a policy
+ * @param {string} password - Candidate password
+ * @param {object} policy - { minLength, maxLength, requireUppercase, requireLowercase,
+ *   requireDigit, requireSymbol, blocklist: Set<string>|null }
+ * @param {object} userInputs - { email, firstName, lastName } for the similarity check
+ * @returns {Array<object>} Violations as { field, message, code } (empty when allowed)
+ */
+export const checkPasswordPolicy = (password, policy, userInputs = {}, field = 'password') => {
+  const violations = [];
+  const add = (code, message) => violations.push({ field, message, code });
+  const lowered = password.toLowerCase();
+
+  if (password.length < policy.minLength) {
+    add('too_short', `Password must be at least ${policy.minLength} characters`);
+  }
+
+  if (password.length > policy.maxLength) {
+    add('too_long', `Password must be at most ${policy.maxLength} characters`);
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    add('missing_uppercase', 'Password must contain an uppercase letter');
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    add('missing_lowercase', 'Password must contain a lowercase letter');
+  }
+
+  if (policy.requireDigit && !/\d/.test(password)) {
+    add('missing_digit', 'Password must contain a digit');
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    add('missing_symbol', 'Password must contain a symbol');
+  }
+
+  if (
+    policy.blocklist &&
+    (policy.blocklist.has(lowered) || policy.blocklist.has(getBaseWord(password)))
+  ) {
+    add('common', 'This password is too common or has appeared in a data breach');
+  }
+
+  if (getPersonalTokens(userInputs).some((token) => lowered.includes(token))) {
+    add('similar_to_personal_info', 'Password must not contain your name or email address');
+  }
+
+  return violations;
+};
+
+/**
+ * Requirements of a policy, for clients that render them next to the password field
+ */
+export const describePasswordPolicy = (policy) => ({
+  minLength: policy.minLength,
+  maxLength: policy.maxLength,
+  requireUppercase: policy.requireUppercase,
+  requireLowercase: policy.requireLowercase,
+  requireDigit: policy.requireDigit,
+  requireSymbol: policy.requireSymbol,
+  blockCommon: !!policy.blocklist,
+  historySize: policy.historySize,
+});
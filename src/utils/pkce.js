@@ -0,0 +1,25 @@
+import crypto from 'crypto';
+
+/**
+ * PKCE (RFC 7636) helpers
+ */
+
+/**
+ * Derive the S256 code challenge for a verifier
+ */
+export const createCodeChallenge = (verifier) => {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+};
+
+/**
+ * Generate a code verifier and its S256 challenge
+ * @returns {{ verifier: string, challenge: string, method: string }}
+ */
+export const createPkcePair = () => {
+  // 32 random bytes -> 43 base64url characters (the RFC minimum)
+  const verifier = crypto.randomBytes(32).toString('base64url');
+
+  return { verifier, challenge: createCodeChallenge(verifier), method: 'S256' };
+};
+
+export default { createCodeChallenge, createPkcePair };
@@ -0,0 +1,14 @@
+/**
+ * Request context passed from controllers to services
+ * (who is acting, from where, as part of which request)
+ */
+export const getRequestContext = (req) => ({
+  actorId: req.user?.id || null,
+  impersonatorId: req.impersonator?.id || null,
+  requestId: req.id || null,
+  ip: req.ip || null,
+  userAgent: req.get('user-agent') || null,
+  deviceName: req.body?.device_name,
+});
+
+export default getRequestContext;
@@ -97,7 +97,7 @@ const generateOperation = (route) => {
 
   // Security
   if (route.auth) {
-    operation.security = [{ BearerAuth: [] }];
+    operation.security = [{ BearerAuth: [] }, { ApiKeyAuth: [] }];
   }
 
   // Parameters
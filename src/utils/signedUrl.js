@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+
+/**
+ * HMAC signatures for expiring file URLs
+ * The signature covers the file key and the expiry, so neither can be changed
+ */
+
+/**
+ * Sign a key until an expiry time
+ * @param {string} key - File key (e.g. "invoices/123-abc.pdf")
+ * @param {number} expires - Unix time (seconds) after which the signature is invalid
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url HMAC-SHA256
+ */
+export const signKey = (key, expires, secret) =>
+  crypto.createHmac('sha256', secret).update(`${key}\n${expires}`).digest('base64url');
+
+/**
+ * Check a signature in constant time
+ * @param {number} now - Current Unix time in seconds
+ * @returns {boolean} true if the signature matches and has not expired
+ */
+export const verifyKeySignature = (key, expires, signature, secret, now = Date.now() / 1000) => {
+  const expiresAt = Number(expires);
+
+  if (!Number.isInteger(expiresAt) || expiresAt < now || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signKey(key, expiresAt, secret));
+  const given = Buffer.from(signature);
+
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+export default { signKey, verifyKeySignature };
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP (RFC 6238) helpers
+ * Pure functions - pass `timestamp` to evaluate codes against a fixed clock
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_DEFAULTS = {
+  step: 30, // seconds
+  digits: 6,
+  algorithm: 'sha1',
+  window: 1, // accept codes one step before/after the current one
+};
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} bytes - Secret length in bytes (20 = 160 bits, as recommended by RFC 4226)
+ */
+export const generateSecret = (bytes = 20) => {
+  return base32Encode(crypto.randomBytes(bytes));
+};
+
+/**
+ * Generate an HOTP code (RFC 4226) for a counter
+ */
+export const generateHotp = (secret, counter, options = {}) => {
+  const { digits = TOTP_DEFAULTS.digits, algorithm = TOTP_DEFAULTS.algorithm } = options;
+
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ */
+export const getTimeStep = (timestamp = Date.now(), step = TOTP_DEFAULTS.step) => {
+  return Math.floor(timestamp / 1000 / step);
+};
+
+/**
+ * Generate a TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {object} options - { timestamp, step, digits, algorithm }
+ */
+export const generateTotp = (secret, options = {}) => {
+  const { timestamp = Date.now(), step = TOTP_DEFAULTS.step } = options;
+
+  return generateHotp(secret, getTimeStep(timestamp, step), options);
+};
+
+/**
+ * Verify a TOTP code within a window of time steps
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} options - { timestamp, step, digits, algorithm, window }
+ * @returns {number|null} Matched time step (store it to prevent replays), or null
+ */
+export const verifyTotp = (secret, code, options = {}) => {
+  const {
+    timestamp = Date.now(),
+    step = TOTP_DEFAULTS.step,
+    digits = TOTP_DEFAULTS.digits,
+    window = TOTP_DEFAULTS.window,
+  } = options;
+
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHotp(secret, currentStep + offset, options);
+
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URL for authenticator apps (rendered as a QR code by the client)
+ */
+export const buildOtpAuthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_DEFAULTS.algorithm.toUpperCase(),
+    digits: String(TOTP_DEFAULTS.digits),
+    period: String(TOTP_DEFAULTS.step),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export default {
+  TOTP_DEFAULTS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+};
@@ -0,0 +1,104 @@
+import { z } from 'zod';
+
+/**
+ * Whether a string is a BCP 47 language tag (e.g. en, pt-BR)
+ */
+export const isValidLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch (_e) {
+    return false;
+  }
+};
+
+/**
+ * Whether a string is an IANA time zone (e.g. Europe/Berlin, UTC)
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch (_e) {
+    return false;
+  }
+};
+
+/**
+ * Merge preference changes into stored preferences over the defaults
+ * Notification settings merge key by key; other values replace
+ */
+export const mergePreferences = (defaults, current, changes = {}) => ({
+  ...defaults,
+  ...current,
+  ...changes,
+  notifications: {
+    ...defaults.notifications,
+    ...current?.notifications,
+    ...changes.notifications,
+  },
+});
+
+/**
+ * Apply metadata changes: null removes a key, anything else sets it
+ * @returns {object|null} Merged metadata, or null when nothing is left
+ */
+export const mergeMetadata = (current, changes) => {
+  const merged = { ...current };
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return Object.keys(merged).length > 0 ? merged : null;
+};
+
+/**
+ * Zod type of a metadata field definition
+ */
+const fieldSchema = (field) => {
+  switch (field.type) {
+    case 'number': {
+      let schema = z.number();
+      if (field.min !== undefined) schema = schema.min(field.min);
+      if (field.max !== undefined) schema = schema.max(field.max);
+      return schema;
+    }
+    case 'boolean':
+      return z.boolean();
+    case 'date':
+      return z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a date (YYYY-MM-DD)');
+    case 'enum':
+      return z.enum(field.values);
+    default:
+      return z.string().max(field.max || 255);
+  }
+};
+
+/**
+ * Build the schema of a metadata update from field definitions
+ * Unknown keys are rejected; null clears a field
+ * @param {object} fields - { name: { type, ... } }
+ * @param {object} options - { userEditableOnly } to keep only fields users may change
+ */
+export const buildMetadataSchema = (fields, options = {}) => {
+  const shape = {};
+
+  for (const [name, field] of Object.entries(fields)) {
+    if (options.userEditableOnly && !field.userEditable) continue;
+    shape[name] = fieldSchema(field).nullable().optional();
+  }
+
+  return z.strictObject(shape);
+};
+
+export default {
+  isValidLocale,
+  isValidTimeZone,
+  mergePreferences,
+  mergeMetadata,
+  buildMetadataSchema,
+};
@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { DEFAULT_PREFERENCES, USER_METADATA_FIELDS } from '../config/userProfile.js';
+import { isValidLocale, isValidTimeZone, buildMetadataSchema } from '../utils/userProfile.js';
 
 /**
  * Common validation schemas
@@ -7,6 +9,12 @@ export const commonSchemas = {
   uuid: z.string().uuid(),
   email: z.string().email(),
   password: z.string().min(8).max(128),
+  roleName: z
+    .string()
+    .regex(/^[a-z][a-z0-9_]{1,49}$/, 'Role name must be lowercase letters, digits or underscores'),
+  permissionName: z
+    .string()
+    .regex(/^[a-z][a-z0-9_]*:[a-z][a-z0-9_]*$/, "Permission name must look like 'resource:action'"),
   pagination: z.object({
     page: z
       .string()
@@ -25,15 +33,16 @@ export const commonSchemas = {
 export const authSchemas = {
   register: z.object({
     email: z.string().email('Invalid email address'),
-    password: z.string().min(8, 'Password must be at least 8 characters'),
+    password: z.string().min(1, 'Password is required'), // Rules enforced by the password policy
     first_name: z.string().min(1, 'First name is required').max(100),
     last_name: z.string().min(1, 'Last name is required').max(100),
-    role: z.enum(['user', 'admin']).optional().default('user'),
+    device_name: z.string().max(100).optional(),
   }),
 
   login: z.object({
     email: z.string().email('Invalid email address'),
     password: z.string().min(1, 'Password is required'),
+    device_name: z.string().max(100).optional(),
   }),
 
   refreshToken: z.object({
@@ -42,23 +51,116 @@ export const authSchemas = {
 
   changePassword: z.object({
     currentPassword: z.string().min(1, 'Current password is required'),
-    newPassword: z.string().min(8, 'New password must be at least 8 characters'),
+    newPassword: z.string().min(1, 'New password is required'), // Rules enforced by the password policy
+  }),
+
+  changeEmail: z.object({
+    email: z.string().email('Invalid email address'),
+    password: z.string().min(1, 'Password is required'),
+  }),
+
+  emailChangeToken: z.object({
+    token: z.string().min(1, 'Token is required'),
   }),
 
   forgotPassword: z.object({
     email: z.string().email('Invalid email address'),
   }),
 
+  magicLink: z.object({
+    email: z.string().email('Invalid email address'),
+    bind_device: z.boolean().optional().default(false),
+  }),
+
+  magicLinkVerify: z.object({
+    token: z.string().min(1, 'Token is required'),
+    device_token: z.string().optional(),
+    device_name: z.string().max(100).optional(),
+  }),
+
+  acceptInvite: z.object({
+    token: z.string().min(1, 'Invitation token is required'),
+    password: z.string().min(1, 'Password is required'), // Rules enforced by the password policy
+    first_name: z.string().min(1).max(100).optional(),
+    last_name: z.string().min(1).max(100).optional(),
+    device_name: z.string().max(100).optional(),
+  }),
+
   resetPassword: z.object({
     token: z.string().min(1, 'Reset token is required'),
-    password: z.string().min(8, 'Password must be at least 8 characters'),
+    password: z.string().min(1, 'Password is required'), // Rules enforced by the password policy
   }),
 
+  // The avatar is managed with PUT/DELETE /auth/me/avatar
   updateProfile: z.object({
     first_name: z.string().min(1).max(100).optional(),
     last_name: z.string().min(1).max(100).optional(),
     phone: z.string().max(20).optional().nullable(),
-    avatar: z.string().url().optional().nullable(),
+    bio: z.string().max(500).optional().nullable(),
+  }),
+
+  updatePreferences: z.strictObject({
+    locale: z.string().max(35).refine(isValidLocale, 'Invalid locale').optional(),
+    timezone: z.string().max(64).refine(isValidTimeZone, 'Invalid time zone').optional(),
+    notifications: z
+      .strictObject(
+        Object.fromEntries(
+          Object.keys(DEFAULT_PREFERENCES.notifications).map((key) => [key, z.boolean()])
+        )
+      )
+      .partial()
+      .optional(),
+  }),
+
+  updateMetadata: buildMetadataSchema(USER_METADATA_FIELDS, { userEditableOnly: true }),
+
+  deleteAccount: z.object({
+    password: z.string().min(1, 'Password is required'),
+  }),
+
+  sessionParams: z.object({
+    id: z.string().uuid('Invalid session ID'),
+  }),
+
+  twoFactorConfirm: z.object({
+    code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits'),
+  }),
+
+  twoFactorVerify: z.object({
+    mfaToken: z.string().min(1, 'Challenge token is required'),
+    code: z.string().optional(),
+    recoveryCode: z.string().optional(),
+    device_name: z.string().max(100).optional(),
+  }),
+
+  twoFactorDisable: z.object({
+    password: z.string().min(1, 'Password is required'),
+    code: z.string().min(1, 'Verification code or recovery code is required'),
+  }),
+
+  apiKeyCreate: z.object({
+    name: z.string().min(1, 'Name is required').max(100),
+    scopes: z.array(commonSchemas.permissionName).min(1).optional().nullable(),
+    expires_at: z.string().datetime({ offset: true }).optional().nullable(),
+  }),
+
+  apiKeyParams: z.object({
+    id: z.string().uuid('Invalid API key ID'),
+  }),
+
+  oauthParams: z.object({
+    provider: z.string().regex(/^[a-z0-9_-]{1,50}$/, 'Invalid provider'),
+  }),
+
+  oauthCallback: z.object({
+    code: z.string().min(1, 'Authorization code is required'),
+    state: z.string().min(1, 'State is required'),
+    state_token: z.string().min(1, 'State token is required'), // Returned when the flow started
+    device_name: z.string().max(100).optional(),
+  }),
+
+  identityParams: z.object({
+    id: z.string().uuid('Invalid identity ID'),
   }),
 };
 
@@ -68,24 +170,27 @@ export const authSchemas = {
 export const userSchemas = {
   create: z.object({
     email: z.string().email('Invalid email address'),
-    password: z.string().min(8, 'Password must be at least 8 characters'),
+    password: z.string().min(1, 'Password is required'), // Rules enforced by the password policy
     first_name: z.string().min(1, 'First name is required').max(100),
     last_name: z.string().min(1, 'Last name is required').max(100),
-    role: z.enum(['user', 'admin', 'super_admin']).optional().default('user'),
+    role: z.string().min(1).max(50).optional().default('user'),
     status: z.enum(['active', 'inactive', 'suspended']).optional().default('active'),
   }),
 
   update: z.object({
     email: z.string().email().optional(),
+    password: z.string().min(1).optional(),
     first_name: z.string().min(1).max(100).optional(),
     last_name: z.string().min(1).max(100).optional(),
     phone: z.string().max(20).optional().nullable(),
-    avatar: z.string().url().optional().nullable(),
+    bio: z.string().max(500).optional().nullable(),
     status: z.enum(['active', 'inactive', 'suspended']).optional(),
   }),
 
+  updateMetadata: buildMetadataSchema(USER_METADATA_FIELDS),
+
   updateRole: z.object({
-    role: z.enum(['user', 'admin', 'super_admin']),
+    role: z.string().min(1, 'Role is required').max(50),
   }),
 
   params: z.object({
@@ -97,7 +202,198 @@ export const userSchemas = {
     limit: z.string().optional(),
     search: z.string().optional(),
     status: z.enum(['active', 'inactive', 'suspended']).optional(),
-    role: z.enum(['user', 'admin', 'super_admin']).optional(),
+    role: z.string().max(50).optional(),
+  }),
+
+  exportQuery: z.object({
+    format: z.enum(['csv', 'json', 'ndjson']).optional().default('csv'),
+    search: z.string().optional(),
+    status: z.enum(['active', 'inactive', 'suspended']).optional(),
+    role: z.string().max(50).optional(),
+  }),
+
+  // Multipart fields accompanying the CSV file
+  importOptions: z.object({
+    dry_run: z.enum(['true', 'false']).optional(),
+    invite: z.enum(['true', 'false']).optional(),
+  }),
+
+  bulk: z
+    .object({
+      action: z.enum(['activate', 'deactivate', 'suspend', 'set_role', 'delete', 'restore']),
+      role: z.string().min(1).max(50).optional(), // Required for set_role
+      ids: z.array(z.string().uuid('Invalid user ID')).min(1).max(5000).optional(),
+      filter: z
+        .object({
+          search: z.string().max(100).optional(),
+          status: z.enum(['active', 'inactive', 'suspended']).optional(),
+          role: z.string().max(50).optional(),
+          created_after: z.string().datetime({ offset: true }).optional(),
+          created_before: z.string().datetime({ offset: true }).optional(),
+        })
+        .optional(),
+      dry_run: z.boolean().optional().default(false),
+    })
+    .refine((data) => !data.ids !== !data.filter, {
+      message: 'Provide either ids or filter',
+      path: ['ids'],
+    })
+    .refine((data) => !data.filter || Object.keys(data.filter).length > 0, {
+      message: 'Filter needs at least one criterion',
+      path: ['filter'],
+    })
+    .refine((data) => data.action !== 'set_role' || data.role, {
+      message: 'Role is required for set_role',
+      path: ['role'],
+    }),
+};
+
+/**
+ * Invitation validation schemas
+ */
+export const invitationSchemas = {
+  create: z.object({
+    email: z.string().email('Invalid email address'),
+    role: z.string().min(1).max(50).optional(),
+    first_name: z.string().min(1).max(100).optional(),
+    last_name: z.string().min(1).max(100).optional(),
+  }),
+
+  params: z.object({
+    id: z.string().uuid('Invalid invitation ID'),
+  }),
+
+  listQuery: z.object({
+    page: z.string().optional(),
+    limit: z.string().optional(),
+    search: z.string().optional(),
+    status: z.enum(['pending', 'expired', 'accepted', 'revoked']).optional(),
+  }),
+};
+
+/**
+ * Role validation schemas
+ */
+export const roleSchemas = {
+  create: z.object({
+    name: commonSchemas.roleName,
+    description: z.string().max(255).optional().nullable(),
+    permissions: z.array(z.string()).optional().default([]),
+  }),
+
+  update: z.object({
+    description: z.string().max(255).optional().nullable(),
+    permissions: z.array(z.string()).optional(),
+  }),
+
+  setPermissions: z.object({
+    permissions: z.array(z.string()),
+  }),
+
+  params: z.object({
+    id: z.string().uuid('Invalid role ID'),
+  }),
+
+  listQuery: z.object({
+    page: z.string().optional(),
+    limit: z.string().optional(),
+    search: z.string().optional(),
+  }),
+};
+
+/**
+ * Permission validation schemas
+ */
+export const permissionSchemas = {
+  create: z.object({
+    name: commonSchemas.permissionName,
+    description: z.string().max(255).optional().nullable(),
+  }),
+
+  params: z.object({
+    id: z.string().uuid('Invalid permission ID'),
+  }),
+
+  listQuery: z.object({
+    page: z.string().optional(),
+    limit: z.string().optional(),
+    search: z.string().optional(),
+  }),
+};
+
+/**
+ * Audit log validation schemas
+ */
+export const auditLogSchemas = {
+  params: z.object({
+    id: z.string().uuid('Invalid audit log ID'),
+  }),
+
+  listQuery: z.object({
+    page: z.string().optional(),
+    limit: z.string().optional(),
+    sort_order: z.enum(['asc', 'desc']).optional(),
+    actor_id: z.string().uuid('Invalid actor ID').optional(),
+    action: z.string().max(100).optional(),
+    target_type: z.string().max(50).optional(),
+    target_id: z.string().max(64).optional(),
+    from: z.string().datetime({ offset: true }).optional(),
+    to: z.string().datetime({ offset: true }).optional(),
+  }),
+};
+
+/**
+ * File validation schemas
+ */
+export const fileSchemas = {
+  params: z.object({
+    id: z.string().uuid('Invalid file ID'),
+  }),
+
+  listQuery: z.object({
+    page: z.string().optional(),
+    limit: z.string().optional(),
+    search: z.string().optional(),
+    user_id: z.string().uuid('Invalid user ID').optional(),
+    group: z.string().max(50).optional(),
+    visibility: z.enum(['public', 'private']).optional(),
+    scan_status: z.enum(['clean', 'unscanned']).optional(),
+  }),
+
+  privateParams: z.object({
+    group: z.string().max(50),
+    filename: z.string().max(255),
+  }),
+
+  signedQuery: z.object({
+    expires: z.string().regex(/^\d+$/, 'Invalid expiry').optional(),
+    signature: z.string().max(100).optional(),
+  }),
+};
+
+/**
+ * Resumable upload schemas
+ */
+
+export const uploadSessionSchemas = {
+  create: z.object({
+    group: z.string().min(1).max(50),
+    filename: z.string().min(1).max(255),
+    mimetype: z.string().min(1).max(100),
+    size: z.number().int().positive(),
+    checksum: z
+      .string()
+      .regex(/^[a-fA-F0-9]{64}$/, 'Must be a SHA-256 hex digest')
+      .optional(),
+  }),
+
+  params: z.object({
+    id: z.string().uuid('Invalid upload ID'),
+  }),
+
+  chunkParams: z.object({
+    id: z.string().uuid('Invalid upload ID'),
+    index: z.string().regex(/^\d+$/, 'Invalid chunk index'),
   }),
 };
 
@@ -105,4 +401,10 @@ export default {
   commonSchemas,
   authSchemas,
   userSchemas,
+  invitationSchemas,
+  roleSchemas,
+  permissionSchemas,
+  auditLogSchemas,
+  fileSchemas,
+  uploadSessionSchemas,
 };